@@ -0,0 +1,250 @@
+/**
+ * Express app factory. createApp(generator, config) wires the controllers, routes, API key auth,
+ * rate limiting and request validation into an app that can be listened on or mounted under
+ * another Express app. It opens no sockets and starts no timers; the generator's lifecycle
+ * (start/close) stays with the caller.
+ */
+const express = require('express');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+const { createControllers } = require('./controllers');
+const { createRoutes } = require('./routes');
+const { loadConfig } = require('./config');
+const { safeEqual } = require('./keyStore');
+const { registry: metrics } = require('./metrics');
+const { createRequestValidator } = require('./validation');
+
+const MAX_BODY_BYTES = '16kb';
+const WORDLIST_MAX_BODY_BYTES = '1mb'; // custom wordlist uploads (EFF-sized lists are ~60kb)
+const JOB_MAX_BODY_BYTES = '1mb'; // password jobs with a username list
+const API_KEY_HEADER = 'x-api-key';
+
+// ------------------- Authentication Middleware -------------------
+// The x-api-key header, or ?apiKey= on event-stream routes (EventSource cannot set headers)
+function presentedApiKey(route, req) {
+    const headerKey = req.headers[API_KEY_HEADER];
+    if (headerKey) return headerKey;
+    return route.queryApiKey && typeof req.query.apiKey === 'string' ? req.query.apiKey : undefined;
+}
+
+/** API key checks against the admin key and the key store: { resolveApiKey, requireApiKey }. */
+function createAuth(apiKeys, { adminApiKey, requireApiKeys }) {
+    // Resolve a presented key to an identity once per request (null when absent/invalid)
+    function resolveApiKey(req, providedKey = req.headers[API_KEY_HEADER]) {
+        if (req.apiKeyResolved && req.apiKeyPresented === providedKey) return req.apiKey;
+        req.apiKeyResolved = true;
+        req.apiKeyPresented = providedKey;
+        req.apiKey = null;
+
+        if (typeof providedKey !== 'string' || !providedKey) return null;
+
+        if (adminApiKey && safeEqual(providedKey, adminApiKey)) {
+            req.apiKey = { id: 'admin', name: 'ADMIN_API_KEY', scopes: ['admin'], record: null };
+        } else {
+            const record = apiKeys.authenticate(providedKey);
+            if (record) req.apiKey = { id: record.id, name: record.name, scopes: record.scopes, record };
+        }
+        return req.apiKey;
+    }
+
+    function requireApiKey(route, req, res, next) {
+        const providedKey = presentedApiKey(route, req);
+
+        if (!providedKey) {
+            if (!route.requiresAuth && !(requireApiKeys && route.scope)) return next();
+            if (route.scope === 'admin' && !adminApiKey && !apiKeys.hasAdminKeys()) {
+                return res.status(500).json({
+                    error: 'Admin API key not configured',
+                    message: 'ADMIN_API_KEY environment variable must be set'
+                });
+            }
+            return res.status(401).json({
+                error: 'API key required',
+                message: `Please provide API key in ${API_KEY_HEADER} header${route.queryApiKey ? ' or apiKey query parameter' : ''}`
+            });
+        }
+
+        const identity = resolveApiKey(req, providedKey);
+        if (!identity) {
+            return res.status(403).json({
+                error: 'Invalid API key',
+                message: 'The provided API key is incorrect'
+            });
+        }
+
+        if (route.scope && !identity.scopes.includes('admin') && !identity.scopes.includes(route.scope)) {
+            return res.status(403).json({
+                error: 'Insufficient scope',
+                message: `This endpoint requires the ${route.scope} scope`
+            });
+        }
+
+        // Store-backed keys carry their own rate limit, daily quota and usage counters
+        if (identity.record) {
+            const result = apiKeys.consume(identity.record, route.scope);
+            if (result.limit !== undefined) {
+                res.setHeader('RateLimit-Limit', String(result.limit));
+                res.setHeader('RateLimit-Remaining', String(result.remaining));
+            }
+            if (!result.ok) {
+                res.setHeader('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+                return res.status(429).json({
+                    error: result.reason === 'rate' ? 'Rate limit exceeded' : 'Daily quota exceeded',
+                    retryAfterMs: result.retryAfterMs
+                });
+            }
+        }
+
+        return next();
+    }
+
+    return { resolveApiKey, requireApiKey };
+}
+
+// Path params arrive percent-encoded (e.g. d%25 for d%); keep the raw value if malformed
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
+
+// ------------------- Request metrics -------------------
+const httpRequests = metrics.counter('passgen_http_requests_total', 'HTTP requests by route, method and status', ['route', 'method', 'status']);
+const httpDuration = metrics.histogram('passgen_http_request_duration_seconds', 'HTTP request latency by route', ['route', 'method']);
+
+/** Observe every response; the router labels it with the matched route pattern, not the raw path. */
+function recordRequestMetrics(req, res, next) {
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+        const route = req.metricsRoute || 'unmatched';
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        httpRequests.inc({ route, method: req.method, status: res.statusCode });
+        httpDuration.observe({ route, method: req.method }, seconds);
+    });
+    next();
+}
+
+// ------------------- Express app -------------------
+/**
+ * Build the API around `generator` (see generator.js). `config` takes the app fields of
+ * loadConfig(); missing fields get the defaults. `app.locals.flush()` writes out batched
+ * store updates and should be called before the process exits.
+ */
+function createApp(generator, config = {}) {
+    config = { ...loadConfig({}), ...config };
+    const controllers = createControllers(generator, config);
+    const { routes, routeDefinitions, availableEndpoints } = createRoutes(controllers);
+    const { resolveApiKey, requireApiKey } = createAuth(controllers.apiKeys, config);
+    // Compiles every route schema now, so a broken one fails here rather than on first request
+    const validateRequest = createRequestValidator(routeDefinitions);
+
+    const app = express();
+    // Trust proxy for Docker/reverse proxy environments - but be specific about which proxies to trust
+    // In Docker, we typically trust the first proxy (Docker's internal network)
+    app.set('trust proxy', 1);
+    app.disable('x-powered-by');
+    app.locals.flush = controllers.flush;
+    app.use(recordRequestMetrics);
+    app.use(helmet({ contentSecurityPolicy: false, hsts: true }));
+    // Larger limits for wordlist uploads and job username lists must be mounted first; the global parser skips parsed bodies
+    app.use('/v1/wordlists', express.json({ limit: WORDLIST_MAX_BODY_BYTES }));
+    app.use('/v1/jobs', express.json({ limit: JOB_MAX_BODY_BYTES }));
+    app.use(express.json({ limit: MAX_BODY_BYTES }));
+
+    if (config.enableCors) {
+        app.use((req, res, next) => {
+            res.setHeader('Access-Control-Allow-Origin', '*'); // tighten in prod
+            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+            res.setHeader('Access-Control-Allow-Headers', `Content-Type, Authorization, ${API_KEY_HEADER}, x-secret-key, x-secret-passphrase`);
+            if (req.method === 'OPTIONS') return res.sendStatus(204);
+            next();
+        });
+    }
+
+    // no-store responses
+    app.use((req, res, next) => {
+        res.setHeader('Cache-Control', 'no-store');
+        res.setHeader('Pragma', 'no-cache');
+        res.setHeader('Expires', '0');
+        next();
+    });
+
+    app.use(rateLimit({
+        windowMs: config.rateWindowMs,
+        max: config.rateMax,
+        standardHeaders: true,
+        legacyHeaders: false,
+        // Using default keyGenerator which properly handles IPv6 and proxy headers
+        // with our trust proxy: 1 configuration.
+        // Requests with a valid API key are limited per key instead (see requireApiKey)
+        skip: (req) => !!resolveApiKey(req)
+    }));
+
+    // Generic router using the routes table (catch-all without pattern)
+    app.use((req, res, next) => {
+        const endpoint = req.path;
+        const method = req.method;
+
+        // Try exact match first
+        let route = routes[endpoint] && routes[endpoint][method]
+            ? routeDefinitions.find(r => r.endpoint === endpoint && r.method === method)
+            : null;
+
+        // If no exact match, try parameterized routes
+        if (!route) {
+            for (const candidate of routeDefinitions) {
+                if (candidate.method === method && candidate.endpoint.includes(':')) {
+                    // Convert route pattern to regex
+                    const pattern = candidate.endpoint.replace(/:\w+/g, '([^/]+)');
+                    const regex = new RegExp(`^${pattern}$`);
+
+                    // Extract parameters
+                    const matches = endpoint.match(regex);
+                    if (matches) {
+                        const paramNames = candidate.endpoint.match(/:(\w+)/g);
+                        if (paramNames) {
+                            paramNames.forEach((param, index) => {
+                                const paramName = param.substring(1); // Remove the ':'
+                                req.params = req.params || {};
+                                req.params[paramName] = decodeParam(matches[index + 1]);
+                            });
+                        }
+                        route = candidate;
+                        break;
+                    }
+                }
+            }
+        }
+
+        if (!route) {
+            res.status(404).json({ error: 'Endpoint not found', availableEndpoints });
+            return;
+        }
+        req.metricsRoute = route.endpoint;
+        // Every route goes through the API key check; it lets anonymous callers through where allowed
+        return requireApiKey(route, req, res, () => {
+            const invalid = validateRequest(route, req);
+            if (invalid) return res.status(422).json(invalid);
+            return route.handler(req, res, next);
+        });
+    });
+
+    // Errors thrown by handlers or the body parser: JSON instead of Express's HTML page with a stack trace
+    // eslint-disable-next-line no-unused-vars
+    app.use((err, req, res, next) => {
+        const status = Number.isInteger(err.status) && err.status >= 400 && err.status < 500 ? err.status : 500;
+        if (status === 500) generator.logger.error(`Unhandled error on ${req.method} ${req.path}:`, err);
+        if (res.headersSent) return res.end();
+        res.status(status).json(status === 500
+            ? { error: 'Internal server error' }
+            : { error: err.type === 'entity.parse.failed' ? 'Invalid JSON body' : 'Invalid request', message: err.expose ? err.message : undefined });
+    });
+
+    return app;
+}
+
+module.exports = {
+    createApp
+};
@@ -0,0 +1,346 @@
+#!/usr/bin/env node
+/**
+ * passgen: passwords, dice rolls, raw entropy and strength checks without running the server,
+ * and `decrypt` for passwords the API delivered with encryptTo.
+ * Uses the same CSPRNG, generators and dice parser as the API; the generator is seeded from OS
+ * entropy only (no QRNG or hardware sources, no reseed timer), so it works offline.
+ *
+ * Usage: passgen <password|roll|entropy|check|decrypt> [options]   (passgen --help for the options)
+ */
+const { CSPRNG, rollDie } = require('../csprng');
+const { generatePasswords, resolvePasswordPolicy } = require('../passwords');
+const { DiceSyntaxError, parseDiceExpression, evaluateDice, rollSummary } = require('../dice');
+const { ENCODINGS, encodeBytes } = require('../entropyFormats');
+const { MAX_CHECK_LENGTH, analyzePassword } = require('../strength');
+const { DEFAULT_POLICY, checkPolicy, createPolicyStore } = require('../policies');
+const { createWordlistStore } = require('../wordlists');
+const { loadStoreConfig } = require('../config');
+const { EnvelopeError, decryptEnvelope } = require('../envelope');
+const schemas = require('../schemas');
+const fs = require('fs');
+
+const MAX_SEED_LENGTH = 1024;
+const MAX_ENTROPY_BYTES = 16 * 1024 * 1024;
+const ALLOW_DETERMINISTIC_PASSWORDS = String(process.env.ALLOW_DETERMINISTIC_PASSWORDS || 'false') === 'true';
+
+// Exit codes: 1 = `check` found policy violations, 2 = bad usage, input or any other error
+class UsageError extends Error {}
+
+const USAGE = `Usage: passgen <command> [options]
+
+Commands:
+  password            Generate passwords; options mirror the POST /v1/passwords body
+  roll <expression>   Roll dice, e.g. passgen roll 4d6kh3 --rolls 6
+  entropy             Print random bytes
+  check [password]    Strength and policy check (reads the password from stdin if omitted)
+  decrypt [jwe...]    Open encryptTo envelopes (reads the API response or one JWE per line from stdin if omitted)
+
+Common options:
+  --json              Print the same JSON the API returns instead of plain text
+  --help              Show this help
+
+password options (kebab-case forms of the body fields; --no-<flag> turns a boolean off):
+  --mode charset|passphrase|pattern   --length N   --count N   --policy NAME|JSON
+  --[no-]include-lower  --[no-]include-upper  --[no-]include-digits  --[no-]include-symbols
+  --symbols CHARS  --[no-]exclude-ambiguous  --[no-]require-each-class  --include-strength
+  --pattern TEMPLATE  --word-count N  --wordlist NAME  --separator S
+  --capitalize none|first|upper|random  --include-digit  --include-symbol
+  --seed TEXT         Deterministic output (needs ALLOW_DETERMINISTIC_PASSWORDS=true, as on the server)
+
+roll options:       --rolls N   --seed TEXT
+entropy options:    --bytes N (default 32)   --encoding hex|base64|base32|binary (default hex)   --seed TEXT
+check options:      --policy NAME|JSON (default "${DEFAULT_POLICY}")   --user-input TEXT (repeatable)
+decrypt options:    --key FILE   Private key as PEM or JWK (JSON)
+`;
+
+function camelCase(flag) {
+    return flag.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+function kebabCase(name) {
+    return name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+/** Flag types for `password`, derived from the request schema so the CLI never drifts from the API. */
+function passwordFlagTypes() {
+    const types = {};
+    for (const [name, prop] of Object.entries(schemas.generatePasswords.body.properties)) {
+        if (name === 'entropyPolicy' || name === 'encryptTo') continue; // OS entropy only; output never leaves the machine
+        if (name === 'policy') types.policy = 'policy';
+        else if (prop.type === 'boolean' || prop.type === 'integer') types[kebabCase(name)] = prop.type;
+        else types[kebabCase(name)] = 'string';
+    }
+    return types;
+}
+
+const FLAG_TYPES = {
+    password: passwordFlagTypes(),
+    roll: { rolls: 'integer', seed: 'string' },
+    entropy: { bytes: 'integer', encoding: 'string', seed: 'string' },
+    check: { policy: 'policy', 'user-input': 'list' },
+    decrypt: { key: 'string' }
+};
+
+/** Parse `--flag value`, `--flag=value`, `--flag` and `--no-flag` against `types`. */
+function parseFlags(args, types) {
+    const options = { json: false, help: false };
+    const positionals = [];
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--') {
+            positionals.push(...args.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith('--') || arg === '-') {
+            positionals.push(arg);
+            continue;
+        }
+
+        let [flag, value] = arg.slice(2).split(/=(.*)/s, 2);
+        if (flag === 'json' || flag === 'help') {
+            options[flag] = true;
+            continue;
+        }
+        const negated = flag.startsWith('no-') && types[flag.slice(3)] === 'boolean';
+        if (negated) flag = flag.slice(3);
+        const type = types[flag];
+        if (!type) throw new UsageError(`Unknown option --${flag}`);
+        const key = camelCase(flag);
+
+        if (type === 'boolean') {
+            if (value !== undefined) throw new UsageError(`--${flag} does not take a value`);
+            options[key] = !negated;
+            continue;
+        }
+        if (value === undefined) {
+            if (i + 1 >= args.length) throw new UsageError(`--${flag} needs a value`);
+            value = args[++i];
+        }
+        if (type === 'integer') {
+            if (!/^-?\d+$/.test(value)) throw new UsageError(`--${flag} must be an integer`);
+            options[key] = parseInt(value, 10);
+        } else if (type === 'list') {
+            options[key] = [...(options[key] || []), value];
+        } else if (type === 'policy') {
+            options[key] = parsePolicyArg(value);
+        } else {
+            options[key] = value;
+        }
+    }
+    return { options, positionals };
+}
+
+// Named policy, or an inline policy object given as JSON
+function parsePolicyArg(value) {
+    if (!value.trim().startsWith('{')) return value;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        throw new UsageError(`--policy is not valid JSON: ${e.message}`);
+    }
+}
+
+// Custom policies and wordlists from POLICIES_FILE and WORDLIST_DIR, as the server would load them
+function stores() {
+    const { policiesFile, wordlistDir } = loadStoreConfig();
+    return { policies: createPolicyStore({ file: policiesFile }), wordlists: createWordlistStore({ dir: wordlistDir }) };
+}
+
+/** OS-seeded generator, or a deterministic one when --seed is given (same derivation as the API). */
+function generatorFor(seed, purpose) {
+    if (seed === undefined) return new CSPRNG(); // instantiates from OS entropy on first use
+    if (!seed || seed.length > MAX_SEED_LENGTH) {
+        throw new UsageError(`--seed must be a non-empty string of at most ${MAX_SEED_LENGTH} characters`);
+    }
+    return CSPRNG.fromSeed(seed, purpose);
+}
+
+function print(json, value, plain) {
+    process.stdout.write(json ? `${JSON.stringify(value, null, 2)}\n` : plain);
+}
+
+// --------------------- Commands ---------------------
+async function passwordCommand({ options, positionals }) {
+    if (positionals.length) throw new UsageError(`Unexpected argument: ${positionals[0]}`);
+    const { json, help, seed, ...body } = options;
+    if (seed !== undefined && !ALLOW_DETERMINISTIC_PASSWORDS) {
+        throw new UsageError('--seed is only accepted for passwords when ALLOW_DETERMINISTIC_PASSWORDS=true');
+    }
+
+    const result = await generatePasswords(body, generatorFor(seed, 'passwords'), stores());
+    if (!result.ok) throw new UsageError(result.body.message ? `${result.body.error}: ${result.body.message}` : result.body.error);
+
+    const { ok, ...response } = result;
+    const lines = result.passwords.map((pw, i) => (result.strength
+        ? `${pw}\tscore ${result.strength[i].score}/4, ${result.strength[i].entropyBits} bits`
+        : pw));
+    print(json, { ...(seed !== undefined ? { deterministic: true } : {}), ...response }, `${lines.join('\n')}\n`);
+    return 0;
+}
+
+async function rollCommand({ options, positionals }) {
+    const expression = positionals.join('');
+    if (!expression) throw new UsageError('roll needs a dice expression, e.g. passgen roll 2d6+3');
+    const { rolls = 1, seed } = options;
+    if (!Number.isInteger(rolls) || rolls < 1) throw new UsageError('--rolls must be a positive integer');
+
+    let parsed;
+    try {
+        parsed = parseDiceExpression(expression);
+    } catch (error) {
+        if (!(error instanceof DiceSyntaxError)) throw error;
+        throw new UsageError(`Invalid dice expression: ${error.message}`);
+    }
+    const rng = generatorFor(seed, 'dice');
+    const results = [];
+    for (let i = 0; i < rolls; i++) {
+        // eslint-disable-next-line no-await-in-loop
+        results.push(await evaluateDice(parsed, sides => rollDie(sides, rng)));
+    }
+
+    const summary = rollSummary(results);
+    const lines = results.map(r => r.detail);
+    if (results.length > 1) lines.push(`min ${summary.min}, max ${summary.max}, average ${summary.average}`);
+    print(options.json, {
+        ...(seed !== undefined ? { deterministic: true } : {}),
+        expression,
+        rolls: results,
+        summary
+    }, `${lines.join('\n')}\n`);
+    return 0;
+}
+
+async function entropyCommand({ options, positionals }) {
+    if (positionals.length) throw new UsageError(`Unexpected argument: ${positionals[0]}`);
+    const { bytes: size = 32, encoding = 'hex', seed } = options;
+    if (!Number.isInteger(size) || size < 1 || size > MAX_ENTROPY_BYTES) {
+        throw new UsageError(`--bytes must be an integer between 1 and ${MAX_ENTROPY_BYTES}`);
+    }
+    if (!ENCODINGS.includes(encoding)) throw new UsageError(`--encoding must be one of ${ENCODINGS.join(', ')}`);
+
+    const bytes = await generatorFor(seed, 'entropy').getBytes(size);
+    if (encoding === 'binary') {
+        if (options.json) throw new UsageError('--json cannot be combined with --encoding binary');
+        process.stdout.write(bytes);
+        return 0;
+    }
+    const encoded = encodeBytes(bytes, encoding);
+    print(options.json, {
+        ...(seed !== undefined ? { deterministic: true } : {}),
+        bytes: encoded,
+        meta: { size, encoding }
+    }, `${encoded}\n`);
+    return 0;
+}
+
+function readStdin() {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', chunk => { data += chunk; });
+        process.stdin.on('end', () => resolve(data.replace(/\r?\n$/, '')));
+        process.stdin.on('error', reject);
+    });
+}
+
+async function checkCommand({ options, positionals }) {
+    // Reading from stdin keeps the password out of shell history and the process list
+    const password = positionals.length && positionals[0] !== '-' ? positionals[0] : await readStdin();
+    if (!password) throw new UsageError('check needs a password (argument or stdin)');
+    if (password.length > MAX_CHECK_LENGTH) throw new UsageError(`password exceeds ${MAX_CHECK_LENGTH} characters`);
+
+    const resolved = resolvePasswordPolicy(options.policy ?? DEFAULT_POLICY, stores().policies);
+    if (!resolved.ok) throw new UsageError(resolved.body.message ? `${resolved.body.error}: ${resolved.body.message}` : resolved.body.error);
+
+    const strength = analyzePassword(password, { userInputs: options.userInput || [], policy: resolved.policy });
+    const policy = { name: resolved.policy.name, ...checkPolicy(password, resolved.policy) };
+
+    const lines = [
+        `score: ${strength.score}/4`,
+        `entropy: ${strength.entropyBits} bits`,
+        ...Object.entries(strength.crackTimes).map(([scenario, t]) => `crack time (${scenario}): ${t.display}`),
+        ...(strength.feedback.warning ? [`warning: ${strength.feedback.warning}`] : []),
+        ...strength.feedback.suggestions.map(s => `suggestion: ${s}`),
+        `policy ${policy.name || 'inline'}: ${policy.compliant ? 'compliant' : 'not compliant'}`,
+        ...(policy.violations || []).map(v => `  - ${v.message}`)
+    ];
+    print(options.json, { strength, policy }, `${lines.join('\n')}\n`);
+    return policy.compliant ? 0 : 1;
+}
+
+// A /v1/passwords response with `encrypted`, or compact JWEs one per line
+function envelopesFromText(text) {
+    const trimmed = text.trim();
+    if (!trimmed.startsWith('{')) return trimmed.split(/\s+/).filter(Boolean);
+    try {
+        const { encrypted } = JSON.parse(trimmed);
+        if (!Array.isArray(encrypted)) throw new UsageError('JSON input has no "encrypted" array');
+        return encrypted;
+    } catch (e) {
+        if (e instanceof UsageError) throw e;
+        throw new UsageError(`stdin is not valid JSON: ${e.message}`);
+    }
+}
+
+async function decryptCommand({ options, positionals }) {
+    if (!options.key) throw new UsageError('decrypt needs --key FILE (the private key matching encryptTo)');
+    let keyText;
+    try {
+        keyText = fs.readFileSync(options.key, 'utf8');
+    } catch (e) {
+        throw new UsageError(`Cannot read --key: ${e.message}`);
+    }
+    let privateKey = keyText;
+    if (keyText.trim().startsWith('{')) {
+        try {
+            privateKey = JSON.parse(keyText);
+        } catch (e) {
+            throw new UsageError(`--key is not valid JWK JSON: ${e.message}`);
+        }
+    }
+
+    const envelopes = positionals.length ? positionals : envelopesFromText(await readStdin());
+    if (!envelopes.length) throw new UsageError('decrypt needs at least one envelope');
+    const passwords = envelopes.map((jwe) => {
+        try {
+            return decryptEnvelope(jwe, privateKey).toString('utf8');
+        } catch (error) {
+            if (error instanceof EnvelopeError) throw new UsageError(error.message);
+            throw error;
+        }
+    });
+    print(options.json, { passwords }, `${passwords.join('\n')}\n`);
+    return 0;
+}
+
+const COMMANDS = {
+    password: passwordCommand,
+    roll: rollCommand,
+    entropy: entropyCommand,
+    check: checkCommand,
+    decrypt: decryptCommand
+};
+
+async function main(argv) {
+    const [command, ...args] = argv;
+    if (!command || command === '--help' || command === 'help') {
+        process.stdout.write(USAGE);
+        return command ? 0 : 2;
+    }
+    if (!COMMANDS[command]) throw new UsageError(`Unknown command: ${command}`);
+
+    const parsed = parseFlags(args, FLAG_TYPES[command]);
+    if (parsed.options.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+    return COMMANDS[command](parsed);
+}
+
+main(process.argv.slice(2)).then(
+    (code) => { process.exitCode = code; },
+    (err) => {
+        process.stderr.write(`passgen: ${err.message}\n`);
+        process.exitCode = 2;
+    }
+);
@@ -0,0 +1,80 @@
+/**
+ * Character class definitions shared by password generation, requirement enforcement
+ * and policy checks, so "digits" or "symbols" always mean the same characters.
+ */
+const DEFAULT_SYMBOLS = '!@#$%^&*()-_=+[]{}:;<>,.?';
+const LOWER = 'abcdefghijklmnopqrstuvwxyz';
+const UPPER = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const DIGITS = '0123456789';
+const AMBIGUOUS = new Set(['O', '0', 'I', 'l', '1', 'S', '5', 'B', '8', 'Z', '2']);
+
+const CLASS_NAMES = ['lower', 'upper', 'digits', 'symbols'];
+
+function classChars(name, symbols) {
+    if (name === 'lower') return LOWER;
+    if (name === 'upper') return UPPER;
+    if (name === 'digits') return DIGITS;
+    return symbols || DEFAULT_SYMBOLS;
+}
+
+/**
+ * Classes selected by generation options ({ includeLower, ..., symbols, excludeAmbiguous }),
+ * as [{ name, chars }] with ambiguous characters already removed when requested.
+ */
+function characterClasses(opts) {
+    const {
+        includeLower = true, includeUpper = true, includeDigits = true,
+        includeSymbols = true, symbols = DEFAULT_SYMBOLS, excludeAmbiguous = true
+    } = opts || {};
+    const selected = { lower: includeLower, upper: includeUpper, digits: includeDigits, symbols: includeSymbols };
+
+    return CLASS_NAMES
+        .filter(name => selected[name])
+        .map((name) => {
+            let chars = Array.from(new Set(classChars(name, symbols)));
+            if (excludeAmbiguous) chars = chars.filter(ch => !AMBIGUOUS.has(ch));
+            return { name, chars: chars.join('') };
+        })
+        .filter(c => c.chars.length > 0);
+}
+
+// Dedup (custom symbols may overlap letters or digits)
+function mergedCharset(classes) {
+    return Array.from(new Set(classes.map(c => c.chars).join(''))).join('');
+}
+
+/** Why generation options leave no usable charset, or null when they don't. */
+function charsetProblem(opts) {
+    const classes = characterClasses(opts);
+    if (!classes.length) return 'Empty charset: select at least one class';
+    if (mergedCharset(classes).length < 2) return 'Charset too small after filters: at least 2 distinct characters are needed';
+    return null;
+}
+
+/** The deduplicated charset for generation options; throws when charsetProblem() reports one. */
+function buildCharset(opts) {
+    const problem = charsetProblem(opts);
+    if (problem) throw new Error(problem);
+    return mergedCharset(characterClasses(opts));
+}
+
+/** Class name of a single character ('other' for anything outside the four classes). */
+function classifyChar(ch, symbols = DEFAULT_SYMBOLS) {
+    for (const name of CLASS_NAMES) {
+        if (classChars(name, symbols).includes(ch)) return name;
+    }
+    return 'other';
+}
+
+module.exports = {
+    DEFAULT_SYMBOLS,
+    LOWER,
+    UPPER,
+    DIGITS,
+    AMBIGUOUS,
+    CLASS_NAMES,
+    characterClasses,
+    charsetProblem,
+    buildCharset,
+    classifyChar
+};
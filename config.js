@@ -0,0 +1,76 @@
+/**
+ * Service configuration read from the environment (see .env.example). This is the only module
+ * that reads process.env for the generator and the app; library users can skip it and pass
+ * options to createGenerator() and createApp() directly.
+ */
+const { loadSourceDefsFromEnv } = require('./sources');
+
+function int(value, fallback) {
+    return parseInt(value || String(fallback), 10);
+}
+
+function bool(value) {
+    return String(value || 'false') === 'true';
+}
+
+/** Where custom policies and wordlists are kept; the CLI needs only these. */
+function loadStoreConfig(env = process.env) {
+    return {
+        policiesFile: env.POLICIES_FILE || './data/policies.json',
+        wordlistDir: env.WORDLIST_DIR || '' // uploaded wordlists are kept in memory only when empty
+    };
+}
+
+/**
+ * Everything the server needs, as camelCase options. `generator` is passed to createGenerator(),
+ * the rest to createApp(). `loadConfig({})` gives the defaults.
+ */
+function loadConfig(env = process.env) {
+    return {
+        port: int(env.PORT, 8080),
+        enableCors: bool(env.ENABLE_CORS),
+        rateWindowMs: int(env.RATE_WINDOW_MS, 60000),
+        rateMax: int(env.RATE_MAX, 60),
+        adminApiKey: env.ADMIN_API_KEY || '',
+        requireApiKeys: bool(env.REQUIRE_API_KEYS),
+        apiKeysFile: env.API_KEYS_FILE || './data/api-keys.json',
+        allowDeterministicPasswords: bool(env.ALLOW_DETERMINISTIC_PASSWORDS),
+        entropyMaxBytes: int(env.ENTROPY_MAX_BYTES, 1048576), // single response
+        entropyStreamMaxBytes: int(env.ENTROPY_STREAM_MAX_BYTES, 268435456),
+        rollSessionsFile: env.ROLL_SESSIONS_FILE || './data/roll-sessions.json',
+        rollSessionTtlMs: int(env.ROLL_SESSION_TTL_MS, 86400000), // 24 hours
+        rollSessionsMax: int(env.ROLL_SESSIONS_MAX, 1000), // live commit-reveal sessions
+        sessionsFile: env.SESSIONS_FILE || './data/sessions.json',
+        sessionMaxRolls: int(env.SESSION_MAX_ROLLS, 10000), // oldest rolls dropped beyond this
+        sessionsMax: int(env.SESSIONS_MAX, 100), // named sessions kept at once
+        entropyFeedMinIntervalMs: int(env.ENTROPY_FEED_MIN_INTERVAL_MS, 100),
+        entropyFeedMaxBytesPerSec: int(env.ENTROPY_FEED_MAX_BYTES_PER_SEC, 65536),
+        entropyFeedMaxStreams: int(env.ENTROPY_FEED_MAX_STREAMS, 4), // per API key or IP
+        passwordJobMaxCount: int(env.PASSWORD_JOB_MAX_COUNT, 10000),
+        passwordJobTtlMs: int(env.PASSWORD_JOB_TTL_MS, 900000), // results are dropped after 15 minutes
+        passwordJobsMax: int(env.PASSWORD_JOBS_MAX, 20), // jobs held at once, finished or not
+        secretsFile: env.SECRETS_FILE || '', // empty: one-time secrets are kept in memory only
+        secretDefaultTtlMs: int(env.SECRET_DEFAULT_TTL_MS, 86400000), // 24 hours
+        secretMaxTtlMs: int(env.SECRET_MAX_TTL_MS, 604800000), // 7 days
+        secretMaxLength: int(env.SECRET_MAX_LENGTH, 10000), // characters
+        secretsMax: int(env.SECRETS_MAX, 10000),
+
+        generator: {
+            sources: loadSourceDefsFromEnv(env),
+            reseedMs: int(env.QRNG_RESEED_MS, 3600000), // 1 hour
+            maxStaleIntervals: int(env.QRNG_MAX_STALE_INTERVALS, 2),
+            entropyPolicy: env.ENTROPY_POLICY || 'prefer-qrng',
+            sourceTimeoutMs: int(env.ENTROPY_SOURCE_TIMEOUT_MS, 5000),
+            sourceRetryMs: int(env.ENTROPY_SOURCE_RETRY_MS, 60000),
+            quarantineMs: int(env.ENTROPY_QUARANTINE_MS, 3600000),
+            drbgReseedInterval: int(env.DRBG_RESEED_INTERVAL, 65536), // generate requests
+            predictionResistance: bool(env.DRBG_PREDICTION_RESISTANCE),
+            ...loadStoreConfig(env)
+        }
+    };
+}
+
+module.exports = {
+    loadConfig,
+    loadStoreConfig
+};
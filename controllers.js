@@ -1,564 +1,1497 @@
-// Using Node.js built-in fetch (available in Node.js v18+)
-// const { fetch } = require('undici'); // Removed due to compatibility issues
-const crypto = require('crypto');
-
-// --------------------- Config (from env) ---------------------
-const QRNG_ENABLED = String(process.env.QRNG_ENABLED || 'false') === 'true';
-const QRNG_URL = process.env.QRNG_URL || 'https://api.qrng.outshift.com/api/v1/random_numbers';
-const QRNG_API_KEY = process.env.QRNG_API_KEY || '';
-const QRNG_BITS_PER_BLOCK = parseInt(process.env.QRNG_BITS_PER_BLOCK || '8', 10); // 8 bits = 1 byte, optimal for 32-byte seeds
-const QRNG_RESEED_MS = parseInt(process.env.QRNG_RESEED_MS || '3600000', 10); // Default 1 hour
-
-const MAX_LEN = 256;
-const MAX_COUNT = 50;
-
-const DEFAULT_SYMBOLS = '!@#$%^&*()-_=+[]{}:;<>,.?';
-const LOWER = 'abcdefghijklmnopqrstuvwxyz';
-const UPPER = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-const DIGITS = '0123456789';
-
-// --- Minimal HKDF (Node has hkdfSync in v19+, we'll stay portable) ---
-function hkdfSha256(ikm, salt, info, length) {
-  // HKDF-Extract
-  const prk = crypto.createHmac('sha256', salt).update(ikm).digest();
-  // HKDF-Expand
-  const blocks = [];
-  let prev = Buffer.alloc(0);
-  let generated = 0;
-  for (let i = 1; generated < length; i++) {
-    const h = crypto.createHmac('sha256', prk);
-    h.update(prev);
-    h.update(info);
-    h.update(Buffer.from([i]));
-    const t = h.digest();
-    blocks.push(t);
-    generated += t.length;
-    prev = t;
-  }
-  return Buffer.concat(blocks).subarray(0, length);
+/**
+ * HTTP handlers. createControllers() builds them around a generator (see generator.js) and the
+ * app config (see config.js); the stores and live rooms they use are created with them, so
+ * nothing here runs at import time.
+ */
+const { DiceSyntaxError, parseDiceExpression, evaluateDice, countDice, rollSummary } = require('./dice');
+const { TooComplexError, exactDistribution, sampleDistribution, summarize } = require('./diceStats');
+const { createKeyStore } = require('./keyStore');
+const { MAX_CHECK_LENGTH, analyzePassword } = require('./strength');
+const {
+    ENCODINGS, TYPES: ENTROPY_TYPES, STREAM_CHUNK_BYTES, encodeBytes, valuesFromBytes, bytesPerValue, integersInRange
+} = require('./entropyFormats');
+const { rollDie, rejectionSamples } = require('./csprng');
+const { MAX_COUNT, DEFAULT_WORDLIST, generatePasswords, resolvePasswordPolicy } = require('./passwords');
+const { SELF_TEST_MIN_BYTES, runSelfTest } = require('./healthTests');
+const { registry: metrics, createRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const {
+    SERVER_SEED_BYTES, MAX_ROLLS_PER_SESSION, computeFairRolls, verifyFairRoll, fairRollInputProblem, createRollSessionStore
+} = require('./fairRoll');
+const { MAX_LABEL_LENGTH, createSessionStore, rollStats, rollsToCsv } = require('./sessions');
+const { openEventStream, createRoomHub } = require('./liveFeed');
+const { EXPORT_FORMATS, EXPORT_TYPES, exportResults, createJobStore } = require('./jobs');
+const { CONTENT_ENCRYPTION, parseRecipientKey, encryptEnvelope } = require('./envelope');
+const { generateOtpSecret, verifyOtpCode, generateRecoveryCodes } = require('./mfa');
+const { encodeQr, qrToSvg } = require('./qr');
+const { generateApiTokens, generateUuids, generateUlids, generateSecretKey, generateKeyPairMaterial } = require('./keys');
+const { MAX_PASSPHRASE_ATTEMPTS, MAX_VIEWS: SECRET_MAX_VIEWS, sealSecret, linkKeyMatches, openSecret, createSecretStore, renderRevealPage } = require('./secrets');
+const { GenerationError } = require('./generator');
+const { DEFAULT_POLICY, checkPolicy } = require('./policies');
+const { splitWordlistText } = require('./wordlists');
+
+const STATS_DEFAULT_SAMPLES = 10000;
+const STATS_MAX_SAMPLES = 50000;
+const STATS_MAX_SAMPLED_DICE = 1000000; // caps Monte Carlo work per expression
+const STATS_MAX_EXPRESSIONS = 5;
+const SELF_TEST_DEFAULT_BYTES = 20000;
+const SELF_TEST_MAX_BYTES = 1048576;
+const SESSION_ROLLS_DEFAULT_LIMIT = 100;
+const SESSION_ROLLS_MAX_LIMIT = 1000;
+const ENTROPY_FEED_MAX_BLOCK_BYTES = 4096;
+const ENTROPY_DEFAULT_COUNT = 1024;
+const ENTROPY_MAX_COUNT = 5000;
+
+const DICE_EXAMPLES = [
+    'd20',
+    '2d6+3',
+    '2d6-1d4',
+    '(1d8+3)*2',
+    '4d6kh3',
+    '2d20kl1',
+    '3d6!',
+    '2d6r1',
+    '10d10>=8',
+    '4dF',
+    'd%'
+];
+
+// --------------------- Metrics ---------------------
+const passwordsGenerated = metrics.counter('passgen_passwords_generated_total', 'Passwords generated', ['mode']);
+const diceRolls = metrics.counter('passgen_dice_rolls_total', 'Dice expressions rolled');
+const diceRolled = metrics.counter('passgen_dice_rolled_total', 'Individual dice rolled for /v1/roll');
+const fairRollEvents = metrics.counter('passgen_fair_roll_sessions_total', 'Commit-reveal roll session events', ['event']);
+const uint32Served = metrics.counter('passgen_uint32_served_total', 'Uint32 values served by /v1/entropy/uint32');
+const entropyBytesServed = metrics.counter('passgen_entropy_bytes_served_total', 'Bytes served by /v1/entropy/bytes and /v1/entropy/feed', ['encoding', 'stream']);
+const entropyValuesServed = metrics.counter('passgen_entropy_values_served_total', 'Typed values served by /v1/entropy/{type}', ['type']);
+const samplesAccepted = rejectionSamples.labels({ result: 'accepted' });
+const samplesRejected = rejectionSamples.labels({ result: 'rejected' });
+const passwordJobEvents = metrics.counter('passgen_password_jobs_total', 'Password job events', ['event']);
+const secretEvents = metrics.counter('passgen_secrets_total', 'One-time secret events', ['event']);
+const mfaEvents = metrics.counter('passgen_mfa_total', 'OTP secrets issued, OTP verifications and recovery code sets', ['event']);
+const keysGenerated = metrics.counter('passgen_keys_generated_total', 'Responses from /v1/keys/*', ['kind']);
+const selfTests = metrics.counter('passgen_self_tests_total', 'On-demand CSPRNG self-test runs by outcome', ['result']);
+
+metrics.gauge('passgen_rejection_sampling_rejection_ratio', 'Share of rejection-sampling draws rejected since start', [],
+    () => {
+        const rejected = rejectionSamples.get({ result: 'rejected' });
+        const all = rejected + rejectionSamples.get({ result: 'accepted' });
+        return all ? [[{}, rejected / all]] : [];
+    });
+
+// --------------------- Request helpers ---------------------
+function invalidDiceResponse(res, error) {
+    return res.status(422).json({
+        error: 'Invalid dice expression',
+        message: error.message,
+        position: error.position,
+        examples: DICE_EXAMPLES
+    });
+}
+
+const sessionNotFound = (res) => res.status(404).json({ error: 'Session not found' });
+const jobNotFound = (res) => res.status(404).json({ error: 'Job not found or expired' });
+const secretNotFound = (res) => res.status(404).json({ error: 'Secret not found', message: 'It was already viewed, has expired or never existed' });
+
+// One-time secret links carry their key in the fragment; API clients send it in these headers
+const SECRET_KEY_HEADER = 'x-secret-key';
+const SECRET_PASSPHRASE_HEADER = 'x-secret-passphrase';
+
+// The passphrase header is percent-encoded UTF-8 (header values are otherwise limited to Latin-1)
+function secretPassphrase(req) {
+    const raw = req.headers[SECRET_PASSPHRASE_HEADER];
+    if (raw === undefined) return { ok: true, passphrase: undefined };
+    try {
+        return { ok: true, passphrase: decodeURIComponent(raw) };
+    } catch {
+        return { ok: false };
+    }
 }
 
-// --- AES-256-CTR CSPRNG (key/iv via HKDF from QRNG + OS entropy) ---
-class CSPRNG {
-  constructor() {
-    this.key = null;          // 32 bytes
-    this.ivBase = null;       // 16 bytes (CTR IV prefix)
-    this.counter = 0n;        // 64-bit block counter
-    this.pool = Buffer.alloc(0);
-    this.lastReseed = 0;
-  }
-
-  async reseed(seedMaterial) {
-    // Mix QRNG seed with OS entropy to protect against either source failing
-    const osEntropy = crypto.randomBytes(32);
-    const salt = crypto.createHash('sha256').update(osEntropy).digest();
-    const info = Buffer.from('hamtech-password-csprng-seed');
-    const okm = hkdfSha256(seedMaterial, salt, info, 48); // 32B key + 16B IV
-
-    this.key = okm.subarray(0, 32);
-    this.ivBase = okm.subarray(32, 48);
-    this.counter = 0n;
-    this.pool = Buffer.alloc(0);
-    this.lastReseed = Date.now();
-  }
-
-  // Create a fresh IV by combining ivBase with a 64-bit counter
-  _ivForCounter(cnt) {
-    // ivBase: 16 bytes -> treat last 8 bytes as counter field
-    const iv = Buffer.from(this.ivBase);
-    const ctrBytes = Buffer.alloc(8);
-    ctrBytes.writeBigUInt64BE(cnt);
-    // put the counter in the tail of IV
-    ctrBytes.copy(iv, 8);
-    return iv;
-  }
-
-  _refill(minBytes = 4096) {
-    if (!this.key || !this.ivBase) {
-      // Fallback to OS RNG if not seeded yet
-      this.pool = Buffer.concat([this.pool, crypto.randomBytes(minBytes)]);
-      return;
+/** Dice syntax problem in a macro map, or null. */
+function macroProblem(macros) {
+    for (const [name, expression] of Object.entries(macros || {})) {
+        if (typeof expression !== 'string') return `Macro ${name}: expression must be a string`;
+        try {
+            parseDiceExpression(expression);
+        } catch (error) {
+            if (!(error instanceof DiceSyntaxError)) throw error;
+            return `Macro ${name}: ${error.message}`;
+        }
     }
-    const chunkSize = Math.max(4096, minBytes);
-    // Generate in 16-byte blocks; each counter value produces a new keystream segment
-    const blocks = Math.ceil(chunkSize / 16);
-    const out = Buffer.alloc(blocks * 16);
-    let offset = 0;
-
-    for (let i = 0; i < blocks; i++) {
-      const iv = this._ivForCounter(this.counter);
-      this.counter += 1n;
-
-      const cipher = crypto.createCipheriv('aes-256-ctr', this.key, iv);
-      // Encrypt 16 zero bytes → 16 bytes of keystream
-      const ks = Buffer.concat([cipher.update(Buffer.alloc(16)), cipher.final()]);
-      ks.copy(out, offset);
-      offset += 16;
+    return null;
+}
+
+/** Roll log filters from the query string: { ok, filters } or { ok: false, message }. */
+function parseRollFilters(query = {}) {
+    const filters = {};
+    for (const key of ['roller', 'expression', 'macro']) {
+        if (typeof query[key] === 'string') filters[key] = query[key];
     }
-    this.pool = Buffer.concat([this.pool, out]);
-  }
-
-  async getBytes(n) {
-    const now = Date.now();
-    if (!this.key || !this.ivBase || (now - this.lastReseed) >= QRNG_RESEED_MS) {
-      // Caller is responsible for providing fresh QRNG seed via reseed()
-      // We don't auto-seed here to keep responsibilities clean
+    for (const key of ['since', 'until']) {
+        if (query[key] === undefined) continue;
+        const time = new Date(String(query[key]));
+        if (Number.isNaN(time.getTime())) return { ok: false, message: `${key} must be an ISO 8601 timestamp` };
+        filters[key] = time.toISOString();
     }
-    if (this.pool.length < n) this._refill(n - this.pool.length);
-    const out = this.pool.subarray(0, n);
-    this.pool = this.pool.subarray(n);
-    return out;
-  }
+    return { ok: true, filters };
 }
 
-const csprng = new CSPRNG();
-/** Map 32-bit words to indices with rejection sampling (no modulo bias). */
-function indicesFromBytes(buf, base) {
-    const out = [];
-    const acceptMax = Math.floor(0x100000000 / base) * base;
-    for (let i = 0; i + 4 <= buf.length; i += 4) {
-        const n = buf.readUInt32BE(i);
-        if (n < acceptMax) out.push(n % base);
+/** Resolve once the response can take more data, or has gone away. */
+function drained(res) {
+    return new Promise((resolve) => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+/** Chunked transfer of `size` CSPRNG bytes; waits for the socket to drain between chunks. */
+async function streamEntropy(res, size, encoding, randomness) {
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    res.status(200).type(encoding === 'binary' ? 'application/octet-stream' : 'text/plain');
+    res.setHeader('X-Entropy-Bytes', String(size));
+    res.setHeader('X-Entropy-Encoding', encoding);
+    if (randomness.deterministic) res.setHeader('X-Deterministic', 'true');
+
+    let remaining = size;
+    while (remaining > 0 && !closed) {
+        const n = Math.min(STREAM_CHUNK_BYTES, remaining);
+        // eslint-disable-next-line no-await-in-loop
+        const chunk = await randomness.rng.getBytes(n);
+        remaining -= n;
+        entropyBytesServed.inc({ encoding, stream: 'true' }, n);
+        // eslint-disable-next-line no-await-in-loop
+        if (!res.write(encodeBytes(chunk, encoding))) await drained(res);
     }
-    return out;
+    if (!closed) res.end();
 }
 
-// --------------- Charset & policies ---------------
-function buildCharset(opts) {
-    const {
-        includeLower = true, includeUpper = true, includeDigits = true,
-        includeSymbols = true, symbols = DEFAULT_SYMBOLS, excludeAmbiguous = true
-    } = opts || {};
+/** Validate ?min=&max= for the int type. */
+function parseIntRange(query) {
+    const min = Number(query.min);
+    const max = Number(query.max);
+    if (query.min === undefined || query.max === undefined || !Number.isSafeInteger(min) || !Number.isSafeInteger(max)) {
+        return { ok: false, body: { error: 'Invalid range', message: 'min and max must be safe integers' } };
+    }
+    if (max < min) return { ok: false, body: { error: 'Invalid range', message: 'max must be >= min' } };
+    return { ok: true, min, max };
+}
 
-    let set = '';
-    if (includeLower) set += LOWER;
-    if (includeUpper) set += UPPER;
-    if (includeDigits) set += DIGITS;
-    if (includeSymbols) set += (symbols || DEFAULT_SYMBOLS);
+function parseSamples(value) {
+    const n = parseInt(value, 10);
+    return Math.min(Math.max(Number.isFinite(n) ? n : STATS_DEFAULT_SAMPLES, 100), STATS_MAX_SAMPLES);
+}
+
+// Helper: generate an array of uint32 values using the existing CSPRNG
+async function getRandomUint32Array(csprng, count) {
+    if (!Number.isFinite(count) || count <= 0) {
+        throw new Error('count must be a positive number');
+    }
 
-    if (!set) throw new Error('Empty charset: select at least one class');
+    const bytesNeeded = count * 4;
+    // IMPORTANT: this must be the existing CSPRNG method, not a new QRNG call.
+    const buf = await csprng.getBytes(bytesNeeded);
 
-    if (excludeAmbiguous) {
-        const amb = new Set(['O', '0', 'I', 'l', '1', 'S', '5', 'B', '8', 'Z', '2']);
-        set = Array.from(set).filter(ch => !amb.has(ch)).join('');
+    const numbers = [];
+    for (let i = 0; i < count; i++) {
+        const offset = i * 4;
+        // Endianness doesn't matter as long as it's consistent;
+        // use BE for clarity.
+        const n = buf.readUInt32BE(offset);
+        numbers.push(n >>> 0);
     }
-    // Dedup
-    set = Array.from(new Set(set)).join('');
-    if (set.length < 2) throw new Error('Charset too small after filters');
 
-    return set;
+    return numbers;
 }
 
-// ----------------- QRNG seed helpers -----------------
+// --------------------- Controllers ---------------------
+/**
+ * Route handlers bound to `generator` and `config` (the shape loadConfig() returns), plus the
+ * stores behind them: { passwordController, ..., apiKeys, metrics, flush }.
+ */
+function createControllers(generator, config) {
+    const {
+        allowDeterministicPasswords, apiKeysFile, entropyMaxBytes, entropyStreamMaxBytes,
+        rollSessionsFile, rollSessionTtlMs, rollSessionsMax, sessionsFile, sessionMaxRolls, sessionsMax,
+        entropyFeedMinIntervalMs, entropyFeedMaxBytesPerSec, entropyFeedMaxStreams,
+        passwordJobMaxCount, passwordJobTtlMs, passwordJobsMax,
+        secretsFile, secretDefaultTtlMs, secretMaxTtlMs, secretMaxLength, secretsMax
+    } = config;
+    const { csprng, policies, wordlists, logger } = generator;
+    const stores = { policies, wordlists };
+    const appMetrics = createRegistry(); // gauges over this instance's state; /metrics renders it after the shared registry
+
+    // `entropyPolicy` and `seed` come from the body, or the query string on GET routes
+    const checkEntropyPolicy = req => generator.checkEntropyPolicy(req.body?.entropyPolicy ?? req.query?.entropyPolicy);
+    const resolveRandomness = (req, purpose) => generator.resolveRandomness({
+        seed: req.body?.seed ?? req.query?.seed,
+        entropyPolicy: req.body?.entropyPolicy ?? req.query?.entropyPolicy
+    }, purpose);
+    const randomnessMeta = generator.randomnessMeta;
+
+    const passwordController = {
+        generatePasswords: async (req, res) => {
+            const randomness = resolveRandomness(req, 'passwords');
+            if (!randomness.ok) return res.status(randomness.status).json(randomness.body);
+            // Credentials from a guessable seed are never acceptable unless the operator opts in
+            if (randomness.deterministic && !allowDeterministicPasswords) {
+                return res.status(400).json({
+                    error: 'Deterministic mode is disabled for passwords',
+                    message: 'seed is only accepted here when ALLOW_DETERMINISTIC_PASSWORDS=true'
+                });
+            }
 
-function packBlocksToBytes(blocks, bitsPerBlock = QRNG_BITS_PER_BLOCK) {
-    let bits = '';
-    for (const item of blocks) {
-        let b = (item && typeof item.binary === 'string') ? item.binary.trim() : null;
-        if (!b || !/^[01]+$/.test(b)) {
-            const d = Number(item?.decimal);
-            if (!Number.isInteger(d) || d < 0) continue;
-            b = d.toString(2);
+            // Checked before generating so a bad key never costs entropy
+            const { encryptTo } = req.body || {};
+            const recipient = encryptTo === undefined ? null : parseRecipientKey(encryptTo);
+            if (recipient && !recipient.ok) return res.status(recipient.status).json(recipient.body);
+
+            const result = await generatePasswords(req.body || {}, randomness.rng, stores);
+            if (!result.ok) return res.status(result.status).json(result.body);
+            passwordsGenerated.inc({ mode: result.meta.mode }, result.passwords.length);
+
+            const meta = { ...result.meta, ...randomnessMeta(randomness) };
+            if (recipient) {
+                res.status(200).json({
+                    ...(randomness.deterministic ? { deterministic: true } : {}),
+                    encrypted: result.passwords.map(pw => encryptEnvelope(pw, recipient)),
+                    // Matched patterns quote pieces of the password; the rest of the report is safe in the clear
+                    ...(result.strength ? { strength: result.strength.map(({ patterns, ...report }) => report) } : {}),
+                    meta: { ...meta, encryption: { format: 'jwe-compact', alg: recipient.alg, enc: CONTENT_ENCRYPTION, kid: recipient.kid } }
+                });
+                return;
+            }
+
+            res.status(200).json({
+                ...(randomness.deterministic ? { deterministic: true } : {}),
+                passwords: result.passwords,
+                ...(result.strength ? { strength: result.strength } : {}),
+                meta
+            });
+        },
+
+        checkPassword: async (req, res) => {
+            const { password, policy = DEFAULT_POLICY, userInputs = [] } = req.body || {};
+            if (typeof password !== 'string' || !password) {
+                return res.status(400).json({ error: 'password must be a non-empty string' });
+            }
+            if (password.length > MAX_CHECK_LENGTH) {
+                return res.status(400).json({ error: `password exceeds ${MAX_CHECK_LENGTH} characters` });
+            }
+            if (!Array.isArray(userInputs)) {
+                return res.status(400).json({ error: 'userInputs must be an array of strings' });
+            }
+
+            const resolved = resolvePasswordPolicy(policy, policies);
+            if (!resolved.ok) return res.status(resolved.status).json(resolved.body);
+
+            res.status(200).json({
+                strength: analyzePassword(password, { userInputs, policy: resolved.policy }),
+                policy: { name: resolved.policy.name, ...checkPolicy(password, resolved.policy) }
+            });
         }
-        // force fixed width to avoid bias
-        b = b.padStart(bitsPerBlock, '0');
-        bits += b;
-    }
-    const out = [];
-    for (let i = 0; i + 8 <= bits.length; i += 8) {
-        out.push(parseInt(bits.slice(i, i + 8), 2));
-    }
-    return Buffer.from(out);
-}
+    };
 
-async function fetchOutshiftQrngBlocks(blockCount) {
-    if (!QRNG_ENABLED || !QRNG_API_KEY) throw new Error('QRNG not configured');
-    const body = { encoding: 'raw', format: 'all', bits_per_block: QRNG_BITS_PER_BLOCK, number_of_blocks: blockCount };
-    const r = await fetch(QRNG_URL, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'x-id-api-key': QRNG_API_KEY
-        },
-        body: JSON.stringify(body),
-        cache: 'no-store'
+    // --------------------- Password Job Controller ---------------------
+    const passwordJobs = createJobStore({
+        ttlMs: passwordJobTtlMs,
+        maxJobs: passwordJobsMax,
+        chunkSize: MAX_COUNT,
+        onEvent: event => passwordJobEvents.inc({ event })
     });
-    if (!r.ok) throw new Error(`QRNG HTTP ${r.status}`);
-    const json = await r.json();
-    const arr = json?.random_numbers;
-    if (!Array.isArray(arr) || arr.length === 0) throw new Error('QRNG returned no data');
-    return packBlocksToBytes(arr, QRNG_BITS_PER_BLOCK);
-}
 
-// Pull a small QRNG seed (e.g., 64 bytes = 512 bits) for reseeding
-async function getQrngSeedBytes(seedBytes = 64) {
-  // We'll request enough blocks to cover seedBytes (8 bits per block = 1 byte per block)
-  const bitsNeeded = seedBytes * 8;
-  const blocks = Math.ceil(bitsNeeded / QRNG_BITS_PER_BLOCK);
-  const buf = await fetchOutshiftQrngBlocks(blocks);
-  // Truncate to exactly seedBytes
-  return buf.subarray(0, seedBytes);
-}
+    appMetrics.gauge('passgen_password_jobs', 'Password jobs held in memory by status', ['status'],
+        () => Object.entries(passwordJobs.countByStatus()).map(([status, n]) => [{ status }, n]));
 
-// Reseed scheduler (call at startup and on interval)
-async function reseedFromQrng() {
-  if (!QRNG_ENABLED || !QRNG_API_KEY) {
-    // Fall back to OS entropy if QRNG is unavailable
-    await csprng.reseed(crypto.randomBytes(64));
-    return;
-  }
-  const seed = await getQrngSeedBytes(64);
-  await csprng.reseed(seed);
-  console.log(`[${new Date().toISOString()}] CSPRNG reseeded from QRNG (${seed.length} bytes)`);
-}
+    /** The job, if it exists and the caller may see it: jobs created with an API key stay with that key. */
+    function ownJob(req, id) {
+        const job = passwordJobs.get(id);
+        if (!job || !job.owner) return job;
+        const key = req.apiKey;
+        return key && (job.owner === `key:${key.id}` || key.scopes.includes('admin')) ? job : null;
+    }
+
+    const passwordJobController = {
+        /** POST /v1/jobs/passwords: queue a bulk generation job; 202 with the job id and links. */
+        create: async (req, res) => {
+            const { count: rawCount, usernames, entropyPolicy, seed, encryptTo, ...options } = req.body || {};
+            if (seed !== undefined) {
+                return res.status(400).json({ error: 'Deterministic mode is not available for jobs', message: 'remove seed' });
+            }
+            // Refused rather than ignored: the exports are plaintext files
+            if (encryptTo !== undefined) {
+                return res.status(400).json({ error: 'Encrypted delivery is not available for jobs', message: 'remove encryptTo' });
+            }
+            if (usernames !== undefined && (!Array.isArray(usernames) || usernames.some(u => typeof u !== 'string' || !u))) {
+                return res.status(400).json({ error: 'usernames must be an array of non-empty strings' });
+            }
+            const count = rawCount ?? usernames?.length;
+            if (!Number.isSafeInteger(count) || count < 1 || count > passwordJobMaxCount) {
+                return res.status(400).json({
+                    error: 'Invalid count',
+                    message: `count must be an integer between 1 and ${passwordJobMaxCount} (it defaults to the number of usernames)`
+                });
+            }
+            if (usernames && usernames.length !== count) {
+                return res.status(400).json({ error: 'Invalid count', message: 'count must match the number of usernames' });
+            }
 
-// Kick off at boot and every QRNG_RESEED_MS
-(async () => {
-  try {
-    await reseedFromQrng();
-  } catch (e) {
-    console.error('Initial reseed failed, using OS entropy fallback:', e);
-    await csprng.reseed(crypto.randomBytes(64));
-  }
-  setInterval(() => {
-    reseedFromQrng().catch(err => console.error('Periodic reseed failed:', err));
-  }, QRNG_RESEED_MS);
-})();
-
-// --------------- Password derivation ---------------
-async function derivePassword(length, charset, requireEachClass, opts) {
-  if (length > MAX_LEN) throw new Error('length exceeds limit');
-
-  // Pull a chunk from the CSPRNG, top up as needed
-  let stream = await csprng.getBytes(Math.max(128, length * 4)); // 4B → 1 index; top-up below if needed
-
-  const pullIdx = (base) => {
-    let pool = [];
-    return async (n = base) => {
-      while (pool.length === 0) {
-        pool = indicesFromBytes(stream, base);
-        if (pool.length === 0) {
-          // top-up the stream
-          stream = Buffer.concat([stream, await csprng.getBytes(256)]);
+            const policy = checkEntropyPolicy(req);
+            if (!policy.ok) return res.status(policy.status).json(policy.body);
+
+            // One password up front, so bad options are a 400 now rather than a failed job later
+            const generateOptions = { ...options, includeStrength: false };
+            const probe = await generatePasswords({ ...generateOptions, count: 1 }, csprng, stores);
+            if (!probe.ok) return res.status(probe.status).json(probe.body);
+
+            const job = passwordJobs.create({
+                owner: req.apiKey ? `key:${req.apiKey.id}` : null,
+                count,
+                usernames: usernames || null,
+                meta: probe.meta,
+                generate: async (n) => {
+                    // Like the entropy feed, every chunk is held to the policy in force when it is generated
+                    const check = generator.checkEntropyPolicy(entropyPolicy);
+                    if (!check.ok) throw new GenerationError(check.status, check.body);
+                    const result = await generatePasswords({ ...generateOptions, count: n }, csprng, stores);
+                    if (!result.ok) throw new GenerationError(result.status, result.body);
+                    passwordsGenerated.inc({ mode: result.meta.mode }, result.passwords.length);
+                    return result.passwords;
+                }
+            });
+            if (!job) {
+                return res.status(429).json({
+                    error: 'Too many jobs',
+                    message: `At most ${passwordJobsMax} jobs are held at once; download or delete finished jobs first`
+                });
+            }
+
+            const location = `${req.baseUrl}/v1/jobs/${job.id}`;
+            res.status(202).location(location).json({
+                ...passwordJobs.publicView(job),
+                links: { status: location, download: `${location}/download` },
+                entropy: policy.meta
+            });
+        },
+
+        getJob: (req, res) => {
+            const job = ownJob(req, req.params.id);
+            if (!job) return jobNotFound(res);
+            res.json(passwordJobs.publicView(job));
+        },
+
+        /** GET /v1/jobs/:id/download?format=: the results, once; they are dropped from memory as they are sent. */
+        download: (req, res) => {
+            const format = req.query.format || 'csv';
+            if (!EXPORT_FORMATS.includes(format)) {
+                return res.status(400).json({ error: 'Invalid format', supported: EXPORT_FORMATS });
+            }
+            const job = ownJob(req, req.params.id);
+            if (!job) return jobNotFound(res);
+
+            const results = passwordJobs.take(job.id);
+            if (!results.ok) {
+                if (results.reason === 'downloaded') {
+                    return res.status(410).json({ error: 'Results were already downloaded', downloadedAt: job.downloadedAt });
+                }
+                if (results.reason === 'failed') return res.status(409).json({ error: 'Job failed', job: passwordJobs.publicView(job) });
+                return res.status(409).json({ error: 'Job not finished', job: passwordJobs.publicView(job) });
+            }
+
+            const { contentType, suffix } = EXPORT_TYPES[format];
+            res.setHeader('Content-Disposition', `attachment; filename="passwords-${job.id}${suffix}"`);
+            res.type(contentType).send(exportResults(results, format));
+        },
+
+        deleteJob: (req, res) => {
+            const job = ownJob(req, req.params.id);
+            if (!job) return jobNotFound(res);
+            passwordJobs.remove(job.id);
+            res.status(204).end();
         }
-      }
-      return pool.shift() % n;
     };
-  };
 
-  const pickChar = pullIdx(charset.length);
-  const out = [];
-  for (let i = 0; i < length; i++) out.push(charset[await pickChar()]);
+    // --------------------- One-Time Secret Controller ---------------------
+    const secrets = createSecretStore({ file: secretsFile, maxSecrets: secretsMax, onEvent: event => secretEvents.inc({ event }) });
 
-  if (requireEachClass) {
-    const pickPos = pullIdx(out.length);
-    const pickFromSet = async (n) => (await pullIdx(n)());
-    await enforceRequirementsAsync(out, opts, pickPos, pickFromSet);
-  }
+    appMetrics.gauge('passgen_secrets', 'One-time secrets currently stored', [], () => [[{}, secrets.count()]]);
 
-  return out.join('');
-}
+    const secretController = {
+        /** POST /v1/secrets: store a supplied or freshly generated secret; 201 with the one-time link. */
+        create: async (req, res) => {
+            const { secret, generate, passphrase, maxViews = 1, ttlSeconds } = req.body || {};
+            if (secret !== undefined && generate !== undefined) {
+                return res.status(400).json({ error: 'Invalid secret', message: 'send either secret or generate, not both' });
+            }
+            if (generate?.seed !== undefined) {
+                return res.status(400).json({ error: 'Deterministic mode is not available for secrets', message: 'remove generate.seed' });
+            }
+            if (secret !== undefined && (typeof secret !== 'string' || !secret || secret.length > secretMaxLength)) {
+                return res.status(400).json({ error: 'Invalid secret', message: `secret must be a string of 1 to ${secretMaxLength} characters` });
+            }
+            if (passphrase !== undefined && (typeof passphrase !== 'string' || !passphrase)) {
+                return res.status(400).json({ error: 'Invalid passphrase', message: 'passphrase must be a non-empty string' });
+            }
+            if (!Number.isInteger(maxViews) || maxViews < 1 || maxViews > SECRET_MAX_VIEWS) {
+                return res.status(400).json({ error: 'Invalid maxViews', message: `maxViews must be an integer between 1 and ${SECRET_MAX_VIEWS}` });
+            }
+            const ttlMs = ttlSeconds === undefined ? secretDefaultTtlMs : ttlSeconds * 1000;
+            if (!Number.isSafeInteger(ttlMs) || ttlMs < 60000 || ttlMs > secretMaxTtlMs) {
+                return res.status(400).json({
+                    error: 'Invalid ttlSeconds',
+                    message: `ttlSeconds must be between 60 and ${Math.floor(secretMaxTtlMs / 1000)}`
+                });
+            }
+
+            const policy = checkEntropyPolicy(req);
+            if (!policy.ok) return res.status(policy.status).json(policy.body);
+
+            let value = secret;
+            let generated = null;
+            if (value === undefined) {
+                generated = await generatePasswords({ ...(generate || {}), count: 1, includeStrength: false }, csprng, stores);
+                if (!generated.ok) return res.status(generated.status).json(generated.body);
+                passwordsGenerated.inc({ mode: generated.meta.mode });
+                [value] = generated.passwords;
+            }
+
+            const { record, linkKey } = await sealSecret(value, { rng: csprng, passphrase, ttlMs, maxViews });
+            if (!secrets.add(record)) {
+                return res.status(429).json({ error: 'Too many secrets', message: `At most ${secretsMax} secrets are stored at once` });
+            }
+
+            const location = `${req.baseUrl}/v1/secrets/${record.id}`;
+            res.status(201).location(location).json({
+                id: record.id,
+                link: `${req.protocol}://${req.get('host')}${location}#${linkKey}`,
+                key: linkKey,
+                // A generated secret is shown to its creator once, here; the link is for the recipient
+                ...(generated ? { secret: value, meta: generated.meta } : {}),
+                passphrase: record.passphrase,
+                maxViews: record.maxViews,
+                createdAt: record.createdAt,
+                expiresAt: record.expiresAt,
+                entropy: policy.meta
+            });
+        },
+
+        /**
+         * GET /v1/secrets/:id with the link key in x-secret-key: the secret, counting one view.
+         * Browsers opening the link (no key header) get the reveal page instead, which spends nothing.
+         */
+        view: async (req, res) => {
+            const record = secrets.get(req.params.id);
+            const linkKey = req.headers[SECRET_KEY_HEADER];
+            if (!linkKey && req.accepts(['json', 'html']) === 'html') {
+                if (!record) return res.status(404).type('html').send('<!doctype html><title>Secret not found</title><p>This secret was already viewed, has expired or never existed.</p>');
+                return res.type('html').send(renderRevealPage({ passphrase: record.passphrase }));
+            }
+            if (!record) return secretNotFound(res);
+            if (!linkKey) {
+                return res.status(400).json({ error: 'Secret key required', message: `Send the part of the link after # in the ${SECRET_KEY_HEADER} header` });
+            }
+            const pass = secretPassphrase(req);
+            if (!pass.ok) return res.status(400).json({ error: 'Invalid passphrase header', message: `${SECRET_PASSPHRASE_HEADER} must be percent-encoded` });
+
+            const opened = await openSecret(record, linkKey, pass.passphrase);
+            if (!opened.ok) {
+                if (opened.reason === 'bad_key') return res.status(403).json({ error: 'Invalid secret key' });
+                if (opened.reason === 'passphrase_required') {
+                    return res.status(401).json({ error: 'Passphrase required', message: `Send it in the ${SECRET_PASSPHRASE_HEADER} header` });
+                }
+                secretEvents.inc({ event: 'passphrase_failed' });
+                const attemptsRemaining = secrets.recordFailedPassphrase(record.id);
+                return res.status(403).json({
+                    error: 'Wrong passphrase',
+                    message: attemptsRemaining ? `${attemptsRemaining} attempt(s) left` : `The secret was destroyed after ${MAX_PASSPHRASE_ATTEMPTS} wrong passphrases`,
+                    attemptsRemaining
+                });
+            }
+
+            // Claimed synchronously, so two concurrent views of a one-view secret cannot both succeed
+            const viewsRemaining = secrets.recordView(record.id);
+            if (viewsRemaining === null) return secretNotFound(res);
+            res.json({
+                secret: opened.secret,
+                viewsRemaining,
+                expiresAt: viewsRemaining ? record.expiresAt : null
+            });
+        },
+
+        /** DELETE /v1/secrets/:id: destroy a secret early; the link key proves the caller holds the link. */
+        destroy: (req, res) => {
+            const record = secrets.get(req.params.id);
+            if (!record) return secretNotFound(res);
+            const linkKey = req.headers[SECRET_KEY_HEADER];
+            if (!linkKey) return res.status(400).json({ error: 'Secret key required', message: `Send the link key in the ${SECRET_KEY_HEADER} header` });
+            if (!linkKeyMatches(record, linkKey)) return res.status(403).json({ error: 'Invalid secret key' });
+            secrets.remove(record.id);
+            res.status(204).end();
+        }
+    };
+
+    // --------------------- MFA Controller ---------------------
+    // MFA secrets, recovery codes and keys are credentials: like password jobs, they never come from a seed
+    const rejectSeed = (req, res, material = 'MFA material') => {
+        if (req.body?.seed === undefined) return false;
+        res.status(400).json({ error: `Deterministic mode is not available for ${material}`, message: 'remove seed' });
+        return true;
+    };
+
+    const mfaController = {
+        /** POST /v1/otp/secret: a new TOTP/HOTP secret, its otpauth:// URI and optionally a QR code. */
+        otpSecret: async (req, res) => {
+            if (rejectSeed(req, res)) return;
+            const policy = checkEntropyPolicy(req);
+            if (!policy.ok) return res.status(policy.status).json(policy.body);
+
+            const result = await generateOtpSecret(req.body || {}, csprng);
+            if (!result.ok) return res.status(result.status).json(result.body);
+            mfaEvents.inc({ event: 'otp_secret' });
+
+            res.status(201).json({
+                secret: result.secret,
+                uri: result.uri,
+                ...(req.body?.qr ? { qrSvg: qrToSvg(encodeQr(result.uri)) } : {}),
+                ...result.options,
+                entropy: policy.meta
+            });
+        },
+
+        /** POST /v1/otp/verify: stateless check of a code; the caller tracks used time steps/counters. */
+        otpVerify: (req, res) => {
+            const result = verifyOtpCode(req.body || {});
+            if (!result.ok) return res.status(result.status).json(result.body);
+            mfaEvents.inc({ event: result.valid ? 'otp_valid' : 'otp_invalid' });
+            const { ok, ...response } = result;
+            res.json(response);
+        },
 
-async function enforceRequirementsAsync(pwArray, opts, pickPos, pickFromSet) {
-    const reqSets = [];
-    if (opts.includeLower) reqSets.push(LOWER);
-    if (opts.includeUpper) reqSets.push(UPPER);
-    if (opts.includeDigits) reqSets.push(DIGITS);
-    if (opts.includeSymbols) reqSets.push(opts.symbols || DEFAULT_SYMBOLS);
-
-    for (const s of reqSets) {
-        if (!s) continue;
-        const ok = pwArray.some(c => s.includes(c));
-        if (!ok) {
-            const pos = await pickPos(pwArray.length);
-            const ci = await pickFromSet(s.length);
-            pwArray[pos] = s[ci];
+        /** POST /v1/recovery-codes: a set of distinct, formatted backup codes. */
+        recoveryCodes: async (req, res) => {
+            if (rejectSeed(req, res)) return;
+            const policy = checkEntropyPolicy(req);
+            if (!policy.ok) return res.status(policy.status).json(policy.body);
+
+            const result = await generateRecoveryCodes(req.body || {}, csprng);
+            if (!result.ok) return res.status(result.status).json(result.body);
+            mfaEvents.inc({ event: 'recovery_codes' });
+            res.status(201).json({ codes: result.codes, meta: { ...result.meta, entropy: policy.meta } });
         }
+    };
+
+    // --------------------- Key Controller ---------------------
+    /** Run a keys.js generator under the request's entropy policy and send its result with the source meta. */
+    async function sendKeyMaterial(req, res, kind, generate) {
+        if (rejectSeed(req, res, 'key material')) return;
+        const policy = checkEntropyPolicy(req);
+        if (!policy.ok) return res.status(policy.status).json(policy.body);
+
+        const { ok, meta, ...material } = await generate(req.body || {}, csprng);
+        if (!ok) return res.status(material.status).json(material.body);
+        keysGenerated.inc({ kind });
+        res.status(201).json({
+            ...material,
+            // OpenSSL-generated material never went through the CSPRNG, so its sources say nothing about it
+            meta: { ...meta, ...(meta.source === 'csprng' ? { sources: generator.sourcesMeta() } : {}), entropy: policy.meta }
+        });
     }
-    return pwArray;
-}
 
-// --------------------- Controllers ---------------------
-const passwordController = {
-    generatePasswords: async (req, res) => {
-        if (!QRNG_ENABLED || !QRNG_API_KEY) {
-            return res.status(400).json({
-                error: 'QRNG not configured',
-                requiredEnv: ['QRNG_ENABLED=true', 'QRNG_API_KEY=<your key>', 'QRNG_URL=<optional override>']
+    const keyController = {
+        /** POST /v1/keys/api-token: prefixed tokens with a checksum secret scanners can verify. */
+        apiToken: (req, res) => sendKeyMaterial(req, res, 'api_token', generateApiTokens),
+
+        /** POST /v1/keys/uuid: UUIDv4 or UUIDv7. */
+        uuid: (req, res) => sendKeyMaterial(req, res, 'uuid', generateUuids),
+
+        /** POST /v1/keys/ulid */
+        ulid: (req, res) => sendKeyMaterial(req, res, 'ulid', generateUlids),
+
+        /** POST /v1/keys/secret: an HMAC/JWT signing secret. */
+        secret: (req, res) => sendKeyMaterial(req, res, 'secret', generateSecretKey),
+
+        /** POST /v1/keys/keypair: RSA primes come from OpenSSL, so require-qrng cannot be met for RSA. */
+        keyPair: (req, res) => {
+            if (req.body?.type === 'rsa' && checkEntropyPolicy(req).meta?.policy === 'require-qrng') {
+                return res.status(400).json({
+                    error: 'RSA keys are not available under require-qrng',
+                    message: 'RSA keys are generated by OpenSSL, which cannot use QRNG entropy; use ed25519 or ecdsa'
+                });
+            }
+            return sendKeyMaterial(req, res, 'keypair', generateKeyPairMaterial);
+        }
+    };
+
+    const policyController = {
+        listPolicies: (req, res) => {
+            res.json({ policies: policies.listPolicies(), default: DEFAULT_POLICY });
+        },
+
+        savePolicy: (req, res) => {
+            const { name, ...policy } = req.body || {};
+            try {
+                res.status(201).json(policies.setCustomPolicy(name, policy));
+            } catch (e) {
+                res.status(400).json({ error: 'Invalid policy', message: e.message });
+            }
+        },
+
+        deletePolicy: (req, res) => {
+            try {
+                const removed = policies.deleteCustomPolicy(req.params.name);
+                if (!removed) return res.status(404).json({ error: 'Policy not found' });
+                res.json({ deleted: removed.name });
+            } catch (e) {
+                res.status(400).json({ error: 'Cannot delete policy', message: e.message });
+            }
+        }
+    };
+
+    const wordlistController = {
+        listWordlists: (req, res) => {
+            res.json({ wordlists: wordlists.listWordlists(), default: DEFAULT_WORDLIST });
+        },
+
+        uploadWordlist: (req, res) => {
+            const { name, words, text } = req.body || {};
+            // Accept either a JSON array or a newline-separated blob
+            const raw = Array.isArray(words) ? words : (typeof text === 'string' ? splitWordlistText(text) : null);
+            if (!raw) {
+                return res.status(400).json({ error: 'Provide words (array of strings) or text (newline-separated)' });
+            }
+            try {
+                const list = wordlists.addCustomWordlist(name, raw);
+                res.status(201).json({
+                    name: list.name,
+                    size: list.words.length,
+                    bitsPerWord: Math.log2(list.words.length)
+                });
+            } catch (e) {
+                res.status(400).json({ error: 'Invalid wordlist', message: e.message });
+            }
+        }
+    };
+
+    const healthController = {
+        healthz: (req, res) => {
+            const { ready, reasons, freshness } = generator.readiness();
+            const { lastReseedAttempt } = generator;
+            const iso = (t) => (t ? new Date(t).toISOString() : null);
+            res.status(ready ? 200 : 503).json({
+                ok: ready,
+                status: ready ? 'ready' : 'degraded',
+                ...(reasons.length ? { reasons } : {}),
+                qrngEnabled: generator.qrngConfigured,
+                entropyPolicy: generator.entropyPolicy,
+                lastReseed: lastReseedAttempt
+                    ? { at: iso(lastReseedAttempt.at), ok: lastReseedAttempt.ok, ...(lastReseedAttempt.error ? { error: lastReseedAttempt.error } : {}) }
+                    : null,
+                seed: freshness,
+                drbg: csprng.drbg.describe(),
+                selfTest: lastSelfTest,
+                sources: generator.sources.status()
             });
         }
-        const {
-            length = 24, count = 1,
-            includeLower = true, includeUpper = true, includeDigits = true,
-            includeSymbols = true, symbols = DEFAULT_SYMBOLS,
-            excludeAmbiguous = true, requireEachClass = true
-        } = req.body || {};
-
-        const n = Math.min(Math.max(parseInt(count, 10) || 1, 1), MAX_COUNT);
-        const L = Math.min(Math.max(parseInt(length, 10) || 24, 4), MAX_LEN);
-
-        const opts = {
-            includeLower: !!includeLower,
-            includeUpper: !!includeUpper,
-            includeDigits: !!includeDigits,
-            includeSymbols: !!includeSymbols,
-            symbols: String(symbols || DEFAULT_SYMBOLS),
-            excludeAmbiguous: !!excludeAmbiguous
-        };
+    };
 
-        const charset = buildCharset(opts);
-        const out = [];
-        for (let i = 0; i < n; i++) {
-            // eslint-disable-next-line no-await-in-loop
-            out.push(await derivePassword(L, charset, !!requireEachClass, opts));
+    const metricsController = {
+        getMetrics: (req, res) => {
+            res.type(METRICS_CONTENT_TYPE).send(metrics.render() + generator.metrics.render() + appMetrics.render());
         }
+    };
 
-        res.status(200).json({
-            passwords: out,
-            meta: {
-                mode: 'charset',
-                length: L,
-                classes: { lower: opts.includeLower, upper: opts.includeUpper, digits: opts.includeDigits, symbols: opts.includeSymbols },
-                excludeAmbiguous: opts.excludeAmbiguous,
-                requireEachClass: !!requireEachClass,
-                charsetSize: charset.length,
-                sources: { qrng: QRNG_ENABLED }
+    // Per-client API keys (hashed, file-backed); used by the auth middleware in app.js
+    const apiKeys = createKeyStore({ file: apiKeysFile });
+
+    const apiKeyController = {
+        listKeys: (req, res) => {
+            res.json({ keys: apiKeys.list() });
+        },
+
+        createKey: (req, res) => {
+            const { name, scopes, rateLimit, dailyQuota } = req.body || {};
+            try {
+                const { key, record } = apiKeys.create({ name, scopes, rateLimit, dailyQuota });
+                // The plaintext key is only ever returned here
+                res.status(201).json({ key, ...record });
+            } catch (e) {
+                res.status(400).json({ error: 'Invalid key request', message: e.message });
             }
-        });
-    }
-};
+        },
 
-const healthController = {
-    healthz: (req, res) => {
-        res.json({
-            ok: true,
-            qrngEnabled: QRNG_ENABLED
-        });
-    }
-};
+        rotateKey: (req, res) => {
+            const result = apiKeys.rotate(req.params.id);
+            if (!result) return res.status(404).json({ error: 'Key not found or revoked' });
+            res.json({ key: result.key, ...result.record });
+        },
 
-const adminController = {
-    reseedNow: async (req, res) => {
-        try {
-            await reseedFromQrng();
-            res.json({ ok: true, reseededAt: new Date().toISOString() });
-        } catch (e) {
-            res.status(500).json({ ok: false, error: String(e) });
+        revokeKey: (req, res) => {
+            const record = apiKeys.revoke(req.params.id);
+            if (!record) return res.status(404).json({ error: 'Key not found' });
+            res.json(record);
+        },
+
+        getUsage: (req, res) => {
+            const record = apiKeys.get(req.params.id);
+            if (!record) return res.status(404).json({ error: 'Key not found' });
+            res.json({
+                id: record.id,
+                name: record.name,
+                dailyQuota: record.dailyQuota,
+                rateLimit: record.rateLimit,
+                lastUsedAt: record.lastUsedAt,
+                usage: record.usage
+            });
+        }
+    };
+
+    let lastSelfTest = null; // { at, pass, sampleBytes, failed[] } of the most recent self-test
+
+    const adminController = {
+        reseedNow: async (req, res) => {
+            try {
+                const contributions = await generator.reseed();
+                res.json({ ok: true, reseededAt: new Date().toISOString(), sources: contributions });
+            } catch (e) {
+                res.status(500).json({ ok: false, error: String(e) });
+            }
+        },
+
+        /** POST /v1/admin/self-test: statistical tests over a fresh sample of CSPRNG output. */
+        selfTest: async (req, res, next) => {
+            const raw = req.body?.bytes;
+            const bytes = raw === undefined ? SELF_TEST_DEFAULT_BYTES : Number(raw);
+            if (!Number.isSafeInteger(bytes) || bytes < SELF_TEST_MIN_BYTES || bytes > SELF_TEST_MAX_BYTES) {
+                return res.status(400).json({
+                    error: 'Invalid bytes',
+                    message: `bytes must be an integer between ${SELF_TEST_MIN_BYTES} and ${SELF_TEST_MAX_BYTES}`
+                });
+            }
+
+            try {
+                const result = runSelfTest(await csprng.getBytes(bytes));
+                const at = new Date().toISOString();
+                lastSelfTest = { at, pass: result.pass, sampleBytes: bytes, failed: result.tests.filter(t => !t.pass).map(t => t.name) };
+                selfTests.inc({ result: result.pass ? 'pass' : 'fail' });
+                res.json({
+                    ok: result.pass,
+                    at,
+                    ...result,
+                    continuous: {
+                        csprng: csprng.outputTests.cutoffs,
+                        sources: generator.sources.status().map(({ name, kind, quarantined }) => ({ name, kind, quarantined }))
+                    }
+                });
+            } catch (err) {
+                next(err);
+            }
+        }
+    };
+
+    // --------------------- Dice Roll Controller ---------------------
+    /** Evaluate a parsed expression `times` times, as /v1/roll does. */
+    async function rollExpression(parsed, times, rng = csprng) {
+        const results = [];
+        for (let i = 0; i < times; i++) {
+            // eslint-disable-next-line no-await-in-loop
+            results.push(await evaluateDice(parsed, sides => rollSingleDie(sides, rng)));
         }
+        diceRolls.inc({}, results.length);
+        return results;
     }
-};
 
-// --------------------- Dice Roll Controller ---------------------
-const diceController = {
-    rollDice: async (req, res) => {
-        try {
-            const { expression, rolls = 1 } = req.body || {};
-            const pathExpression = req.params?.expression;
+    const diceController = {
+        rollDice: async (req, res) => {
+            const randomness = resolveRandomness(req, 'dice');
+            if (!randomness.ok) return res.status(randomness.status).json(randomness.body);
+
+            try {
+                const { expression, rolls = 1 } = req.body || {};
+                const pathExpression = req.params?.expression;
             
-            // Use path parameter if no body expression provided
-            const diceExpression = expression || pathExpression;
+                // Use path parameter if no body expression provided
+                const diceExpression = expression || pathExpression;
             
-            if (!diceExpression) {
-                return res.status(400).json({
-                    error: 'Dice expression required',
-                    examples: [
-                        'd20',
-                        '2d6+3',
-                        'd100-10',
-                        '3d8+2d4+5',
-                        'd20+5 for attack roll'
-                    ]
+                if (!diceExpression) {
+                    return res.status(400).json({
+                        error: 'Dice expression required',
+                        examples: DICE_EXAMPLES
+                    });
+                }
+
+                // Parse once so syntax errors surface before any dice are rolled
+                const parsed = parseDiceExpression(String(diceExpression));
+                const totalRolls = Math.min(Math.max(parseInt(rolls, 10) || 1, 1), 100); // Limit to 100 rolls max
+                const results = await rollExpression(parsed, totalRolls, randomness.rng);
+
+                res.json({
+                    ...(randomness.deterministic ? { deterministic: true } : {}),
+                    expression: diceExpression,
+                    rolls: results,
+                    summary: rollSummary(results),
+                    ...(randomness.deterministic ? {} : { entropy: randomness.entropyMeta })
                 });
+
+            } catch (error) {
+                if (!(error instanceof DiceSyntaxError)) throw error;
+                invalidDiceResponse(res, error);
+            }
+        },
+
+        rollStats: async (req, res) => {
+            try {
+                const samples = parseSamples(req.query?.samples);
+                res.json(await analyzeDiceExpression(req.params.expression, samples));
+            } catch (error) {
+                if (!(error instanceof DiceSyntaxError)) throw error;
+                res.status(422).json({ error: 'Invalid dice expression', message: error.message, position: error.position });
+            }
+        },
+
+        analyze: async (req, res) => {
+            const { expression, expressions, samples } = req.body || {};
+            const list = Array.isArray(expressions) ? expressions : (expression ? [expression] : []);
+            if (list.length === 0) {
+                return res.status(400).json({ error: 'expression or expressions[] required', examples: ['4d6kh3', '3d6'] });
+            }
+            if (list.length > STATS_MAX_EXPRESSIONS) {
+                return res.status(400).json({ error: `At most ${STATS_MAX_EXPRESSIONS} expressions per request` });
             }
 
+            const n = parseSamples(samples);
             const results = [];
-            const totalRolls = Math.min(Math.max(parseInt(rolls, 10) || 1, 1), 100); // Limit to 100 rolls max
+            for (const expr of list) {
+                try {
+                    // eslint-disable-next-line no-await-in-loop
+                    results.push(await analyzeDiceExpression(expr, n));
+                } catch (error) {
+                    if (!(error instanceof DiceSyntaxError)) throw error;
+                    return res.status(422).json({
+                        error: 'Invalid dice expression',
+                        expression: expr,
+                        message: error.message,
+                        position: error.position
+                    });
+                }
+            }
+            res.json(Array.isArray(expressions) ? { results } : results[0]);
+        }
+    };
+
+    // --------------------- Commit-Reveal Roll Controller ---------------------
+    const rollSessions = createRollSessionStore({ file: rollSessionsFile, ttlMs: rollSessionTtlMs, maxSessions: rollSessionsMax });
+
+    const fairRollController = {
+        commit: async (req, res) => {
+            const policy = checkEntropyPolicy(req);
+            if (!policy.ok) return res.status(policy.status).json(policy.body);
 
-            for (let i = 0; i < totalRolls; i++) {
-                const result = await parseAndRollDice(diceExpression);
-                results.push(result);
+            const serverSeed = (await csprng.getBytes(SERVER_SEED_BYTES)).toString('hex');
+            const session = rollSessions.create(serverSeed);
+            if (!session) {
+                return res.status(429).json({
+                    error: 'Too many roll sessions',
+                    message: `At most ${rollSessionsMax} commit-reveal sessions are held at once; try again once some expire`
+                });
             }
+            fairRollEvents.inc({ event: 'committed' });
+            res.status(201).json({
+                sessionId: session.id,
+                commitment: session.commitment,
+                algorithm: 'sha256',
+                version: session.version,
+                createdAt: session.createdAt,
+                expiresAt: session.expiresAt,
+                nextNonce: session.nextNonce,
+                entropy: policy.meta
+            });
+        },
+
+        getSession: (req, res) => {
+            const session = rollSessions.get(req.params.id);
+            if (!session) return res.status(404).json({ error: 'Roll session not found or expired' });
+            res.json(rollSessions.publicView(session));
+        },
+
+        roll: async (req, res) => {
+            const { clientSeed, expression, rolls = 1 } = req.body || {};
+            const problem = fairRollInputProblem({ clientSeed, rolls });
+            if (problem) return res.status(400).json({ error: 'Invalid roll request', message: problem });
+            if (!expression) return res.status(400).json({ error: 'Dice expression required', examples: DICE_EXAMPLES });
+
+            try {
+                // Reject bad syntax before a nonce is spent on it
+                parseDiceExpression(String(expression));
+            } catch (error) {
+                if (!(error instanceof DiceSyntaxError)) throw error;
+                return invalidDiceResponse(res, error);
+            }
+
+            const claim = rollSessions.claimNonce(req.params.id);
+            if (!claim.ok) {
+                if (claim.reason === 'not_found') return res.status(404).json({ error: 'Roll session not found or expired' });
+                if (claim.reason === 'revealed') return res.status(409).json({ error: 'Roll session already revealed' });
+                return res.status(409).json({ error: `Roll session is limited to ${MAX_ROLLS_PER_SESSION} rolls` });
+            }
+
+            const { session, nonce } = claim;
+            let results;
+            try {
+                results = await computeFairRolls({ serverSeed: session.serverSeed, clientSeed, nonce, expression: String(expression), rolls });
+            } catch (error) {
+                if (!(error instanceof DiceSyntaxError)) throw error;
+                return invalidDiceResponse(res, error);
+            }
+            diceRolls.inc({}, results.length);
+            rollSessions.recordRoll(session.id, {
+                nonce,
+                clientSeed,
+                expression: String(expression),
+                rolls: results.length,
+                totals: results.map(r => r.total),
+                at: new Date().toISOString()
+            });
 
             res.json({
-                expression: diceExpression,
+                sessionId: session.id,
+                commitment: session.commitment,
+                nonce,
+                clientSeed,
+                expression: String(expression),
                 rolls: results,
-                summary: {
-                    totalRolls: results.length,
-                    individualResults: results.map(r => r.total),
-                    min: Math.min(...results.map(r => r.total)),
-                    max: Math.max(...results.map(r => r.total)),
-                    average: results.reduce((sum, r) => sum + r.total, 0) / results.length
-                }
+                summary: rollSummary(results)
             });
+        },
 
-        } catch (error) {
-            res.status(400).json({
-                error: 'Invalid dice expression',
-                message: error.message,
-                examples: [
-                    'd20',
-                    '2d6+3',
-                    'd100-10',
-                    '3d8+2d4+5'
-                ]
-            });
+        reveal: (req, res) => {
+            const existing = rollSessions.get(req.params.id);
+            if (!existing) return res.status(404).json({ error: 'Roll session not found or expired' });
+            if (!existing.revealedAt) fairRollEvents.inc({ event: 'revealed' });
+            res.json(rollSessions.publicView(rollSessions.reveal(existing.id)));
+        },
+
+        verify: async (req, res) => {
+            const { serverSeed, commitment, clientSeed, nonce, expression, rolls = 1 } = req.body || {};
+            if (serverSeed === undefined || nonce === undefined || !expression) {
+                return res.status(400).json({ error: 'serverSeed, clientSeed, nonce and expression are required' });
+            }
+            const problem = fairRollInputProblem({ serverSeed, clientSeed, nonce, rolls });
+            if (problem) return res.status(400).json({ error: 'Invalid verify request', message: problem });
+
+            try {
+                const result = await verifyFairRoll({ serverSeed, commitment, clientSeed, nonce, expression: String(expression), rolls });
+                res.json({
+                    commitmentValid: result.commitmentValid,
+                    nonce,
+                    clientSeed,
+                    expression: String(expression),
+                    rolls: result.rolls,
+                    summary: rollSummary(result.rolls)
+                });
+            } catch (error) {
+                if (!(error instanceof DiceSyntaxError)) throw error;
+                invalidDiceResponse(res, error);
+            }
         }
-    }
-};
+    };
 
-// --------------------- Entropy Controller ---------------------
-const entropyController = {
-    getEntropyUint32: async (req, res, next) => {
-        try {
-            const rawCount = parseInt(req.query.count, 10);
-            const requestedCount = Number.isFinite(rawCount) ? rawCount : 1024;
+    // --------------------- Campaign Session Controller ---------------------
+    const campaignSessions = createSessionStore({ file: sessionsFile, maxRolls: sessionMaxRolls, maxSessions: sessionsMax });
 
-            // Clamp to a safe range to prevent abuse.
-            const MAX_COUNT = 5000;
-            const count = Math.min(Math.max(requestedCount, 1), MAX_COUNT);
+    async function appendSessionRoll(req, res, name, { expression, macro }) {
+        const { roller = 'anonymous', label = null } = req.body || {};
+        if (typeof roller !== 'string' || !roller || roller.length > MAX_LABEL_LENGTH
+            || (label !== null && (typeof label !== 'string' || label.length > MAX_LABEL_LENGTH))) {
+            return res.status(400).json({ error: `roller and label must be strings of at most ${MAX_LABEL_LENGTH} characters` });
+        }
 
-            // Use the shared CSPRNG instance already defined in this module
-            const numbers = await getRandomUint32Array(csprng, count);
+        const policy = checkEntropyPolicy(req);
+        if (!policy.ok) return res.status(policy.status).json(policy.body);
 
-            res.json({
-                numbers,
-                meta: {
-                    bitsPerNumber: 32,
-                    count,
-                    sources: {
-                        // Reflect existing entropy design: OS + QRNG + HKDF mixing.
-                        os: true,
-                        qrng: QRNG_ENABLED,
-                        mixed: true
-                    }
-                }
+        try {
+            const result = await evaluateDice(parseDiceExpression(String(expression)), sides => rollSingleDie(sides));
+            diceRolls.inc();
+            const entry = campaignSessions.appendRoll(name, {
+                roller,
+                label,
+                macro,
+                expression: String(expression),
+                total: result.total,
+                detail: result.detail,
+                breakdown: result.breakdown
             });
-        } catch (err) {
-            next(err);
+            if (!entry) return sessionNotFound(res);
+            res.status(201).json({ session: name, ...entry, entropy: policy.meta });
+        } catch (error) {
+            if (!(error instanceof DiceSyntaxError)) throw error;
+            invalidDiceResponse(res, error);
         }
     }
-};
 
-// Parse dice expression and roll the dice
-async function parseAndRollDice(expression) {
-    // Clean the expression
-    const cleanExpr = expression.toLowerCase().replace(/\s+/g, '');
-    
-    // Parse dice notation: XdY+Z or XdY-Z or just dY
-    const diceRegex = /(\d*)d(\d+)([+-]\d+)?/g;
-    let match;
-    let total = 0;
-    const rolls = [];
-    const breakdown = [];
-
-    while ((match = diceRegex.exec(cleanExpr)) !== null) {
-        const numDice = parseInt(match[1]) || 1;
-        const diceSize = parseInt(match[2]);
-        const modifier = match[3] ? parseInt(match[3]) : 0;
-
-        if (diceSize < 1 || diceSize > 1000) {
-            throw new Error(`Invalid dice size: d${diceSize}. Must be between 1 and 1000.`);
-        }
+    const sessionController = {
+        listSessions: (req, res) => {
+            res.json({ sessions: campaignSessions.list() });
+        },
 
-        if (numDice < 1 || numDice > 100) {
-            throw new Error(`Invalid number of dice: ${numDice}. Must be between 1 and 100.`);
-        }
+        createSession: (req, res) => {
+            const { name, description, macros } = req.body || {};
+            const problem = macroProblem(macros);
+            if (problem) return res.status(400).json({ error: 'Invalid macro', message: problem });
+            try {
+                res.status(201).json(campaignSessions.create({ name, description, macros }));
+            } catch (e) {
+                if (e.code === 'FULL') return res.status(429).json({ error: 'Too many sessions', message: e.message });
+                res.status(e.code === 'EXISTS' ? 409 : 400).json({ error: 'Invalid session', message: e.message });
+            }
+        },
+
+        getSession: (req, res) => {
+            const session = campaignSessions.get(req.params.name);
+            if (!session) return sessionNotFound(res);
+            res.json(session);
+        },
+
+        deleteSession: (req, res) => {
+            if (!campaignSessions.remove(req.params.name)) return sessionNotFound(res);
+            res.status(204).end();
+        },
+
+        roll: async (req, res) => {
+            const session = campaignSessions.get(req.params.name);
+            if (!session) return sessionNotFound(res);
+            const { expression, macro } = req.body || {};
+            if (macro !== undefined) {
+                if (!Object.prototype.hasOwnProperty.call(session.macros, macro)) {
+                    return res.status(404).json({ error: 'Macro not found', macros: Object.keys(session.macros) });
+                }
+                return appendSessionRoll(req, res, session.name, { expression: session.macros[macro], macro });
+            }
+            if (!expression) {
+                return res.status(400).json({ error: 'expression or macro required', examples: DICE_EXAMPLES });
+            }
+            return appendSessionRoll(req, res, session.name, { expression, macro: null });
+        },
+
+        rollMacro: async (req, res) => {
+            const session = campaignSessions.get(req.params.name);
+            if (!session) return sessionNotFound(res);
+            const { macro } = req.params;
+            if (!Object.prototype.hasOwnProperty.call(session.macros, macro)) {
+                return res.status(404).json({ error: 'Macro not found', macros: Object.keys(session.macros) });
+            }
+            return appendSessionRoll(req, res, session.name, { expression: session.macros[macro], macro });
+        },
+
+        listRolls: (req, res) => {
+            const parsed = parseRollFilters(req.query);
+            if (!parsed.ok) return res.status(400).json({ error: 'Invalid filter', message: parsed.message });
+            const rolls = campaignSessions.rolls(req.params.name, parsed.filters);
+            if (!rolls) return sessionNotFound(res);
+
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || SESSION_ROLLS_DEFAULT_LIMIT, 1), SESSION_ROLLS_MAX_LIMIT);
+            const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+            res.json({ session: req.params.name, total: rolls.length, offset, limit, rolls: rolls.slice(offset, offset + limit) });
+        },
+
+        exportRolls: (req, res) => {
+            const format = req.query.format || 'json';
+            if (!['json', 'csv'].includes(format)) {
+                return res.status(400).json({ error: 'Invalid format', supported: ['json', 'csv'] });
+            }
+            const parsed = parseRollFilters(req.query);
+            if (!parsed.ok) return res.status(400).json({ error: 'Invalid filter', message: parsed.message });
+            const rolls = campaignSessions.rolls(req.params.name, parsed.filters);
+            if (!rolls) return sessionNotFound(res);
+
+            res.setHeader('Content-Disposition', `attachment; filename="${req.params.name}-rolls.${format}"`);
+            if (format === 'csv') {
+                res.type('text/csv').send(rollsToCsv(rolls));
+            } else {
+                res.json({ session: req.params.name, exportedAt: new Date().toISOString(), filters: parsed.filters, rolls });
+            }
+        },
+
+        stats: (req, res) => {
+            const parsed = parseRollFilters(req.query);
+            if (!parsed.ok) return res.status(400).json({ error: 'Invalid filter', message: parsed.message });
+            const rolls = campaignSessions.rolls(req.params.name, parsed.filters);
+            if (!rolls) return sessionNotFound(res);
+            res.json({ session: req.params.name, filters: parsed.filters, ...rollStats(rolls) });
+        },
+
+        listMacros: (req, res) => {
+            const session = campaignSessions.get(req.params.name);
+            if (!session) return sessionNotFound(res);
+            res.json({ session: session.name, macros: session.macros });
+        },
+
+        setMacro: (req, res) => {
+            const { expression } = req.body || {};
+            const problem = macroProblem({ [req.params.macro]: expression });
+            if (problem) return res.status(400).json({ error: 'Invalid macro', message: problem });
+            try {
+                const macros = campaignSessions.setMacro(req.params.name, req.params.macro, expression);
+                if (!macros) return sessionNotFound(res);
+                res.json({ session: req.params.name, macros });
+            } catch (e) {
+                res.status(400).json({ error: 'Invalid macro', message: e.message });
+            }
+        },
 
-        // Roll the dice
-        const diceRolls = [];
-        for (let i = 0; i < numDice; i++) {
-            const roll = await rollSingleDie(diceSize);
-            diceRolls.push(roll);
+        deleteMacro: (req, res) => {
+            if (!campaignSessions.deleteMacro(req.params.name, req.params.macro)) {
+                return res.status(404).json({ error: 'Session or macro not found' });
+            }
+            res.status(204).end();
         }
+    };
 
-        const diceTotal = diceRolls.reduce((sum, roll) => sum + roll, 0) + modifier;
-        total += diceTotal;
-        
-        rolls.push(...diceRolls);
-        breakdown.push({
-            notation: `${numDice}d${diceSize}${modifier ? (modifier > 0 ? '+' : '') + modifier : ''}`,
-            rolls: diceRolls,
-            modifier,
-            subtotal: diceTotal
-        });
-    }
+    // --------------------- Live Feed Controller ---------------------
+    const liveRooms = createRoomHub();
+    const entropyFeeds = new Map(); // API key id or client IP -> open entropy feeds
+    let openEntropyFeeds = 0;
+
+    appMetrics.gauge('passgen_live_connections', 'Open Server-Sent Events streams', ['stream'], () => [
+        [{ stream: 'room' }, liveRooms.connections],
+        [{ stream: 'entropy' }, openEntropyFeeds]
+    ]);
+
+    const liveController = {
+        listRooms: (req, res) => {
+            res.json({ rooms: liveRooms.list() });
+        },
+
+        /** GET /v1/rooms/:room/events: roll events for the room as text/event-stream. */
+        roomEvents: (req, res) => {
+            const { room } = req.params;
+            if (!liveRooms.canJoin(room)) return res.status(503).json({ error: 'Room is full' });
 
-    // Handle any remaining numbers (standalone modifiers)
-    const remainingNumbers = cleanExpr.replace(/(\d*)d\d+([+-]\d+)?/g, '').match(/[+-]?\d+/g);
-    if (remainingNumbers) {
-        for (const num of remainingNumbers) {
-            const value = parseInt(num);
-            if (!isNaN(value)) {
-                total += value;
-                breakdown.push({
-                    notation: num,
-                    rolls: [],
-                    modifier: value,
-                    subtotal: value
+            // Browsers resend the last id they saw on reconnect; ?lastEventId= does the same by hand
+            const lastEventId = parseInt(req.headers['last-event-id'] ?? req.query.lastEventId, 10);
+            const stream = openEventStream(req, res);
+            stream.send('ready', { room });
+            liveRooms.join(room, stream, Number.isNaN(lastEventId) ? undefined : lastEventId);
+        },
+
+        /** POST /v1/rooms/:room/rolls: roll like /v1/roll and broadcast the result to the room. */
+        roomRoll: async (req, res) => {
+            const policy = checkEntropyPolicy(req);
+            if (!policy.ok) return res.status(policy.status).json(policy.body);
+
+            const { expression, rolls = 1, roller = 'anonymous', label = null } = req.body || {};
+            let results;
+            try {
+                results = await rollExpression(parseDiceExpression(String(expression)), rolls);
+            } catch (error) {
+                if (!(error instanceof DiceSyntaxError)) throw error;
+                return invalidDiceResponse(res, error);
+            }
+
+            const event = {
+                room: req.params.room,
+                at: new Date().toISOString(),
+                roller,
+                label,
+                expression: String(expression),
+                rolls: results,
+                summary: rollSummary(results)
+            };
+            const { id, delivered } = liveRooms.publish(req.params.room, 'roll', event);
+            res.status(201).json({ id, ...event, delivered, entropy: policy.meta });
+        },
+
+        /** GET /v1/entropy/feed: a block of fresh bytes every intervalMs as text/event-stream. */
+        entropyFeed: (req, res) => {
+            const policy = checkEntropyPolicy(req);
+            if (!policy.ok) return res.status(policy.status).json(policy.body);
+
+            const size = req.query.bytes ?? 32;
+            const intervalMs = req.query.intervalMs ?? 1000;
+            const encoding = req.query.encoding || 'hex';
+            const limit = req.query.limit ?? null;
+            if (size > ENTROPY_FEED_MAX_BLOCK_BYTES) {
+                return res.status(400).json({ error: 'Invalid bytes', message: `bytes must be at most ${ENTROPY_FEED_MAX_BLOCK_BYTES}` });
+            }
+            if (intervalMs < entropyFeedMinIntervalMs) {
+                return res.status(400).json({ error: 'Invalid intervalMs', message: `intervalMs must be at least ${entropyFeedMinIntervalMs}` });
+            }
+            if ((size * 1000) / intervalMs > entropyFeedMaxBytesPerSec) {
+                return res.status(400).json({
+                    error: 'Rate too high',
+                    message: `bytes / intervalMs may not exceed ${entropyFeedMaxBytesPerSec} bytes per second`
                 });
             }
+
+            const owner = req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+            const open = entropyFeeds.get(owner) || 0;
+            if (open >= entropyFeedMaxStreams) {
+                return res.status(429).json({ error: 'Too many entropy feeds', message: `At most ${entropyFeedMaxStreams} open feeds per client` });
+            }
+            entropyFeeds.set(owner, open + 1);
+            openEntropyFeeds++;
+
+            const stream = openEventStream(req, res);
+            let seq = 0;
+            let dropped = 0;
+            let timer = null;
+            let busy = false;
+
+            stream.onClose(() => {
+                clearInterval(timer);
+                openEntropyFeeds--;
+                const remaining = entropyFeeds.get(owner) - 1;
+                if (remaining > 0) entropyFeeds.set(owner, remaining);
+                else entropyFeeds.delete(owner);
+            });
+
+            // Every feed ends with an `end` event; `error` is avoided because EventSource uses it for transport errors
+            const finish = (extra = {}) => {
+                stream.send('end', { blocks: seq, ...extra });
+                clearInterval(timer);
+                stream.end();
+            };
+
+            const tick = async () => {
+                // A client that is not reading gets gaps (reported as `dropped`) rather than a growing buffer
+                if (busy || stream.needsDrain) {
+                    dropped++;
+                    return;
+                }
+                const check = checkEntropyPolicy(req);
+                if (!check.ok) return finish(check.body);
+
+                busy = true;
+                const bytes = await csprng.getBytes(size).finally(() => { busy = false; });
+                if (stream.closed) return;
+                entropyBytesServed.inc({ encoding, stream: 'sse' }, size);
+                seq++;
+                stream.send('entropy', { seq, at: new Date().toISOString(), encoding, bytes: encodeBytes(bytes, encoding), ...(dropped ? { dropped } : {}) }, seq);
+                dropped = 0;
+                if (limit !== null && seq >= limit) finish();
+            };
+            const safeTick = () => tick().catch(err => {
+                logger.error('Entropy feed failed:', err);
+                finish({ error: 'Entropy generation failed' });
+            });
+
+            stream.send('ready', { bytes: size, intervalMs, encoding, limit, entropy: policy.meta });
+            timer = setInterval(safeTick, intervalMs);
+            safeTick();
         }
-    }
+    };
 
-    if (total === 0 && rolls.length === 0) {
-        throw new Error('No valid dice notation found in expression');
-    }
+    const entropyController = {
+        /** GET /v1/entropy/bytes?size=&encoding=&stream= */
+        getEntropyBytes: async (req, res, next) => {
+            const randomness = resolveRandomness(req, 'entropy');
+            if (!randomness.ok) return res.status(randomness.status).json(randomness.body);
 
-    return {
-        total,
-        rolls,
-        breakdown,
-        expression: cleanExpr
+            const encoding = req.query.encoding || 'binary';
+            if (!ENCODINGS.includes(encoding)) {
+                return res.status(400).json({ error: 'Invalid encoding', supported: ENCODINGS });
+            }
+            const stream = String(req.query.stream) === 'true'; // boolean once validated, the raw string otherwise
+            const maxBytes = stream ? entropyStreamMaxBytes : entropyMaxBytes;
+            const size = req.query.size === undefined ? 32 : Number(req.query.size);
+            if (!Number.isSafeInteger(size) || size < 1 || size > maxBytes) {
+                return res.status(400).json({
+                    error: 'Invalid size',
+                    message: `size must be an integer between 1 and ${maxBytes}` +
+                        (!stream && size > maxBytes ? ' (use stream=true for larger sizes)' : '')
+                });
+            }
+
+            try {
+                if (stream) return await streamEntropy(res, size, encoding, randomness);
+
+                const bytes = await randomness.rng.getBytes(size);
+                entropyBytesServed.inc({ encoding, stream: 'false' }, size);
+                if (encoding === 'binary') {
+                    if (randomness.deterministic) res.setHeader('X-Deterministic', 'true');
+                    return res.status(200).type('application/octet-stream').send(Buffer.from(bytes));
+                }
+                res.json({
+                    ...(randomness.deterministic ? { deterministic: true } : {}),
+                    bytes: encodeBytes(bytes, encoding),
+                    meta: {
+                        size,
+                        encoding,
+                        ...randomnessMeta(randomness)
+                    }
+                });
+            } catch (err) {
+                if (res.headersSent) return res.destroy(err);
+                next(err);
+            }
+        },
+
+        /** Typed variants: GET /v1/entropy/{uint8,uint16,uint64,int,float}?count= (int also takes min and max). */
+        getEntropyValues: (type) => {
+            if (!ENTROPY_TYPES.includes(type)) throw new Error(`Unknown entropy type: ${type}`);
+            return async (req, res, next) => {
+                const randomness = resolveRandomness(req, 'entropy');
+                if (!randomness.ok) return res.status(randomness.status).json(randomness.body);
+
+                const rawCount = parseInt(req.query.count, 10);
+                const count = Math.min(Math.max(Number.isFinite(rawCount) ? rawCount : ENTROPY_DEFAULT_COUNT, 1), ENTROPY_MAX_COUNT);
+
+                let range = null;
+                if (type === 'int') {
+                    range = parseIntRange(req.query);
+                    if (!range.ok) return res.status(400).json(range.body);
+                }
+
+                try {
+                    let numbers;
+                    const typeMeta = { type };
+                    if (type === 'int') {
+                        const { values, draws } = await integersInRange(n => randomness.rng.getBytes(n), count, range.min, range.max);
+                        samplesAccepted.inc(values.length);
+                        samplesRejected.inc(draws - values.length);
+                        numbers = values;
+                        Object.assign(typeMeta, { min: range.min, max: range.max });
+                    } else {
+                        numbers = valuesFromBytes(await randomness.rng.getBytes(count * bytesPerValue(type)), type);
+                        typeMeta.bitsPerNumber = type === 'float' ? 53 : bytesPerValue(type) * 8;
+                        if (type === 'uint64') typeMeta.encoding = 'decimal-string';
+                    }
+                    entropyValuesServed.inc({ type }, numbers.length);
+
+                    res.json({
+                        ...(randomness.deterministic ? { deterministic: true } : {}),
+                        numbers,
+                        meta: {
+                            ...typeMeta,
+                            count,
+                            ...randomnessMeta(randomness)
+                        }
+                    });
+                } catch (err) {
+                    next(err);
+                }
+            };
+        },
+
+        getEntropyUint32: async (req, res, next) => {
+            const randomness = resolveRandomness(req, 'entropy');
+            if (!randomness.ok) return res.status(randomness.status).json(randomness.body);
+
+            try {
+                const rawCount = parseInt(req.query.count, 10);
+                const requestedCount = Number.isFinite(rawCount) ? rawCount : ENTROPY_DEFAULT_COUNT;
+
+                // Clamp to a safe range to prevent abuse.
+                const count = Math.min(Math.max(requestedCount, 1), ENTROPY_MAX_COUNT);
+
+                // The shared CSPRNG, or a seeded one in deterministic mode
+                const numbers = await getRandomUint32Array(randomness.rng, count);
+                uint32Served.inc({}, numbers.length);
+
+                res.json({
+                    ...(randomness.deterministic ? { deterministic: true } : {}),
+                    numbers,
+                    meta: {
+                        bitsPerNumber: 32,
+                        count,
+                        ...randomnessMeta(randomness)
+                    }
+                });
+            } catch (err) {
+                next(err);
+            }
+        }
     };
-}
 
-// Roll a single die using our CSPRNG
-async function rollSingleDie(sides) {
-    if (sides < 1) throw new Error('Die must have at least 1 side');
-    if (sides === 1) return 1;
-    
-    // Get random bytes and convert to die roll
-    const bytes = await csprng.getBytes(4); // 4 bytes = 32 bits
-    const randomValue = bytes.readUInt32BE(0);
-    
-    // Use rejection sampling to avoid modulo bias
-    const maxAcceptable = Math.floor(0x100000000 / sides) * sides;
-    if (randomValue >= maxAcceptable) {
-        // Re-roll if we hit the bias zone
-        return await rollSingleDie(sides);
+    // Roll a single die using our CSPRNG
+    async function rollSingleDie(sides, rng = csprng) {
+        const value = await rollDie(sides, rng);
+        diceRolled.inc();
+        return value;
     }
-    
-    return (randomValue % sides) + 1;
-}
 
-// Helper: generate an array of uint32 values using the existing CSPRNG
-async function getRandomUint32Array(csprng, count) {
-    if (!Number.isFinite(count) || count <= 0) {
-        throw new Error('count must be a positive number');
+    // Die roller that draws CSPRNG bytes in chunks; used for bulk Monte Carlo sampling
+    function createBufferedDieRoller(chunkBytes = 4096) {
+        let buf = Buffer.alloc(0);
+        let offset = 0;
+        return async (sides) => {
+            if (sides === 1) return 1;
+            const maxAcceptable = Math.floor(0x100000000 / sides) * sides;
+            for (;;) {
+                if (offset + 4 > buf.length) {
+                    buf = await csprng.getBytes(chunkBytes);
+                    offset = 0;
+                }
+                const randomValue = buf.readUInt32BE(offset);
+                offset += 4;
+                if (randomValue < maxAcceptable) {
+                    samplesAccepted.inc();
+                    return (randomValue % sides) + 1;
+                }
+                samplesRejected.inc();
+            }
+        };
     }
 
-    const bytesNeeded = count * 4;
-    // IMPORTANT: this must be the existing CSPRNG method, not a new QRNG call.
-    const buf = await csprng.getBytes(bytesNeeded);
-
-    const numbers = [];
-    for (let i = 0; i < count; i++) {
-        const offset = i * 4;
-        // Endianness doesn't matter as long as it's consistent;
-        // use BE for clarity.
-        const n = buf.readUInt32BE(offset);
-        numbers.push(n >>> 0);
+    // Exact distribution when it fits the work budget, Monte Carlo from the CSPRNG otherwise
+    async function analyzeDiceExpression(expression, samples) {
+        const parsed = parseDiceExpression(String(expression));
+        try {
+            const { pmf, prunedMass } = exactDistribution(parsed);
+            return {
+                expression: parsed.expression,
+                method: 'exact',
+                ...(prunedMass > 0 ? { prunedMass } : {}),
+                ...summarize(pmf)
+            };
+        } catch (error) {
+            if (!(error instanceof TooComplexError)) throw error;
+            const perRoll = Math.max(countDice(parsed.ast), 1);
+            const n = Math.max(1, Math.min(samples, Math.floor(STATS_MAX_SAMPLED_DICE / perRoll)));
+            const summary = summarize(await sampleDistribution(parsed, createBufferedDieRoller(), n));
+            return {
+                expression: parsed.expression,
+                method: 'monte-carlo',
+                reason: error.message,
+                samples: n,
+                standardError: summary.stddev / Math.sqrt(n),
+                ...summary
+            };
+        }
     }
 
-    return numbers;
+    return {
+        passwordController,
+        passwordJobController,
+        secretController,
+        mfaController,
+        keyController,
+        wordlistController,
+        policyController,
+        healthController,
+        metricsController,
+        adminController,
+        apiKeyController,
+        apiKeys,
+        diceController,
+        fairRollController,
+        sessionController,
+        liveController,
+        entropyController,
+        metrics: appMetrics,
+        /** Write out batched key usage and session rolls (call before exiting). */
+        flush() {
+            apiKeys.flush();
+            rollSessions.flush();
+            campaignSessions.flush();
+        }
+    };
 }
 
 module.exports = {
-    passwordController,
-    healthController,
-    adminController,
-    diceController,
-    entropyController,
+    createControllers
 };
-
-
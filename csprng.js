@@ -0,0 +1,144 @@
+/**
+ * CSPRNG: a CTR_DRBG (SP 800-90A) seeded via HKDF from entropy sources + OS entropy, with
+ * SP 800-90B continuous tests on its output, plus the unbiased sampling helpers built on it.
+ *
+ * Importing this module has no side effects beyond registering its metrics: createGenerator()
+ * (generator.js) owns the source-reseeded instances; the CLI and seeded requests make their own.
+ */
+const crypto = require('crypto');
+const { hkdfSha256 } = require('./hkdf');
+const { SEED_LEN, MAX_RESEED_INTERVAL, MAX_BYTES_PER_REQUEST, CtrDrbg } = require('./drbg');
+const { createContinuousTests } = require('./healthTests');
+const { registry: metrics } = require('./metrics');
+
+const csprngBytes = metrics.counter('passgen_csprng_bytes_total', 'Bytes drawn from CSPRNG.getBytes');
+const rejectionSamples = metrics.counter('passgen_rejection_sampling_total', 'Rejection-sampling draws by outcome', ['result']);
+const samplesAccepted = rejectionSamples.labels({ result: 'accepted' });
+const samplesRejected = rejectionSamples.labels({ result: 'rejected' });
+const healthTestFailures = metrics.counter('passgen_health_test_failures_total', 'Continuous health test failures (source="csprng" is the generator output)', ['source', 'test']);
+
+const DRBG_PERSONALIZATION = 'hamtech-password-csprng';
+const RESEED_REQUEST_BACKOFF_MS = 60000;
+
+class CSPRNG {
+  constructor({
+    reseedInterval, predictionResistance, maxSeedAgeMs, onReseedDue, getEntropy = n => crypto.randomBytes(n), logger = console
+  } = {}) {
+    this.drbg = new CtrDrbg({ reseedInterval, predictionResistance, getEntropy });
+    this.logger = logger;
+    this.maxSeedAgeMs = maxSeedAgeMs;
+    this.onReseedDue = onReseedDue; // async reseed from the entropy sources, requested when the seed is too old
+    this.reseedRequestedAt = 0;
+    this.lastReseed = 0;
+    this.lastSources = [];    // per-source contributions of the last reseed
+    this.outputTests = createContinuousTests(); // SP 800-90B tests on every output byte
+    this.deterministic = false;
+  }
+
+  /**
+   * Private generator keyed by HKDF(seed) for reproducible output. It never reseeds and shares
+   * no state with the entropy-backed instance; `purpose` separates streams for the same seed.
+   */
+  static fromSeed(seed, purpose) {
+    const rng = new CSPRNG({
+      reseedInterval: MAX_RESEED_INTERVAL,
+      getEntropy: () => { throw new Error('A deterministic generator cannot reseed'); }
+    });
+    const salt = crypto.createHash('sha256').update('hamtech-password-deterministic').digest();
+    const entropyInput = hkdfSha256(Buffer.from(seed, 'utf8'), salt, Buffer.from(`deterministic:${purpose}`), SEED_LEN);
+    rng.drbg.instantiate(entropyInput, DRBG_PERSONALIZATION);
+    rng.deterministic = true;
+    return rng;
+  }
+
+  // Refuse to hand out output that fails the continuous health tests
+  _checkOutput(buf) {
+    const failure = this.outputTests.test(buf);
+    if (failure) {
+      healthTestFailures.inc({ source: 'csprng', test: failure.test });
+      throw new Error(`CSPRNG output failed ${failure.test} health test`);
+    }
+    return buf;
+  }
+
+  async reseed(seedMaterial, contributions = []) {
+    // Mix the combined seed with OS entropy to protect against any source failing
+    const osEntropy = crypto.randomBytes(32);
+    const salt = crypto.createHash('sha256').update(osEntropy).digest();
+    const info = Buffer.from('hamtech-password-csprng-seed');
+    const entropyInput = hkdfSha256(seedMaterial, salt, info, SEED_LEN);
+
+    if (this.drbg.instantiated) this.drbg.reseed(entropyInput);
+    else this.drbg.instantiate(entropyInput, DRBG_PERSONALIZATION);
+    entropyInput.fill(0);
+    this.lastReseed = Date.now();
+    this.lastSources = contributions;
+  }
+
+  // The interval timer normally reseeds; if it has fallen behind, ask for one (rate-limited)
+  _requestReseedIfStale() {
+    const now = Date.now();
+    if (!this.onReseedDue || !this.lastReseed || now - this.lastReseed < this.maxSeedAgeMs) return;
+    if (now - this.reseedRequestedAt < RESEED_REQUEST_BACKOFF_MS) return;
+    this.reseedRequestedAt = now;
+    Promise.resolve(this.onReseedDue()).catch(err => this.logger.error('Requested reseed failed:', err));
+  }
+
+  async getBytes(n) {
+    if (!this.drbg.instantiated) {
+      // Not seeded from the sources yet: OS entropy only, until the first reseed
+      this.drbg.instantiate(crypto.randomBytes(SEED_LEN), DRBG_PERSONALIZATION);
+    }
+    this._requestReseedIfStale();
+
+    // One DRBG request per chunk; each request rekeys the generator
+    let out;
+    if (n <= MAX_BYTES_PER_REQUEST) {
+      out = this.drbg.generate(n);
+    } else {
+      out = Buffer.allocUnsafe(n);
+      for (let offset = 0; offset < n; offset += MAX_BYTES_PER_REQUEST) {
+        this.drbg.generate(Math.min(MAX_BYTES_PER_REQUEST, n - offset)).copy(out, offset);
+      }
+    }
+    csprngBytes.inc({}, n);
+    return this._checkOutput(out);
+  }
+}
+
+/** Map 32-bit words to indices with rejection sampling (no modulo bias). */
+function indicesFromBytes(buf, base) {
+  const out = [];
+  const acceptMax = Math.floor(0x100000000 / base) * base;
+  for (let i = 0; i + 4 <= buf.length; i += 4) {
+      const n = buf.readUInt32BE(i);
+      if (n < acceptMax) out.push(n % base);
+  }
+  samplesAccepted.inc(out.length);
+  samplesRejected.inc(Math.floor(buf.length / 4) - out.length);
+  return out;
+}
+
+/** Draw a single unbiased index in [0, base) from `rng`. */
+async function randomIndex(base, rng) {
+  if (base <= 1) return 0;
+  for (;;) {
+      const [idx] = indicesFromBytes(await rng.getBytes(4), base);
+      if (idx !== undefined) return idx;
+  }
+}
+
+/** Unbiased die roll in [1, sides]; same draws as randomIndex, so seeded rolls match everywhere. */
+async function rollDie(sides, rng) {
+  if (sides < 1) throw new Error('Die must have at least 1 side');
+  return (await randomIndex(sides, rng)) + 1;
+}
+
+module.exports = {
+  CSPRNG,
+  indicesFromBytes,
+  randomIndex,
+  rollDie,
+  rejectionSamples,
+  healthTestFailures
+};
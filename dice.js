@@ -0,0 +1,447 @@
+/**
+ * Dice expression tokenizer, parser and evaluator.
+ *
+ * Grammar (case-insensitive, whitespace ignored):
+ *   expr      := term (('+' | '-') term)*
+ *   term      := unary ('*' unary)*
+ *   unary     := ('+' | '-') unary | primary
+ *   primary   := NUMBER | dice | '(' expr ')'
+ *   dice      := [NUMBER] 'd' (NUMBER | '%' | 'F') modifier*
+ *   modifier  := '!' [cmp] | '!!' [cmp]          exploding / compounding
+ *              | ('kh' | 'kl' | 'k') NUMBER       keep highest / lowest
+ *              | ('dh' | 'dl' | 'd') NUMBER       drop highest / lowest
+ *              | ('r' | 'ro') cmp                 reroll (until / once)
+ *              | cmp ['f' cmp]                    count successes [minus failures]
+ *   cmp       := ('>=' | '<=' | '>' | '<' | '=') NUMBER | NUMBER
+ *
+ * The evaluator takes the die roller as an argument so it has no RNG of its own.
+ */
+
+const MAX_EXPRESSION_LENGTH = 200;
+const MAX_DICE_PER_GROUP = 100;
+const MAX_SIDES = 1000;
+const MAX_CONSTANT = 1000000;
+const MAX_TOTAL_DICE = 1000;   // per evaluation, including rerolls and explosions
+const MAX_REROLLS = 100;       // per die
+const MAX_EXPLOSIONS = 100;    // per die
+
+const KEYWORDS = ['kh', 'kl', 'dh', 'dl', 'ro', 'k', 'd', 'r', 'f'];
+const OPERATORS = ['>=', '<=', '!!', '>', '<', '=', '!', '+', '-', '*', '(', ')', '%'];
+const COMPARE_OPS = ['>=', '<=', '>', '<', '='];
+
+class DiceSyntaxError extends Error {
+    constructor(message, position) {
+        super(position === undefined ? message : `${message} at position ${position}`);
+        this.name = 'DiceSyntaxError';
+        this.position = position;
+    }
+}
+
+// --------------------- Tokenizer ---------------------
+function tokenize(src) {
+    const tokens = [];
+    let i = 0;
+    while (i < src.length) {
+        const ch = src[i];
+        if (/\s/.test(ch)) { i++; continue; }
+
+        if (/[0-9]/.test(ch)) {
+            let j = i;
+            while (j < src.length && /[0-9]/.test(src[j])) j++;
+            const text = src.slice(i, j);
+            if (text.length > 7) throw new DiceSyntaxError(`Number too large "${text}"`, i);
+            tokens.push({ type: 'number', value: parseInt(text, 10), text, pos: i, end: j });
+            i = j;
+            continue;
+        }
+
+        const word = KEYWORDS.find(k => src.startsWith(k, i));
+        if (word) {
+            tokens.push({ type: 'word', value: word, text: word, pos: i, end: i + word.length });
+            i += word.length;
+            continue;
+        }
+
+        const op = OPERATORS.find(o => src.startsWith(o, i));
+        if (op) {
+            tokens.push({ type: 'op', value: op, text: op, pos: i, end: i + op.length });
+            i += op.length;
+            continue;
+        }
+
+        throw new DiceSyntaxError(`Unexpected character "${ch}"`, i);
+    }
+    tokens.push({ type: 'eof', text: '', pos: src.length, end: src.length });
+    return tokens;
+}
+
+// --------------------- Parser ---------------------
+class Parser {
+    constructor(src) {
+        this.src = src;
+        this.tokens = tokenize(src);
+        this.i = 0;
+    }
+
+    peek() { return this.tokens[this.i]; }
+    next() { return this.tokens[this.i++]; }
+    prevEnd() { return this.tokens[this.i - 1].end; }
+    isOp(value) { const t = this.peek(); return t.type === 'op' && t.value === value; }
+    isWord(value) { const t = this.peek(); return t.type === 'word' && t.value === value; }
+
+    unexpected(t = this.peek()) {
+        if (t.type === 'eof') return new DiceSyntaxError('Unexpected end of expression', t.pos);
+        return new DiceSyntaxError(`Unexpected "${t.text}"`, t.pos);
+    }
+
+    expectNumber() {
+        const t = this.peek();
+        if (t.type !== 'number') throw this.unexpected(t);
+        return this.next();
+    }
+
+    parse() {
+        const ast = this.parseExpression();
+        if (this.peek().type !== 'eof') throw this.unexpected();
+        return ast;
+    }
+
+    parseExpression() {
+        let node = this.parseTerm();
+        while (this.isOp('+') || this.isOp('-')) {
+            const op = this.next();
+            node = { type: 'binary', op: op.value, left: node, right: this.parseTerm(), pos: op.pos };
+        }
+        return node;
+    }
+
+    parseTerm() {
+        let node = this.parseUnary();
+        while (this.isOp('*')) {
+            const op = this.next();
+            node = { type: 'binary', op: '*', left: node, right: this.parseUnary(), pos: op.pos };
+        }
+        return node;
+    }
+
+    parseUnary() {
+        if (this.isOp('-') || this.isOp('+')) {
+            const op = this.next();
+            const operand = this.parseUnary();
+            return op.value === '-' ? { type: 'negate', operand, pos: op.pos } : operand;
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const t = this.peek();
+        if (t.type === 'number') {
+            this.next();
+            if (this.isWord('d')) return this.parseDice(t);
+            if (t.value > MAX_CONSTANT) throw new DiceSyntaxError(`Constant ${t.value} exceeds ${MAX_CONSTANT}`, t.pos);
+            return { type: 'number', value: t.value, pos: t.pos };
+        }
+        if (this.isWord('d')) return this.parseDice(null);
+        if (this.isOp('(')) {
+            this.next();
+            const expr = this.parseExpression();
+            if (!this.isOp(')')) throw this.unexpected();
+            this.next();
+            return { type: 'group', expr, pos: t.pos };
+        }
+        throw this.unexpected(t);
+    }
+
+    /** Optional compare point; a bare number means "equal to". */
+    parseCompare() {
+        const t = this.peek();
+        let op = '=';
+        if (t.type === 'op' && COMPARE_OPS.includes(t.value)) {
+            op = this.next().value;
+        } else if (t.type !== 'number') {
+            return null;
+        }
+        let sign = 1;
+        if (this.isOp('-')) { this.next(); sign = -1; }
+        return { op, value: sign * this.expectNumber().value };
+    }
+
+    parseDice(countTok) {
+        const start = countTok ? countTok.pos : this.peek().pos;
+        this.next(); // 'd'
+        const count = countTok ? countTok.value : 1;
+        if (count < 1 || count > MAX_DICE_PER_GROUP) {
+            throw new DiceSyntaxError(`Invalid number of dice: ${count}. Must be between 1 and ${MAX_DICE_PER_GROUP}`, start);
+        }
+
+        const sidesTok = this.next();
+        let sides;
+        let faces;
+        if (sidesTok.type === 'number') {
+            if (sidesTok.value < 1 || sidesTok.value > MAX_SIDES) {
+                throw new DiceSyntaxError(`Invalid dice size: d${sidesTok.value}. Must be between 1 and ${MAX_SIDES}`, sidesTok.pos);
+            }
+            sides = sidesTok.value;
+            faces = { min: 1, max: sidesTok.value };
+        } else if (sidesTok.type === 'op' && sidesTok.value === '%') {
+            sides = '%';
+            faces = { min: 1, max: 100 };
+        } else if (sidesTok.type === 'word' && sidesTok.value === 'f') {
+            sides = 'F';
+            faces = { min: -1, max: 1 };
+        } else {
+            throw this.unexpected(sidesTok);
+        }
+
+        const node = { type: 'dice', count, sides, faces, modifiers: {}, pos: start };
+        const m = node.modifiers;
+        const dup = (t, what) => new DiceSyntaxError(`Duplicate ${what} modifier`, t.pos);
+
+        for (;;) {
+            const t = this.peek();
+            if (t.type === 'op' && (t.value === '!' || t.value === '!!')) {
+                if (m.explode) throw dup(t, 'exploding');
+                this.next();
+                const compare = this.parseCompare() || { op: '>=', value: faces.max };
+                if (coversAllFaces(compare, faces)) throw new DiceSyntaxError('Exploding on every face would never stop', t.pos);
+                m.explode = { compound: t.value === '!!', compare };
+            } else if (t.type === 'word' && ['kh', 'kl', 'k', 'dh', 'dl', 'd'].includes(t.value)) {
+                if (m.keep) throw dup(t, 'keep/drop');
+                this.next();
+                const nTok = this.expectNumber();
+                const type = t.value === 'k' ? 'kh' : (t.value === 'd' ? 'dl' : t.value);
+                const n = nTok.value;
+                if (type[0] === 'k' && (n < 1 || n > count)) {
+                    throw new DiceSyntaxError(`Cannot keep ${n} of ${count} dice`, nTok.pos);
+                }
+                if (type[0] === 'd' && n >= count) {
+                    throw new DiceSyntaxError(`Cannot drop ${n} of ${count} dice`, nTok.pos);
+                }
+                m.keep = { type, n };
+            } else if (t.type === 'word' && (t.value === 'r' || t.value === 'ro')) {
+                if (m.reroll) throw dup(t, 'reroll');
+                this.next();
+                const compare = this.parseCompare();
+                if (!compare) throw this.unexpected();
+                if (coversAllFaces(compare, faces)) throw new DiceSyntaxError('Rerolling every face would never stop', t.pos);
+                m.reroll = { once: t.value === 'ro', compare };
+            } else if (t.type === 'op' && COMPARE_OPS.includes(t.value)) {
+                if (m.success) throw dup(t, 'success');
+                m.success = { compare: this.parseCompare() };
+                if (this.isWord('f')) {
+                    this.next();
+                    const compare = this.parseCompare();
+                    if (!compare) throw this.unexpected();
+                    m.failure = { compare };
+                }
+            } else {
+                break;
+            }
+        }
+
+        node.end = this.prevEnd();
+        node.notation = this.src.slice(start, node.end).replace(/\s+/g, '');
+        return node;
+    }
+}
+
+function compare(cmp, value) {
+    switch (cmp.op) {
+        case '>=': return value >= cmp.value;
+        case '<=': return value <= cmp.value;
+        case '>': return value > cmp.value;
+        case '<': return value < cmp.value;
+        default: return value === cmp.value;
+    }
+}
+
+function coversAllFaces(cmp, faces) {
+    for (let v = faces.min; v <= faces.max; v++) {
+        if (!compare(cmp, v)) return false;
+    }
+    return true;
+}
+
+/** Parse an expression into an AST; throws DiceSyntaxError with the offending position. */
+function parseDiceExpression(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new DiceSyntaxError('Dice expression required');
+    }
+    if (expression.length > MAX_EXPRESSION_LENGTH) {
+        throw new DiceSyntaxError(`Expression exceeds ${MAX_EXPRESSION_LENGTH} characters`);
+    }
+    const src = expression.toLowerCase();
+    return {
+        expression: src.replace(/\s+/g, ''),
+        ast: new Parser(src).parse()
+    };
+}
+
+// --------------------- Evaluator ---------------------
+async function rollFace(faces, rollDie) {
+    return faces.min + (await rollDie(faces.max - faces.min + 1)) - 1;
+}
+
+async function rollDiceGroup(node, rollDie, ctx) {
+    const { faces, modifiers: m } = node;
+
+    const rollOne = async () => {
+        ctx.use(1);
+        let value = await rollFace(faces, rollDie);
+        const die = { value, rolls: [value] };
+        if (m.reroll) {
+            const limit = m.reroll.once ? 1 : MAX_REROLLS;
+            for (let n = 0; n < limit && compare(m.reroll.compare, value); n++) {
+                ctx.use(1);
+                value = await rollFace(faces, rollDie);
+                die.rolls.push(value);
+                die.rerolled = true;
+            }
+            die.value = value;
+        }
+        return die;
+    };
+
+    const dice = [];
+    for (let i = 0; i < node.count; i++) {
+        let die = await rollOne();
+        dice.push(die);
+        if (!m.explode) continue;
+
+        let last = die.value;
+        for (let n = 0; n < MAX_EXPLOSIONS && compare(m.explode.compare, last); n++) {
+            const extra = await rollOne();
+            last = extra.value;
+            die.exploded = true;
+            if (m.explode.compound) {
+                die.value += extra.value;
+                die.rolls.push(...extra.rolls);
+            } else {
+                extra.fromExplosion = true;
+                dice.push(extra);
+                die = extra;
+            }
+        }
+    }
+
+    if (m.keep) {
+        const { type, n } = m.keep;
+        // Stable sort of indices by value, ascending
+        const order = dice.map((d, i) => i).sort((a, b) => dice[a].value - dice[b].value || a - b);
+        let dropped;
+        if (type === 'kh') dropped = order.slice(0, Math.max(dice.length - n, 0));
+        else if (type === 'kl') dropped = order.slice(n);
+        else if (type === 'dh') dropped = order.slice(dice.length - n);
+        else dropped = order.slice(0, n);
+        for (const i of dropped) dice[i].dropped = true;
+    }
+
+    const kept = dice.filter(d => !d.dropped);
+    let subtotal;
+    if (m.success) {
+        subtotal = 0;
+        for (const d of kept) {
+            if (compare(m.success.compare, d.value)) { d.success = true; subtotal += 1; }
+            if (m.failure && compare(m.failure.compare, d.value)) { d.failure = true; subtotal -= 1; }
+        }
+    } else {
+        subtotal = kept.reduce((sum, d) => sum + d.value, 0);
+    }
+
+    ctx.breakdown.push({
+        notation: node.notation,
+        rolls: dice.map(d => d.value),
+        dice,
+        subtotal
+    });
+    ctx.rolls.push(...dice.map(d => d.value));
+
+    const shown = dice.map(d => (d.dropped ? `~${d.value}` : String(d.value))).join(',');
+    return { value: subtotal, text: `${node.notation}[${shown}]` };
+}
+
+async function evaluateNode(node, rollDie, ctx) {
+    switch (node.type) {
+        case 'number':
+            return { value: node.value, text: String(node.value) };
+        case 'dice':
+            return rollDiceGroup(node, rollDie, ctx);
+        case 'group': {
+            const inner = await evaluateNode(node.expr, rollDie, ctx);
+            return { value: inner.value, text: `(${inner.text})` };
+        }
+        case 'negate': {
+            const inner = await evaluateNode(node.operand, rollDie, ctx);
+            return { value: -inner.value, text: `-${inner.text}` };
+        }
+        case 'binary': {
+            const left = await evaluateNode(node.left, rollDie, ctx);
+            const right = await evaluateNode(node.right, rollDie, ctx);
+            let value;
+            if (node.op === '+') value = left.value + right.value;
+            else if (node.op === '-') value = left.value - right.value;
+            else value = left.value * right.value;
+            return { value, text: `${left.text} ${node.op} ${right.text}` };
+        }
+        default:
+            throw new Error(`Unknown node type: ${node.type}`);
+    }
+}
+
+/**
+ * Roll a parsed expression. `rollDie(sides)` must return a uniform integer in [1, sides].
+ * Returns { total, rolls, breakdown, detail, expression }.
+ */
+async function evaluateDice(parsed, rollDie) {
+    let used = 0;
+    const ctx = {
+        rolls: [],
+        breakdown: [],
+        use(n) {
+            used += n;
+            if (used > MAX_TOTAL_DICE) throw new DiceSyntaxError(`Expression rolls more than ${MAX_TOTAL_DICE} dice`);
+        }
+    };
+    const result = await evaluateNode(parsed.ast, rollDie, ctx);
+    return {
+        total: result.value,
+        rolls: ctx.rolls,
+        breakdown: ctx.breakdown,
+        detail: `${result.text} = ${result.value}`,
+        expression: parsed.expression
+    };
+}
+
+/** Dice rolled by one evaluation before any rerolls or explosions. */
+function countDice(node) {
+    switch (node.type) {
+        case 'dice': return node.count;
+        case 'group': return countDice(node.expr);
+        case 'negate': return countDice(node.operand);
+        case 'binary': return countDice(node.left) + countDice(node.right);
+        default: return 0;
+    }
+}
+
+/** Totals across several evaluations of one expression (the `summary` of /v1/roll). */
+function rollSummary(results) {
+    return {
+        totalRolls: results.length,
+        individualResults: results.map(r => r.total),
+        min: Math.min(...results.map(r => r.total)),
+        max: Math.max(...results.map(r => r.total)),
+        average: results.reduce((sum, r) => sum + r.total, 0) / results.length
+    };
+}
+
+module.exports = {
+    DiceSyntaxError,
+    parseDiceExpression,
+    evaluateDice,
+    countDice,
+    rollSummary,
+    compareValue: compare,
+    MAX_TOTAL_DICE,
+    MAX_REROLLS,
+    MAX_EXPLOSIONS
+};
@@ -0,0 +1,267 @@
+/**
+ * Probability distributions for parsed dice expressions (see dice.js).
+ *
+ * PMFs are Maps of value -> probability. Groups are computed per die (rerolls and
+ * explosions use the same caps as the evaluator), then combined by convolution; keep/drop
+ * uses a DP over dice sorted by value. Anything over the work budget throws
+ * TooComplexError so callers can fall back to Monte Carlo sampling.
+ */
+const { compareValue, evaluateDice, MAX_REROLLS, MAX_EXPLOSIONS } = require('./dice');
+
+const DEFAULT_MAX_WORK = 20000000;  // inner-loop operations
+const MAX_SUPPORT = 200000;          // distinct values in any intermediate PMF
+const PRUNE_BELOW = 1e-16;           // negligible tails of exploding dice
+const PERCENTILES = [1, 5, 10, 25, 50, 75, 90, 95, 99];
+
+class TooComplexError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TooComplexError';
+    }
+}
+
+function createBudget(maxWork) {
+    const budget = {
+        work: 0,
+        pruned: 0,
+        spend(n) {
+            budget.work += n;
+            if (budget.work > maxWork) throw new TooComplexError(`Exact computation exceeds ${maxWork} operations`);
+        }
+    };
+    return budget;
+}
+
+function add(pmf, value, p) {
+    pmf.set(value, (pmf.get(value) || 0) + p);
+}
+
+function checkSupport(pmf) {
+    if (pmf.size > MAX_SUPPORT) throw new TooComplexError(`Distribution exceeds ${MAX_SUPPORT} distinct values`);
+    return pmf;
+}
+
+function combine(a, b, fn, budget) {
+    budget.spend(a.size * b.size);
+    const out = new Map();
+    for (const [va, pa] of a) {
+        for (const [vb, pb] of b) add(out, fn(va, vb), pa * pb);
+    }
+    return checkSupport(out);
+}
+
+function mapValues(pmf, fn) {
+    const out = new Map();
+    for (const [v, p] of pmf) add(out, fn(v), p);
+    return out;
+}
+
+// --------------------- Single die ---------------------
+/** Face distribution after rerolls: rerolling stops at the cap, so matching faces keep a q^L share. */
+function rerolledFace(faces, reroll) {
+    const n = faces.max - faces.min + 1;
+    const pmf = new Map();
+    if (!reroll) {
+        for (let v = faces.min; v <= faces.max; v++) pmf.set(v, 1 / n);
+        return pmf;
+    }
+    const limit = reroll.once ? 1 : MAX_REROLLS;
+    let matching = 0;
+    for (let v = faces.min; v <= faces.max; v++) if (compareValue(reroll.compare, v)) matching++;
+    const q = matching / n;
+    const keepFactor = (1 - q ** (limit + 1)) / (1 - q);
+    for (let v = faces.min; v <= faces.max; v++) {
+        pmf.set(v, compareValue(reroll.compare, v) ? (q ** limit) / n : keepFactor / n);
+    }
+    return pmf;
+}
+
+/**
+ * Distribution of one die's exploding chain, where each face v contributes contrib(v)
+ * and faces matching the explode point roll again (up to MAX_EXPLOSIONS times).
+ */
+function explodeChain(face, explode, contrib, budget) {
+    let chain = mapValues(face, contrib);
+    for (let k = 0; k < MAX_EXPLOSIONS; k++) {
+        const next = new Map();
+        budget.spend(face.size * chain.size);
+        for (const [v, p] of face) {
+            if (!compareValue(explode.compare, v)) {
+                add(next, contrib(v), p);
+                continue;
+            }
+            for (const [cv, cp] of chain) {
+                const pr = p * cp;
+                if (pr < PRUNE_BELOW) { budget.pruned += pr; continue; }
+                add(next, contrib(v) + cv, pr);
+            }
+        }
+        chain = checkSupport(next);
+    }
+    return chain;
+}
+
+function successWeight(m) {
+    return (v) => (compareValue(m.success.compare, v) ? 1 : 0) -
+        (m.failure && compareValue(m.failure.compare, v) ? 1 : 0);
+}
+
+/** Sum of `count` iid copies via binary exponentiation. */
+function sumIid(pmf, count, budget) {
+    let result = new Map([[0, 1]]);
+    let base = pmf;
+    let n = count;
+    while (n > 0) {
+        if (n & 1) result = combine(result, base, (a, b) => a + b, budget);
+        n >>= 1;
+        if (n > 0) base = combine(base, base, (a, b) => a + b, budget);
+    }
+    return result;
+}
+
+function binomial(n, k) {
+    let r = 1;
+    for (let i = 1; i <= k; i++) r = (r * (n - k + i)) / i;
+    return r;
+}
+
+/**
+ * Keep the first `keep` of `count` iid dice in the given value order. States track
+ * (dice assigned so far, kept total); each face takes c dice with weight C(remaining, c) p^c.
+ */
+function keepDistribution(valuePmf, count, keep, descending, contrib, budget) {
+    const values = Array.from(valuePmf.keys()).sort((a, b) => (descending ? b - a : a - b));
+    let dp = [new Map([[0, 1]])];
+    for (let n = 1; n <= count; n++) dp.push(new Map());
+
+    for (const v of values) {
+        const p = valuePmf.get(v);
+        const next = dp.map(() => new Map());
+        for (let n = 0; n <= count; n++) {
+            const states = dp[n];
+            if (states.size === 0) continue;
+            budget.spend(states.size * (count - n + 1));
+            for (const [sum, pr] of states) {
+                let weight = 1;
+                for (let c = 0; n + c <= count; c++) {
+                    if (c > 0) weight *= p;
+                    const kept = Math.max(0, Math.min(c, keep - n));
+                    add(next[n + c], sum + kept * contrib(v), pr * binomial(count - n, c) * weight);
+                }
+            }
+        }
+        dp = next.map(checkSupport);
+    }
+    return dp[count];
+}
+
+function dicePmf(node, budget) {
+    const m = node.modifiers;
+    const face = rerolledFace(node.faces, m.reroll);
+    const contrib = m.success ? successWeight(m) : (v) => v;
+    const identity = (v) => v;
+
+    if (m.explode && !m.explode.compound) {
+        // Extra dice join the pool, so keep/drop over a variable pool has no cheap closed form
+        if (m.keep) throw new TooComplexError('Keep/drop with exploding (non-compounding) dice is sampled');
+        return sumIid(explodeChain(face, m.explode, contrib, budget), node.count, budget);
+    }
+
+    // Per-die value (compounded explosions add up before keep/drop and success tests)
+    const dieValue = m.explode ? explodeChain(face, m.explode, identity, budget) : face;
+
+    if (m.keep) {
+        const { type, n } = m.keep;
+        const keep = type[0] === 'k' ? n : node.count - n;
+        const descending = type === 'kh' || type === 'dl';
+        return keepDistribution(dieValue, node.count, keep, descending, contrib, budget);
+    }
+    return sumIid(mapValues(dieValue, contrib), node.count, budget);
+}
+
+function nodePmf(node, budget) {
+    switch (node.type) {
+        case 'number':
+            return new Map([[node.value, 1]]);
+        case 'dice':
+            return dicePmf(node, budget);
+        case 'group':
+            return nodePmf(node.expr, budget);
+        case 'negate':
+            return mapValues(nodePmf(node.operand, budget), v => -v);
+        case 'binary': {
+            const left = nodePmf(node.left, budget);
+            const right = nodePmf(node.right, budget);
+            if (node.op === '+') return combine(left, right, (a, b) => a + b, budget);
+            if (node.op === '-') return combine(left, right, (a, b) => a - b, budget);
+            return combine(left, right, (a, b) => a * b, budget);
+        }
+        default:
+            throw new Error(`Unknown node type: ${node.type}`);
+    }
+}
+
+/** Exact PMF of a parsed expression; throws TooComplexError past the work budget. */
+function exactDistribution(parsed, { maxWork = DEFAULT_MAX_WORK } = {}) {
+    const budget = createBudget(maxWork);
+    const pmf = nodePmf(parsed.ast, budget);
+    return { pmf, work: budget.work, prunedMass: budget.pruned };
+}
+
+/** Empirical PMF from `samples` evaluations using the supplied die roller. */
+async function sampleDistribution(parsed, rollDie, samples) {
+    const counts = new Map();
+    for (let i = 0; i < samples; i++) {
+        // Yield to the event loop now and then so large runs don't stall other requests
+        // eslint-disable-next-line no-await-in-loop
+        if (i > 0 && i % 1000 === 0) await new Promise(resolve => setImmediate(resolve));
+        // eslint-disable-next-line no-await-in-loop
+        const { total } = await evaluateDice(parsed, rollDie);
+        add(counts, total, 1);
+    }
+    return new Map(Array.from(counts, ([v, c]) => [v, c / samples]));
+}
+
+/** min/max/mean/variance/percentiles plus the sorted PMF. */
+function summarize(pmf) {
+    const entries = Array.from(pmf.entries())
+        .filter(([, p]) => p > 0)
+        .sort((a, b) => a[0] - b[0]);
+    const total = entries.reduce((s, [, p]) => s + p, 0);
+    const norm = entries.map(([v, p]) => [v, p / total]);
+
+    const mean = norm.reduce((s, [v, p]) => s + v * p, 0);
+    const variance = norm.reduce((s, [v, p]) => s + p * (v - mean) ** 2, 0);
+    let mode = norm[0];
+    for (const e of norm) if (e[1] > mode[1]) mode = e;
+
+    const percentiles = {};
+    let cdf = 0;
+    let i = 0;
+    for (const pct of PERCENTILES) {
+        const target = pct / 100 - 1e-12;
+        while (i < norm.length - 1 && cdf + norm[i][1] < target) {
+            cdf += norm[i][1];
+            i++;
+        }
+        percentiles[`p${pct}`] = norm[i][0];
+    }
+
+    return {
+        min: norm[0][0],
+        max: norm[norm.length - 1][0],
+        mean,
+        variance,
+        stddev: Math.sqrt(variance),
+        mode: mode[0],
+        percentiles,
+        pmf: norm.map(([value, probability]) => ({ value, probability }))
+    };
+}
+
+module.exports = {
+    TooComplexError,
+    exactDistribution,
+    sampleDistribution,
+    summarize
+};
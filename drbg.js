@@ -0,0 +1,151 @@
+/**
+ * CTR_DRBG with AES-256 (NIST SP 800-90A Rev. 1, section 10.2.1), without a derivation function:
+ * entropy input must already be full-entropy seed material of seedlen (384) bits. The CSPRNG
+ * conditions its sources with HKDF-SHA256 to get there.
+ *
+ * Every generate call produces its output and the following Update from one AES-CTR stream
+ * (Node's CTR mode increments the whole 128-bit V, matching the spec's block counter), then
+ * replaces Key and V, so earlier output cannot be recomputed from the new state
+ * (backtracking resistance). With prediction resistance, every request first reseeds from
+ * `getEntropy`.
+ */
+const crypto = require('crypto');
+
+const KEY_LEN = 32;
+const BLOCK_LEN = 16;
+const SEED_LEN = KEY_LEN + BLOCK_LEN;
+const MAX_BYTES_PER_REQUEST = 65536; // 2^19 bits
+const MAX_RESEED_INTERVAL = 2 ** 48;
+const DEFAULT_RESEED_INTERVAL = 65536; // generate requests between reseeds
+
+const ZEROS = Buffer.alloc(MAX_BYTES_PER_REQUEST + SEED_LEN + BLOCK_LEN);
+
+/** V + 1 mod 2^128, as a new 16-byte buffer. */
+function incrementV(v) {
+    const out = Buffer.from(v);
+    for (let i = BLOCK_LEN - 1; i >= 0; i--) {
+        out[i] = (out[i] + 1) & 0xff;
+        if (out[i] !== 0) break;
+    }
+    return out;
+}
+
+/** Zero-pad `data` (buffer or string) to seedlen; longer inputs are rejected, as without a df. */
+function padToSeedLen(data, label) {
+    const buf = Buffer.isBuffer(data) ? data : Buffer.from(data || '');
+    if (buf.length > SEED_LEN) throw new Error(`${label} exceeds ${SEED_LEN} bytes`);
+    const out = Buffer.alloc(SEED_LEN);
+    buf.copy(out);
+    return out;
+}
+
+function xorInto(target, data) {
+    for (let i = 0; i < target.length; i++) target[i] ^= data[i];
+    return target;
+}
+
+class CtrDrbg {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.reseedInterval] generate requests allowed between reseeds
+     * @param {boolean} [options.predictionResistance] reseed before every request
+     * @param {(n: number) => Buffer} [options.getEntropy] synchronous full-entropy input for automatic reseeds
+     */
+    constructor({ reseedInterval = DEFAULT_RESEED_INTERVAL, predictionResistance = false, getEntropy = crypto.randomBytes } = {}) {
+        if (!Number.isInteger(reseedInterval) || reseedInterval < 1 || reseedInterval > MAX_RESEED_INTERVAL) {
+            throw new Error(`reseedInterval must be between 1 and 2^48`);
+        }
+        this.reseedInterval = reseedInterval;
+        this.predictionResistance = predictionResistance;
+        this.getEntropy = getEntropy;
+        this.key = null;
+        this.v = null;
+        this.reseedCounter = 0;
+        this.automaticReseeds = 0;
+    }
+
+    get instantiated() {
+        return this.key !== null;
+    }
+
+    /** Keystream of `length` bytes starting at block V + 1. */
+    _keystream(length) {
+        const cipher = crypto.createCipheriv('aes-256-ctr', this.key, incrementV(this.v));
+        return cipher.update(ZEROS.subarray(0, length));
+    }
+
+    /** CTR_DRBG_Update: new Key and V from the next seedlen bits XOR provided data. */
+    _update(provided) {
+        const temp = xorInto(this._keystream(SEED_LEN), provided);
+        this._setState(temp);
+    }
+
+    _setState(temp) {
+        this.key = Buffer.from(temp.subarray(0, KEY_LEN));
+        this.v = Buffer.from(temp.subarray(KEY_LEN, SEED_LEN));
+        temp.fill(0);
+    }
+
+    instantiate(entropyInput, personalization) {
+        if (entropyInput.length !== SEED_LEN) throw new Error(`Entropy input must be ${SEED_LEN} bytes`);
+        const seed = xorInto(padToSeedLen(personalization, 'Personalization string'), entropyInput);
+        this.key = Buffer.alloc(KEY_LEN);
+        this.v = Buffer.alloc(BLOCK_LEN);
+        this._update(seed);
+        this.reseedCounter = 1;
+    }
+
+    reseed(entropyInput, additionalInput) {
+        if (!this.instantiated) throw new Error('DRBG is not instantiated');
+        if (entropyInput.length !== SEED_LEN) throw new Error(`Entropy input must be ${SEED_LEN} bytes`);
+        this._update(xorInto(padToSeedLen(additionalInput, 'Additional input'), entropyInput));
+        this.reseedCounter = 1;
+    }
+
+    /** Up to MAX_BYTES_PER_REQUEST bytes; reseeds from `getEntropy` first when due or with prediction resistance. */
+    generate(length, additionalInput) {
+        if (!this.instantiated) throw new Error('DRBG is not instantiated');
+        if (!Number.isInteger(length) || length < 0 || length > MAX_BYTES_PER_REQUEST) {
+            throw new Error(`Requests are limited to ${MAX_BYTES_PER_REQUEST} bytes`);
+        }
+
+        let additional = additionalInput ? padToSeedLen(additionalInput, 'Additional input') : null;
+        if (this.predictionResistance || this.reseedCounter > this.reseedInterval) {
+            this.reseed(this.getEntropy(SEED_LEN), additional);
+            this.automaticReseeds++;
+            additional = null;
+        }
+        if (additional) this._update(additional);
+
+        // Output blocks and the Update's seedlen bits come from one contiguous CTR stream
+        const blocks = Math.ceil(length / BLOCK_LEN);
+        const stream = this._keystream(blocks * BLOCK_LEN + SEED_LEN);
+        const out = Buffer.from(stream.subarray(0, length)); // copy: `stream` also holds the next state
+        const temp = stream.subarray(blocks * BLOCK_LEN);
+        if (additional) xorInto(temp, additional);
+        this._setState(temp);
+        stream.fill(0);
+        this.reseedCounter++;
+        return out;
+    }
+
+    /** Non-secret state summary for health output. */
+    describe() {
+        return {
+            mechanism: 'CTR_DRBG',
+            cipher: 'AES-256',
+            derivationFunction: false,
+            reseedCounter: this.reseedCounter,
+            reseedInterval: this.reseedInterval,
+            predictionResistance: this.predictionResistance,
+            automaticReseeds: this.automaticReseeds
+        };
+    }
+}
+
+module.exports = {
+    SEED_LEN,
+    MAX_RESEED_INTERVAL,
+    MAX_BYTES_PER_REQUEST,
+    CtrDrbg
+};
@@ -0,0 +1,96 @@
+/**
+ * Encodings and typed views over raw CSPRNG bytes for the /v1/entropy endpoints.
+ * Everything here is a pure function of the bytes it is given; callers draw them from the shared CSPRNG.
+ */
+const ENCODINGS = ['binary', 'hex', 'base64', 'base32'];
+const TYPES = ['uint8', 'uint16', 'uint64', 'int', 'float'];
+
+// Multiple of 3 (base64) and 5 (base32), so streamed chunks encode without padding in between
+const STREAM_CHUNK_BYTES = 60 * 1024;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/** RFC 4648 base32 with padding. */
+function base32(buf) {
+    let out = '';
+    let bits = 0;
+    let value = 0;
+    for (const byte of buf) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+        value &= (1 << bits) - 1;
+    }
+    if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    while (out.length % 8) out += '=';
+    return out;
+}
+
+/** Buffer for 'binary', string for the text encodings. */
+function encodeBytes(buf, encoding) {
+    if (encoding === 'binary') return buf;
+    if (encoding === 'hex') return buf.toString('hex');
+    if (encoding === 'base64') return buf.toString('base64');
+    if (encoding === 'base32') return base32(buf);
+    throw new Error(`Unknown encoding: ${encoding}`);
+}
+
+/** Bytes needed per value of a fixed-width type. */
+function bytesPerValue(type) {
+    return { uint8: 1, uint16: 2, uint64: 8, float: 8 }[type];
+}
+
+/**
+ * Read fixed-width values from `buf`: numbers for uint8/uint16, decimal strings for uint64
+ * (beyond Number precision), and uniform floats in [0, 1) built from the top 53 bits.
+ */
+function valuesFromBytes(buf, type) {
+    const width = bytesPerValue(type);
+    const out = [];
+    for (let i = 0; i + width <= buf.length; i += width) {
+        if (type === 'uint8') out.push(buf[i]);
+        else if (type === 'uint16') out.push(buf.readUInt16BE(i));
+        else if (type === 'uint64') out.push(buf.readBigUInt64BE(i).toString());
+        else out.push(Number(buf.readBigUInt64BE(i) >> 11n) / 2 ** 53);
+    }
+    return out;
+}
+
+/**
+ * Unbiased integers in [min, max] (safe integers) by rejection sampling on the smallest byte width
+ * that covers the range. `getBytes(n)` supplies randomness; returns { values, draws } so callers
+ * can account for rejections.
+ */
+async function integersInRange(getBytes, count, min, max) {
+    const range = BigInt(max) - BigInt(min) + 1n;
+    let width = 1;
+    while (256n ** BigInt(width) < range) width++;
+    const space = 256n ** BigInt(width);
+    const acceptMax = space - (space % range);
+
+    const values = [];
+    let draws = 0;
+    while (values.length < count) {
+        // eslint-disable-next-line no-await-in-loop
+        const buf = await getBytes((count - values.length) * width);
+        for (let i = 0; i + width <= buf.length && values.length < count; i += width) {
+            draws++;
+            const n = BigInt(`0x${buf.toString('hex', i, i + width)}`);
+            if (n < acceptMax) values.push(Number(BigInt(min) + (n % range)));
+        }
+    }
+    return { values, draws };
+}
+
+module.exports = {
+    ENCODINGS,
+    TYPES,
+    STREAM_CHUNK_BYTES,
+    encodeBytes,
+    valuesFromBytes,
+    bytesPerValue,
+    integersInRange
+};
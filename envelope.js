@@ -0,0 +1,159 @@
+/**
+ * Encrypted delivery: passwords sealed to a public key the client supplies, as JWE compact
+ * serialization (RFC 7516) so any JOSE library can open them. RSA keys (2048 bits and up) get
+ * RSA-OAEP-256, X25519 keys get ECDH-ES with an ephemeral key; the content is always A256GCM.
+ * decryptEnvelope() is the matching helper for scripts and tests (also `passgen decrypt`).
+ *
+ * The content key, IV and ephemeral key come from Node's crypto (OS entropy), not the
+ * generator: they protect the delivery, not the password, and must never follow a seed.
+ */
+const crypto = require('crypto');
+const { jwkThumbprint } = require('./keys');
+
+const CONTENT_ENCRYPTION = 'A256GCM';
+const KEY_ALGORITHMS = ['RSA-OAEP-256', 'ECDH-ES'];
+const MIN_RSA_BITS = 2048;
+
+class EnvelopeError extends Error {}
+
+function b64u(data) {
+    return Buffer.from(data).toString('base64url');
+}
+
+function invalid(message) {
+    return { ok: false, status: 400, body: { error: 'Invalid encryptTo key', message } };
+}
+
+// Concat KDF (NIST SP 800-56A) as ECDH-ES direct key agreement uses it: one SHA-256 round, no apu/apv
+function concatKdf(sharedSecret, enc) {
+    const lengthPrefixed = (buf) => {
+        const len = Buffer.alloc(4);
+        len.writeUInt32BE(buf.length);
+        return Buffer.concat([len, buf]);
+    };
+    const keyBits = Buffer.alloc(4);
+    keyBits.writeUInt32BE(256);
+    return crypto.createHash('sha256').update(Buffer.concat([
+        Buffer.from([0, 0, 0, 1]),
+        sharedSecret,
+        lengthPrefixed(Buffer.from(enc, 'ascii')),
+        lengthPrefixed(Buffer.alloc(0)),
+        lengthPrefixed(Buffer.alloc(0)),
+        keyBits
+    ])).digest();
+}
+
+/**
+ * Check the recipient key of a request: a PEM public key (SPKI or PKCS#1) or a public JWK.
+ * Returns { ok, key, alg, kid } or a 400 { ok: false, status, body }. A JWK's own `kid` is
+ * kept; otherwise the kid is the key's RFC 7638 thumbprint.
+ */
+function parseRecipientKey(input) {
+    const isPem = typeof input === 'string';
+    if (isPem ? /PRIVATE KEY/.test(input) : input && typeof input === 'object' && 'd' in input) {
+        return invalid('encryptTo must be a public key; never send the private key');
+    }
+    let key;
+    try {
+        key = isPem ? crypto.createPublicKey(input) : crypto.createPublicKey({ key: input, format: 'jwk' });
+    } catch (e) {
+        return invalid(`encryptTo must be a PEM public key or a public JWK (${e.message})`);
+    }
+
+    let alg;
+    if (key.asymmetricKeyType === 'rsa') {
+        if (key.asymmetricKeyDetails.modulusLength < MIN_RSA_BITS) return invalid(`RSA keys must be at least ${MIN_RSA_BITS} bits`);
+        alg = 'RSA-OAEP-256';
+    } else if (key.asymmetricKeyType === 'x25519') {
+        alg = 'ECDH-ES';
+    } else {
+        return invalid(`Unsupported key type ${key.asymmetricKeyType}; use an RSA or X25519 public key`);
+    }
+    const kid = !isPem && typeof input.kid === 'string' && input.kid ? input.kid : jwkThumbprint(key.export({ format: 'jwk' }));
+    return { ok: true, key, alg, kid };
+}
+
+/** Seal `plaintext` (string or Buffer) to a key from parseRecipientKey(); returns a compact JWE. */
+function encryptEnvelope(plaintext, recipient) {
+    const header = { alg: recipient.alg, enc: CONTENT_ENCRYPTION, kid: recipient.kid };
+    let cek;
+    let encryptedKey;
+    if (recipient.alg === 'RSA-OAEP-256') {
+        cek = crypto.randomBytes(32);
+        encryptedKey = crypto.publicEncrypt({
+            key: recipient.key,
+            padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+            oaepHash: 'sha256'
+        }, cek);
+    } else {
+        const ephemeral = crypto.generateKeyPairSync('x25519');
+        const { crv, x } = ephemeral.publicKey.export({ format: 'jwk' });
+        header.epk = { kty: 'OKP', crv, x };
+        cek = concatKdf(crypto.diffieHellman({ privateKey: ephemeral.privateKey, publicKey: recipient.key }), CONTENT_ENCRYPTION);
+        encryptedKey = Buffer.alloc(0); // direct key agreement: the CEK is never transmitted
+    }
+
+    const protectedHeader = b64u(JSON.stringify(header));
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', cek, iv);
+    cipher.setAAD(Buffer.from(protectedHeader, 'ascii'));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return [protectedHeader, b64u(encryptedKey), b64u(iv), b64u(ciphertext), b64u(cipher.getAuthTag())].join('.');
+}
+
+/**
+ * Open a compact JWE from encryptEnvelope() with the matching private key (PEM, JWK or
+ * KeyObject). Returns the plaintext as a Buffer; throws EnvelopeError if it cannot be opened.
+ */
+function decryptEnvelope(jwe, privateKeyInput) {
+    const parts = String(jwe).trim().split('.');
+    if (parts.length !== 5) throw new EnvelopeError('Not a compact JWE (expected 5 dot-separated parts)');
+    const [protectedHeader, encryptedKey, iv, ciphertext, tag] = parts;
+
+    let header;
+    try {
+        header = JSON.parse(Buffer.from(protectedHeader, 'base64url').toString('utf8'));
+    } catch {
+        throw new EnvelopeError('Malformed JWE header');
+    }
+    if (header.enc !== CONTENT_ENCRYPTION || !KEY_ALGORITHMS.includes(header.alg)) {
+        throw new EnvelopeError(`Unsupported JWE algorithms ${header.alg}/${header.enc}`);
+    }
+
+    let privateKey;
+    try {
+        privateKey = privateKeyInput instanceof crypto.KeyObject ? privateKeyInput
+            : typeof privateKeyInput === 'string' ? crypto.createPrivateKey(privateKeyInput)
+                : crypto.createPrivateKey({ key: privateKeyInput, format: 'jwk' });
+    } catch (e) {
+        throw new EnvelopeError(`Invalid private key: ${e.message}`);
+    }
+
+    try {
+        let cek;
+        if (header.alg === 'RSA-OAEP-256') {
+            cek = crypto.privateDecrypt({
+                key: privateKey,
+                padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+                oaepHash: 'sha256'
+            }, Buffer.from(encryptedKey, 'base64url'));
+        } else {
+            const epk = crypto.createPublicKey({ key: header.epk, format: 'jwk' });
+            cek = concatKdf(crypto.diffieHellman({ privateKey, publicKey: epk }), header.enc);
+        }
+        const decipher = crypto.createDecipheriv('aes-256-gcm', cek, Buffer.from(iv, 'base64url'));
+        decipher.setAAD(Buffer.from(protectedHeader, 'ascii'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+        return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]);
+    } catch (e) {
+        throw new EnvelopeError(`Decryption failed (wrong key or corrupted envelope): ${e.message}`);
+    }
+}
+
+module.exports = {
+    CONTENT_ENCRYPTION,
+    EnvelopeError,
+    parseRecipientKey,
+    encryptEnvelope,
+    decryptEnvelope
+};
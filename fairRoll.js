@@ -0,0 +1,222 @@
+/**
+ * Commit-reveal ("provably fair") dice rolls.
+ *
+ * The server picks a secret 32-byte server seed and publishes only its SHA-256 commitment. Each
+ * roll then mixes in a client seed and a per-session nonce:
+ *
+ *   entropy = HKDF-SHA256(ikm = serverSeed, salt = clientSeed, info = "passgen-fair-roll:v1:<nonce>:<expression>", 48)
+ *
+ * which instantiates a CTR_DRBG (personalization "passgen-fair-roll"); dice draw 4 bytes each with
+ * rejection sampling, exactly like /v1/roll. Revealing the server seed lets anyone check it against
+ * the commitment and recompute every roll with verifyFairRoll().
+ */
+const crypto = require('crypto');
+const { hkdfSha256 } = require('./hkdf');
+const { SEED_LEN, MAX_RESEED_INTERVAL, CtrDrbg } = require('./drbg');
+const { parseDiceExpression, evaluateDice } = require('./dice');
+const { readJsonFile, writeJsonFileAtomic } = require('./jsonFile');
+
+const FAIR_ROLL_VERSION = 'v1';
+const PERSONALIZATION = 'passgen-fair-roll';
+const SERVER_SEED_BYTES = 32;
+const MAX_CLIENT_SEED_LENGTH = 256;
+const MAX_ROLLS_PER_REQUEST = 100;
+const MAX_ROLLS_PER_SESSION = 1000; // roll records kept per session
+const ROLL_FLUSH_MS = 1000;
+
+/** Hex SHA-256 of the server seed's bytes; this is what gets published before any roll. */
+function commitmentFor(serverSeed) {
+    return crypto.createHash('sha256').update(Buffer.from(serverSeed, 'hex')).digest('hex');
+}
+
+/** Die roller over the DRBG keyed by the server seed, client seed, nonce and expression. */
+function createFairDieRoller({ serverSeed, clientSeed, nonce, expression }) {
+    const info = Buffer.from(`passgen-fair-roll:${FAIR_ROLL_VERSION}:${nonce}:${expression}`);
+    const entropyInput = hkdfSha256(Buffer.from(serverSeed, 'hex'), Buffer.from(clientSeed, 'utf8'), info, SEED_LEN);
+    const drbg = new CtrDrbg({
+        reseedInterval: MAX_RESEED_INTERVAL,
+        getEntropy: () => { throw new Error('A fair-roll generator cannot reseed'); }
+    });
+    drbg.instantiate(entropyInput, PERSONALIZATION);
+
+    return (sides) => {
+        if (sides === 1) return 1;
+        const maxAcceptable = Math.floor(0x100000000 / sides) * sides;
+        for (;;) {
+            const value = drbg.generate(4).readUInt32BE(0);
+            if (value < maxAcceptable) return (value % sides) + 1;
+        }
+    };
+}
+
+/** Roll `expression` `rolls` times from the given inputs; throws DiceSyntaxError on bad expressions. */
+async function computeFairRolls({ serverSeed, clientSeed, nonce, expression, rolls = 1 }) {
+    const parsed = parseDiceExpression(String(expression));
+    const rollDie = createFairDieRoller({ serverSeed, clientSeed, nonce, expression });
+    const results = [];
+    for (let i = 0; i < rolls; i++) {
+        // eslint-disable-next-line no-await-in-loop
+        results.push(await evaluateDice(parsed, rollDie));
+    }
+    return results;
+}
+
+/**
+ * Recompute a roll from revealed inputs. Needs nothing but the inputs, so it works without the
+ * session (or the server). `commitment` is optional; when given, the server seed is checked against it.
+ * Returns { commitmentValid, rolls } (commitmentValid is null without a commitment).
+ */
+async function verifyFairRoll({ serverSeed, commitment, clientSeed, nonce, expression, rolls = 1 }) {
+    const commitmentValid = commitment == null
+        ? null
+        : commitmentFor(serverSeed) === String(commitment).toLowerCase();
+    return { commitmentValid, rolls: await computeFairRolls({ serverSeed, clientSeed, nonce, expression, rolls }) };
+}
+
+/** Problem with fair-roll inputs supplied by a client, or null. */
+function fairRollInputProblem({ serverSeed, clientSeed, nonce, rolls }) {
+    if (serverSeed !== undefined && !(typeof serverSeed === 'string' && new RegExp(`^[0-9a-f]{${SERVER_SEED_BYTES * 2}}$`, 'i').test(serverSeed))) {
+        return `serverSeed must be ${SERVER_SEED_BYTES * 2} hex characters`;
+    }
+    if (typeof clientSeed !== 'string' || clientSeed.length < 1 || clientSeed.length > MAX_CLIENT_SEED_LENGTH) {
+        return `clientSeed must be a string of 1-${MAX_CLIENT_SEED_LENGTH} characters`;
+    }
+    if (nonce !== undefined && !(Number.isSafeInteger(nonce) && nonce >= 0)) {
+        return 'nonce must be a non-negative integer';
+    }
+    if (rolls !== undefined && !(Number.isInteger(rolls) && rolls >= 1 && rolls <= MAX_ROLLS_PER_REQUEST)) {
+        return `rolls must be an integer between 1 and ${MAX_ROLLS_PER_REQUEST}`;
+    }
+    return null;
+}
+
+/**
+ * File-backed commit-reveal sessions. Each holds one server seed (secret until revealed), the next
+ * nonce and a record of the rolls made against it. Sessions accept rolls until revealed or expired;
+ * expired sessions are dropped, so reveal before `expiresAt` to keep the rolls verifiable.
+ * At most `maxSessions` live sessions are held. Rolls are written within a second and by flush().
+ */
+function createRollSessionStore({ file, ttlMs, maxSessions }) {
+    const data = readJsonFile(file, { sessions: [] });
+    const byId = new Map(data.sessions.map(s => [s.id, s]));
+    let flushTimer = null;
+
+    function save() {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        writeJsonFileAtomic(file, { sessions: Array.from(byId.values()) });
+    }
+
+    // Nonces and rolls change on every roll, so batch those writes; commits and reveals are saved at once
+    function scheduleSave() {
+        if (flushTimer) return;
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            try {
+                save();
+            } catch (e) {
+                console.error('Failed to persist commit-reveal sessions:', e);
+            }
+        }, ROLL_FLUSH_MS);
+        flushTimer.unref();
+    }
+
+    function prune() {
+        const now = new Date().toISOString();
+        let removed = 0;
+        for (const [id, session] of byId) {
+            if (session.expiresAt <= now) {
+                byId.delete(id);
+                removed++;
+            }
+        }
+        if (removed) save();
+    }
+
+    function live(id) {
+        prune();
+        return byId.get(id) || null;
+    }
+
+    /** The session as clients see it: the server seed only once revealed. */
+    function publicView(session) {
+        const { serverSeed, ...rest } = session;
+        return { ...rest, revealed: !!session.revealedAt, ...(session.revealedAt ? { serverSeed } : {}) };
+    }
+
+    /** A new session around `serverSeed`; null when maxSessions are already live. */
+    function create(serverSeed) {
+        prune();
+        if (byId.size >= maxSessions) return null;
+        const now = Date.now();
+        const session = {
+            id: crypto.randomBytes(16).toString('hex'),
+            version: FAIR_ROLL_VERSION,
+            commitment: commitmentFor(serverSeed),
+            serverSeed,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + ttlMs).toISOString(),
+            revealedAt: null,
+            nextNonce: 0,
+            rolls: []
+        };
+        byId.set(session.id, session);
+        save();
+        return session;
+    }
+
+    /**
+     * Claim the next nonce for a roll. Synchronous, so concurrent rolls never share a nonce.
+     * Returns { ok, session, nonce } or { ok: false, reason: 'not_found' | 'revealed' | 'full' }.
+     */
+    function claimNonce(id) {
+        const session = live(id);
+        if (!session) return { ok: false, reason: 'not_found' };
+        if (session.revealedAt) return { ok: false, reason: 'revealed' };
+        if (session.nextNonce >= MAX_ROLLS_PER_SESSION) return { ok: false, reason: 'full' };
+        const nonce = session.nextNonce++;
+        scheduleSave();
+        return { ok: true, session, nonce };
+    }
+
+    function recordRoll(id, entry) {
+        const session = byId.get(id);
+        if (!session) return;
+        session.rolls.push(entry);
+        scheduleSave();
+    }
+
+    function reveal(id) {
+        const session = live(id);
+        if (!session) return null;
+        if (!session.revealedAt) {
+            session.revealedAt = new Date().toISOString();
+            save();
+        }
+        return session;
+    }
+
+    return {
+        create,
+        claimNonce,
+        recordRoll,
+        reveal,
+        publicView,
+        get: live,
+        flush: () => { if (flushTimer) save(); }
+    };
+}
+
+module.exports = {
+    FAIR_ROLL_VERSION,
+    SERVER_SEED_BYTES,
+    MAX_ROLLS_PER_REQUEST,
+    MAX_ROLLS_PER_SESSION,
+    commitmentFor,
+    computeFairRolls,
+    verifyFairRoll,
+    fairRollInputProblem,
+    createRollSessionStore
+};
@@ -0,0 +1,352 @@
+/**
+ * The generator: a CSPRNG reseeded from a registry of entropy sources, with the entropy policy,
+ * seed freshness and readiness built on it. Nothing happens at import or construction time;
+ * start() does the first reseed and schedules the rest, close() stops the schedule.
+ *
+ *   const generator = createGenerator({ sources: [{ type: 'os' }], reseedMs: 3600000 });
+ *   await generator.start();
+ *   const { passwords } = await generator.passwords({ length: 20, count: 3 });
+ *   generator.close();
+ */
+const crypto = require('crypto');
+const { createSourceRegistry } = require('./sources');
+const { CSPRNG, rollDie, healthTestFailures } = require('./csprng');
+const { generatePasswords } = require('./passwords');
+const { createPolicyStore } = require('./policies');
+const { createWordlistStore } = require('./wordlists');
+const { DiceSyntaxError, parseDiceExpression, evaluateDice, rollSummary } = require('./dice');
+const { registry: metrics, createRegistry } = require('./metrics');
+
+// Ordered loosest → strictest; requests may tighten the generator policy but never relax it
+const ENTROPY_POLICIES = ['os-only', 'prefer-qrng', 'require-qrng'];
+const SEED_BYTES_PER_SOURCE = 64;
+const MAX_SEED_LENGTH = 1024;
+const MAX_ROLLS = 100;
+
+const DEFAULTS = {
+    sources: [{ type: 'os' }],
+    reseedMs: 3600000,
+    maxStaleIntervals: 2,
+    entropyPolicy: 'prefer-qrng',
+    sourceTimeoutMs: 5000,
+    sourceRetryMs: 60000,
+    quarantineMs: 3600000,
+    drbgReseedInterval: 65536,
+    predictionResistance: false,
+    policiesFile: '', // custom password policies; empty keeps them in memory only
+    wordlistDir: '', // custom wordlists; empty keeps them in memory only
+    logger: console
+};
+
+// Process-wide counters; per-generator gauges live in generator.metrics
+const reseeds = metrics.counter('passgen_reseeds_total', 'CSPRNG reseed attempts by outcome', ['result']);
+const sourceReads = metrics.counter('passgen_entropy_source_reads_total', 'Entropy source reads during reseeds', ['source', 'kind', 'result']);
+const sourceLatency = metrics.histogram('passgen_entropy_source_fetch_seconds', 'Entropy source fetch latency (QRNG sources have kind="qrng")',
+    ['source', 'kind'], [0.001, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+
+/** A refused request, carrying the status and JSON body the HTTP API would answer with. */
+class GenerationError extends Error {
+    constructor(status, body) {
+        super(body.message || body.error);
+        this.name = 'GenerationError';
+        this.status = status;
+        this.body = body;
+    }
+}
+
+/**
+ * Options (all optional): `sources` (entropy source definitions, see sources/index.js),
+ * `reseedMs`, `maxStaleIntervals`, `entropyPolicy`, `sourceTimeoutMs`, `sourceRetryMs`,
+ * `quarantineMs`, `drbgReseedInterval`, `predictionResistance`, `policiesFile`, `wordlistDir`
+ * and `logger`.
+ */
+function createGenerator(options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const { reseedMs, entropyPolicy, logger } = opts;
+    if (!ENTROPY_POLICIES.includes(entropyPolicy)) {
+        throw new Error(`Invalid entropy policy "${entropyPolicy}" (expected ${ENTROPY_POLICIES.join(', ')})`);
+    }
+
+    let closed = false;
+    let timer = null;
+    let lastQrngReseed = 0; // last reseed that actually mixed in QRNG bytes
+    let lastReseedAttempt = null; // { at, ok, error? } of the most recent reseed
+
+    // Reseeded on start(), every reseedMs, and on demand when the seed is stale
+    const csprng = new CSPRNG({
+        reseedInterval: opts.drbgReseedInterval,
+        predictionResistance: opts.predictionResistance,
+        maxSeedAgeMs: reseedMs,
+        onReseedDue: () => (closed ? null : reseed()),
+        logger
+    });
+    // Custom policies and wordlists belong to this generator, like its CSPRNG
+    const policies = createPolicyStore({ file: opts.policiesFile, logger });
+    const wordlists = createWordlistStore({ dir: opts.wordlistDir, logger });
+
+    const sources = createSourceRegistry(opts.sources, {
+        timeoutMs: opts.sourceTimeoutMs,
+        retryMs: opts.sourceRetryMs,
+        quarantineMs: opts.quarantineMs
+    });
+    const qrngConfigured = sources.sources.some(s => s.kind === 'qrng');
+
+    // ----------------- Reseeding -----------------
+    /** Reseed the CSPRNG from every source now; resolves to the per-source contributions. */
+    async function reseed() {
+        let seed;
+        let contributions;
+        try {
+            ({ seed, contributions } = await sources.collectSeed(SEED_BYTES_PER_SOURCE));
+        } catch (e) {
+            reseeds.inc({ result: 'failure' });
+            lastReseedAttempt = { at: Date.now(), ok: false, error: e.message };
+            throw e;
+        }
+        for (const c of contributions) {
+            sourceReads.inc({ source: c.source, kind: c.kind, result: c.ok ? 'success' : 'failure' });
+            if (c.healthTest) healthTestFailures.inc({ source: c.source, test: c.healthTest });
+            sourceLatency.observe({ source: c.source, kind: c.kind }, c.ms / 1000);
+        }
+        await csprng.reseed(seed, contributions);
+        reseeds.inc({ result: 'success' });
+        lastReseedAttempt = { at: Date.now(), ok: true };
+        if (contributions.some(c => c.ok && c.kind === 'qrng')) lastQrngReseed = csprng.lastReseed;
+        const mixed = contributions.filter(c => c.ok).map(c => c.source);
+        const failed = contributions.filter(c => !c.ok).map(c => `${c.source} (${c.error})`);
+        logger.log(`[${new Date().toISOString()}] CSPRNG reseeded from ${mixed.join(', ')} (${seed.length} bytes)` +
+            (failed.length ? `; skipped ${failed.join(', ')}` : ''));
+        return contributions;
+    }
+
+    /** First reseed (OS entropy if every source fails), then one every reseedMs until close(). */
+    async function start() {
+        if (timer || closed) return;
+        try {
+            await reseed();
+        } catch (e) {
+            logger.error('Initial reseed failed, using OS entropy fallback:', e);
+            await csprng.reseed(crypto.randomBytes(64));
+        }
+        if (closed) return;
+        timer = setInterval(() => {
+            reseed().catch(err => logger.error('Periodic reseed failed:', err));
+        }, reseedMs);
+        timer.unref(); // an embedding process may exit without calling close()
+    }
+
+    /** Stop reseeding. The CSPRNG keeps working on its current seed. */
+    function close() {
+        closed = true;
+        clearInterval(timer);
+        timer = null;
+    }
+
+    // ----------------- Entropy policy -----------------
+    /** Describe what the current CSPRNG state was actually seeded from. */
+    function sourcesMeta() {
+        const mixed = csprng.lastSources.filter(c => c.ok);
+        return {
+            os: true, // OS entropy is always folded into the HKDF salt
+            qrng: mixed.some(c => c.kind === 'qrng'),
+            hwrng: mixed.some(c => c.kind === 'hwrng'),
+            mixed: true,
+            contributions: csprng.lastSources.map(({ source, kind, ok, bytes }) => ({ source, kind, ok, bytes })),
+            reseededAt: csprng.lastReseed ? new Date(csprng.lastReseed).toISOString() : null
+        };
+    }
+
+    function seedFreshness() {
+        const now = Date.now();
+        const iso = (t) => (t ? new Date(t).toISOString() : null);
+        const maxQrngAgeMs = reseedMs * opts.maxStaleIntervals;
+        return {
+            reseededAt: iso(csprng.lastReseed),
+            seedAgeMs: csprng.lastReseed ? now - csprng.lastReseed : null,
+            qrngReseededAt: iso(lastQrngReseed),
+            qrngSeedAgeMs: lastQrngReseed ? now - lastQrngReseed : null,
+            qrngFresh: lastQrngReseed > 0 && (now - lastQrngReseed) <= maxQrngAgeMs,
+            maxQrngAgeMs
+        };
+    }
+
+    /**
+     * Apply the entropy policy, optionally tightened by `requested`.
+     * Returns `{ ok: true, meta }` to serve, or `{ ok: false, status, body }` to refuse.
+     */
+    function checkEntropyPolicy(requested) {
+        let policy = entropyPolicy;
+        if (requested !== undefined) {
+            if (!ENTROPY_POLICIES.includes(requested)) {
+                return { ok: false, status: 400, body: { error: 'Invalid entropyPolicy', supported: ENTROPY_POLICIES } };
+            }
+            if (ENTROPY_POLICIES.indexOf(requested) < ENTROPY_POLICIES.indexOf(entropyPolicy)) {
+                return {
+                    ok: false,
+                    status: 400,
+                    body: { error: 'entropyPolicy cannot be weaker than the server policy', serverPolicy: entropyPolicy }
+                };
+            }
+            policy = requested;
+        }
+
+        const freshness = seedFreshness();
+        if (policy === 'require-qrng' && !freshness.qrngFresh) {
+            return {
+                ok: false,
+                status: 503,
+                body: {
+                    error: 'QRNG entropy unavailable',
+                    reason: !qrngConfigured
+                        ? 'No QRNG source configured'
+                        : (freshness.qrngReseededAt ? 'Last QRNG reseed is stale' : 'No successful QRNG reseed yet'),
+                    policy,
+                    entropy: freshness
+                }
+            };
+        }
+
+        return {
+            ok: true,
+            meta: { policy, degraded: policy === 'prefer-qrng' && !freshness.qrngFresh, ...freshness }
+        };
+    }
+
+    /**
+     * Where a request's randomness comes from: a private seeded CSPRNG when `seed` is given,
+     * otherwise this generator under the entropy policy.
+     * Returns { ok, rng, deterministic, entropyMeta } or { ok: false, status, body }.
+     */
+    function resolveRandomness({ seed, entropyPolicy: requested } = {}, purpose) {
+        if (seed !== undefined) {
+            const text = (typeof seed === 'string' || typeof seed === 'number') ? String(seed) : '';
+            if (!text || text.length > MAX_SEED_LENGTH) {
+                return {
+                    ok: false,
+                    status: 400,
+                    body: { error: 'Invalid seed', message: `seed must be a non-empty string of at most ${MAX_SEED_LENGTH} characters` }
+                };
+            }
+            return { ok: true, rng: CSPRNG.fromSeed(text, purpose), deterministic: true, entropyMeta: null };
+        }
+
+        const policy = checkEntropyPolicy(requested);
+        if (!policy.ok) return policy;
+        return { ok: true, rng: csprng, deterministic: false, entropyMeta: policy.meta };
+    }
+
+    /** `meta` fields about the entropy behind a response; seeded responses have none to report. */
+    function randomnessMeta(randomness) {
+        return randomness.deterministic ? {} : { sources: sourcesMeta(), entropy: randomness.entropyMeta };
+    }
+
+    /** Readiness: not ready until seeded, degraded when the last reseed failed or the seed is stale. */
+    function readiness() {
+        const freshness = seedFreshness();
+        const reasons = [];
+        if (!csprng.lastReseed) reasons.push('CSPRNG has not been seeded yet');
+        if (lastReseedAttempt && !lastReseedAttempt.ok) reasons.push(`Last reseed failed: ${lastReseedAttempt.error}`);
+        if (freshness.seedAgeMs !== null && freshness.seedAgeMs > freshness.maxQrngAgeMs) reasons.push('Seed is stale');
+        if (entropyPolicy === 'require-qrng' && !freshness.qrngFresh) reasons.push('QRNG entropy is missing or stale (policy require-qrng)');
+        return { ready: reasons.length === 0, reasons, freshness };
+    }
+
+    // ----------------- Metrics -----------------
+    const generatorMetrics = createRegistry();
+    generatorMetrics.gauge('passgen_seconds_since_last_reseed', 'Seconds since the CSPRNG was last reseeded', [],
+        () => (csprng.lastReseed ? [[{}, (Date.now() - csprng.lastReseed) / 1000]] : []));
+    generatorMetrics.gauge('passgen_seconds_since_last_qrng_reseed', 'Seconds since the last reseed that mixed in QRNG bytes', [],
+        () => (lastQrngReseed ? [[{}, (Date.now() - lastQrngReseed) / 1000]] : []));
+    generatorMetrics.gauge('passgen_entropy_source_quarantined', 'Entropy source quarantined after a failed health test (1 yes, 0 no)', ['source', 'kind'],
+        () => sources.status().map(s => [{ source: s.name, kind: s.kind }, s.quarantined ? 1 : 0]));
+    generatorMetrics.gauge('passgen_entropy_source_healthy', 'Entropy source health (1 healthy, 0 backing off)', ['source', 'kind'],
+        () => sources.status().map(s => [{ source: s.name, kind: s.kind }, s.healthy ? 1 : 0]));
+    generatorMetrics.gauge('passgen_ready', 'Readiness as reported by /healthz (1 ready, 0 degraded)', [], () => [[{}, readiness().ready ? 1 : 0]]);
+
+    // ----------------- Library API -----------------
+    function randomnessOrThrow(options, purpose) {
+        const randomness = resolveRandomness(options, purpose);
+        if (!randomness.ok) throw new GenerationError(randomness.status, randomness.body);
+        return randomness;
+    }
+
+    /** Passwords, as POST /v1/passwords returns them; `options` takes the same fields as its body. */
+    async function passwords(options = {}) {
+        const randomness = randomnessOrThrow(options, 'passwords');
+        const result = await generatePasswords(options, randomness.rng, { policies, wordlists });
+        if (!result.ok) throw new GenerationError(result.status, result.body);
+        return {
+            ...(randomness.deterministic ? { deterministic: true } : {}),
+            passwords: result.passwords,
+            ...(result.strength ? { strength: result.strength } : {}),
+            meta: { ...result.meta, ...randomnessMeta(randomness) }
+        };
+    }
+
+    /** Roll a dice expression `rolls` times, as POST /v1/roll does. */
+    async function roll(expression, { rolls = 1, ...options } = {}) {
+        if (!Number.isInteger(rolls) || rolls < 1 || rolls > MAX_ROLLS) {
+            throw new GenerationError(400, { error: 'Invalid rolls', message: `rolls must be an integer between 1 and ${MAX_ROLLS}` });
+        }
+        let parsed;
+        try {
+            parsed = parseDiceExpression(String(expression));
+        } catch (error) {
+            if (!(error instanceof DiceSyntaxError)) throw error;
+            throw new GenerationError(400, { error: 'Invalid dice expression', message: error.message, position: error.position });
+        }
+        const randomness = randomnessOrThrow(options, 'dice');
+        const results = [];
+        for (let i = 0; i < rolls; i++) {
+            // eslint-disable-next-line no-await-in-loop
+            results.push(await evaluateDice(parsed, sides => rollDie(sides, randomness.rng)));
+        }
+        return {
+            ...(randomness.deterministic ? { deterministic: true } : {}),
+            expression: String(expression),
+            rolls: results,
+            summary: rollSummary(results),
+            ...(randomness.deterministic ? {} : { entropy: randomness.entropyMeta })
+        };
+    }
+
+    /** `size` random bytes as a Buffer. */
+    async function bytes(size, options = {}) {
+        if (!Number.isSafeInteger(size) || size < 1) {
+            throw new GenerationError(400, { error: 'Invalid size', message: 'size must be a positive integer' });
+        }
+        return randomnessOrThrow(options, 'entropy').rng.getBytes(size);
+    }
+
+    return {
+        csprng,
+        sources,
+        entropyPolicy,
+        qrngConfigured,
+        policies,
+        wordlists,
+        logger,
+        metrics: generatorMetrics,
+        get lastReseedAttempt() {
+            return lastReseedAttempt;
+        },
+        start,
+        close,
+        reseed,
+        passwords,
+        roll,
+        bytes,
+        sourcesMeta,
+        seedFreshness,
+        checkEntropyPolicy,
+        resolveRandomness,
+        randomnessMeta,
+        readiness
+    };
+}
+
+module.exports = {
+    ENTROPY_POLICIES,
+    GenerationError,
+    createGenerator
+};
@@ -0,0 +1,246 @@
+/**
+ * RNG health tests.
+ *
+ * Continuous tests (NIST SP 800-90B section 4.4) run on every byte a seed source or the CSPRNG
+ * produces: the repetition count test catches a source stuck on one value, the adaptive
+ * proportion test catches one value becoming far too common. Each byte is one sample and the
+ * cutoffs follow from the claimed min-entropy per byte and a false-positive rate of 2^-alphaLog2.
+ *
+ * The on-demand self-test runs statistical tests over a sample of output (SP 800-22 frequency and
+ * runs, FIPS 140 poker, byte chi-square) and reports each statistic with its p-value.
+ */
+const DEFAULT_MIN_ENTROPY = 8;   // bits per byte claimed for conditioned sources
+const DEFAULT_ALPHA_LOG2 = 40;   // false-positive probability 2^-40 per sample
+const APT_WINDOW = 512;          // SP 800-90B window for non-binary samples
+
+const SELF_TEST_ALPHA = 0.001;
+const SELF_TEST_MIN_BYTES = 2500; // 20,000 bits, the FIPS 140 sample size
+
+// --------------------- Special functions ---------------------
+/** Complementary error function (Numerical Recipes erfcc, relative error < 1.2e-7). */
+function erfc(x) {
+    const z = Math.abs(x);
+    const t = 1 / (1 + 0.5 * z);
+    const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+        t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+        t * (-0.82215223 + t * 0.17087277)))))))));
+    return x >= 0 ? r : 2 - r;
+}
+
+/** ln Γ(x) for x > 0 (Lanczos approximation). */
+function logGamma(x) {
+    const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let ser = 1.000000000190015;
+    for (const coef of c) ser += coef / ++y;
+    return -tmp + Math.log(2.5066282746310005 * ser / x);
+}
+
+/** Regularized upper incomplete gamma Q(a, x): the chi-square survival function is Q(df/2, x/2). */
+function gammaQ(a, x) {
+    if (x <= 0) return 1;
+    const lnPrefix = -x + a * Math.log(x) - logGamma(a);
+    if (x < a + 1) {
+        // Series for P(a, x)
+        let sum = 1 / a;
+        let term = sum;
+        for (let n = 1; n < 1000; n++) {
+            term *= x / (a + n);
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+        }
+        return 1 - sum * Math.exp(lnPrefix);
+    }
+    // Continued fraction for Q(a, x) (modified Lentz)
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 1000; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = b + an / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-15) break;
+    }
+    return Math.exp(lnPrefix) * h;
+}
+
+function chiSquareSurvival(x, df) {
+    return gammaQ(df / 2, x / 2);
+}
+
+// --------------------- Continuous tests ---------------------
+/** SP 800-90B 4.4.1: C = 1 + ceil(-log2(alpha) / H). */
+function repetitionCountCutoff(minEntropy, alphaLog2) {
+    return 1 + Math.ceil(alphaLog2 / minEntropy);
+}
+
+/** SP 800-90B 4.4.2: C = 1 + CRITBINOM(W, 2^-H, 1 - alpha), the smallest count whose upper tail is below alpha. */
+function adaptiveProportionCutoff(window, minEntropy, alphaLog2) {
+    const p = 2 ** -minEntropy;
+    const alpha = 2 ** -alphaLog2;
+    const logP = Math.log(p);
+    const logQ = Math.log1p(-p);
+    const logPmf = k => logGamma(window + 1) - logGamma(k + 1) - logGamma(window - k + 1) + k * logP + (window - k) * logQ;
+
+    // Sum the tail from the top down; stop at the first k whose tail P(X >= k) exceeds alpha
+    let tail = 0;
+    for (let k = window; k >= 0; k--) {
+        tail += Math.exp(logPmf(k));
+        if (tail > alpha) return Math.min(k + 1, window);
+    }
+    return window;
+}
+
+/**
+ * Stateful repetition count and adaptive proportion tests over a byte stream. State carries
+ * across calls, so short seed reads still form full APT windows over time.
+ * `test(bytes)` returns null when all samples pass, otherwise the failing test (and resets).
+ */
+function createContinuousTests({ minEntropy = DEFAULT_MIN_ENTROPY, alphaLog2 = DEFAULT_ALPHA_LOG2, window = APT_WINDOW } = {}) {
+    const rctCutoff = repetitionCountCutoff(minEntropy, alphaLog2);
+    const aptCutoff = adaptiveProportionCutoff(window, minEntropy, alphaLog2);
+    let last = -1;
+    let run = 0;
+    let aptValue = -1;
+    let aptCount = 0;
+    let aptSeen = 0;
+    let samples = 0;
+
+    function reset() {
+        last = -1;
+        run = 0;
+        aptValue = -1;
+        aptCount = 0;
+        aptSeen = 0;
+    }
+
+    function test(bytes) {
+        for (let i = 0; i < bytes.length; i++) {
+            const b = bytes[i];
+            samples++;
+
+            if (b === last) {
+                run++;
+                if (run >= rctCutoff) {
+                    reset();
+                    return { test: 'repetitionCount', value: b, count: rctCutoff, cutoff: rctCutoff };
+                }
+            } else {
+                last = b;
+                run = 1;
+            }
+
+            if (aptSeen === 0) {
+                aptValue = b;
+                aptCount = 1;
+            } else if (b === aptValue) {
+                aptCount++;
+                if (aptCount >= aptCutoff) {
+                    const failure = { test: 'adaptiveProportion', value: b, count: aptCount, window, cutoff: aptCutoff };
+                    reset();
+                    return failure;
+                }
+            }
+            aptSeen = (aptSeen + 1) % window;
+        }
+        return null;
+    }
+
+    return {
+        test,
+        reset,
+        cutoffs: { repetitionCount: rctCutoff, adaptiveProportion: aptCutoff, window, minEntropy, alphaLog2 },
+        get samples() { return samples; }
+    };
+}
+
+// --------------------- Self-test ---------------------
+function countOnes(buf) {
+    let ones = 0;
+    for (const byte of buf) {
+        let b = byte;
+        while (b) {
+            ones += b & 1;
+            b >>= 1;
+        }
+    }
+    return ones;
+}
+
+/** SP 800-22 2.1 frequency (monobit) test. */
+function monobitTest(buf) {
+    const n = buf.length * 8;
+    const ones = countOnes(buf);
+    const s = Math.abs(2 * ones - n) / Math.sqrt(n);
+    return { name: 'monobit', statistic: s, pValue: erfc(s / Math.SQRT2), ones, bits: n };
+}
+
+/** SP 800-22 2.3 runs test: number of uninterrupted runs of identical bits. */
+function runsTest(buf) {
+    const n = buf.length * 8;
+    const ones = countOnes(buf);
+    const pi = ones / n;
+    if (Math.abs(pi - 0.5) >= 2 / Math.sqrt(n)) {
+        // Prerequisite frequency test failed; the runs statistic is meaningless
+        return { name: 'runs', statistic: null, pValue: 0, runs: null, bits: n };
+    }
+    let runs = 1;
+    let prev = buf[0] >> 7;
+    for (let i = 1; i < n; i++) {
+        const bit = (buf[i >> 3] >> (7 - (i & 7))) & 1;
+        if (bit !== prev) runs++;
+        prev = bit;
+    }
+    const expected = 2 * n * pi * (1 - pi);
+    const statistic = Math.abs(runs - expected) / (2 * Math.sqrt(2 * n) * pi * (1 - pi));
+    return { name: 'runs', statistic, pValue: erfc(statistic), runs, expected, bits: n };
+}
+
+/** FIPS 140 poker test over 4-bit nibbles (chi-square, 15 degrees of freedom). */
+function pokerTest(buf) {
+    const counts = new Array(16).fill(0);
+    for (const byte of buf) {
+        counts[byte >> 4]++;
+        counts[byte & 15]++;
+    }
+    const k = buf.length * 2;
+    const statistic = (16 / k) * counts.reduce((s, f) => s + f * f, 0) - k;
+    return { name: 'poker', statistic, pValue: chiSquareSurvival(statistic, 15), degreesOfFreedom: 15 };
+}
+
+/** Chi-square goodness of fit of byte values against uniform (255 degrees of freedom). */
+function chiSquareTest(buf) {
+    const counts = new Array(256).fill(0);
+    for (const byte of buf) counts[byte]++;
+    const expected = buf.length / 256;
+    const statistic = counts.reduce((s, c) => s + (c - expected) ** 2 / expected, 0);
+    return { name: 'chiSquare', statistic, pValue: chiSquareSurvival(statistic, 255), degreesOfFreedom: 255 };
+}
+
+/** Run all self-tests over `buf`; a test passes when its p-value is at least `alpha`. */
+function runSelfTest(buf, { alpha = SELF_TEST_ALPHA } = {}) {
+    if (buf.length < SELF_TEST_MIN_BYTES) throw new Error(`Self-test needs at least ${SELF_TEST_MIN_BYTES} bytes`);
+    const tests = [monobitTest(buf), runsTest(buf), pokerTest(buf), chiSquareTest(buf)]
+        .map(t => ({ ...t, pass: t.pValue >= alpha }));
+    return { pass: tests.every(t => t.pass), alpha, sampleBytes: buf.length, tests };
+}
+
+module.exports = {
+    DEFAULT_MIN_ENTROPY,
+    DEFAULT_ALPHA_LOG2,
+    SELF_TEST_MIN_BYTES,
+    repetitionCountCutoff,
+    adaptiveProportionCutoff,
+    createContinuousTests,
+    runSelfTest
+};
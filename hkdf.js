@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+
+// --- Minimal HKDF (Node has hkdfSync in v19+, we'll stay portable) ---
+function hkdfSha256(ikm, salt, info, length) {
+  // HKDF-Extract
+  const prk = crypto.createHmac('sha256', salt).update(ikm).digest();
+  // HKDF-Expand
+  const blocks = [];
+  let prev = Buffer.alloc(0);
+  let generated = 0;
+  for (let i = 1; generated < length; i++) {
+    const h = crypto.createHmac('sha256', prk);
+    h.update(prev);
+    h.update(info);
+    h.update(Buffer.from([i]));
+    const t = h.digest();
+    blocks.push(t);
+    generated += t.length;
+    prev = t;
+  }
+  return Buffer.concat(blocks).subarray(0, length);
+}
+
+module.exports = {
+  hkdfSha256
+};
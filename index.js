@@ -0,0 +1,26 @@
+/**
+ * Library entry point: embed the generator in another Node service, with or without the HTTP API.
+ *
+ *   const { createGenerator, createApp } = require('passgen-api');
+ *   const generator = createGenerator({ sources: [{ type: 'os' }], reseedMs: 3600000 });
+ *   await generator.start();
+ *   app.use('/random', createApp(generator, { requireApiKeys: true }));
+ *
+ * Requiring this module has no side effects beyond registering metrics.
+ */
+const { createGenerator, GenerationError, ENTROPY_POLICIES } = require('./generator');
+const { createApp } = require('./app');
+const { loadConfig } = require('./config');
+const { EnvelopeError, decryptEnvelope } = require('./envelope');
+const { checkApiToken } = require('./keys');
+
+module.exports = {
+    createGenerator,
+    createApp,
+    loadConfig,
+    GenerationError,
+    ENTROPY_POLICIES,
+    EnvelopeError,
+    decryptEnvelope,
+    checkApiToken
+};
@@ -0,0 +1,200 @@
+/**
+ * Bulk password jobs: a FIFO queue worked through in the background one chunk at a time, with
+ * progress on each job. Results only ever live in memory and are dropped after the first
+ * download or when the job expires, whichever comes first. Generation itself is a callback
+ * supplied per job by the controller, so this module knows nothing about policies or entropy.
+ */
+const crypto = require('crypto');
+
+const EXPORT_FORMATS = ['csv', 'jsonl', 'keepass'];
+const KEEPASS_COLUMNS = ['Group', 'Title', 'Username', 'Password', 'URL', 'Notes'];
+const KEEPASS_GROUP = 'Generated';
+
+const EXPORT_TYPES = {
+    csv: { contentType: 'text/csv', suffix: '.csv' },
+    jsonl: { contentType: 'application/x-ndjson', suffix: '.jsonl' },
+    keepass: { contentType: 'text/csv', suffix: '-keepass.csv' }
+};
+
+// Always quoted, never formula-escaped: a leading "=" or "-" is part of the password
+function csvField(value) {
+    return `"${String(value ?? '').replace(/"/g, '""')}"`;
+}
+
+/** Render downloaded results ({ passwords, usernames }) as one of EXPORT_FORMATS. */
+function exportResults({ passwords, usernames }, format) {
+    const rows = passwords.map((password, i) => ({ username: usernames ? usernames[i] : null, password }));
+    if (format === 'jsonl') {
+        return rows.map(r => `${JSON.stringify(usernames ? r : { password: r.password })}\n`).join('');
+    }
+    if (format === 'keepass') {
+        // Column order of KeePassXC's CSV export, which its importer and KeePass 2's generic CSV import map
+        const lines = [KEEPASS_COLUMNS.map(csvField).join(',')];
+        rows.forEach((r, i) => {
+            lines.push([KEEPASS_GROUP, r.username || `Password ${i + 1}`, r.username || '', r.password, '', ''].map(csvField).join(','));
+        });
+        return `${lines.join('\r\n')}\r\n`;
+    }
+    const columns = usernames ? ['username', 'password'] : ['password'];
+    const lines = [columns.join(',')];
+    for (const r of rows) lines.push(columns.map(c => csvField(r[c])).join(','));
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * In-memory job store and worker. `chunkSize` passwords are generated per step, with the event
+ * loop free between steps. `onEvent(event)` sees created, completed, failed, downloaded and expired.
+ */
+function createJobStore({ ttlMs, maxJobs, chunkSize, onEvent = () => {} }) {
+    const jobs = new Map();
+    const queue = [];
+    let working = false;
+
+    function remove(id) {
+        const job = jobs.get(id);
+        if (!job) return false;
+        clearTimeout(job.expiryTimer);
+        jobs.delete(id);
+        job.passwords = [];
+        job.usernames = null;
+        return true;
+    }
+
+    /**
+     * Queue a job. `generate(n)` resolves to n passwords or throws (an error with a `body` is
+     * reported as the job error). Returns null when the store already holds maxJobs jobs.
+     */
+    function create({ owner, count, usernames = null, meta = {}, generate }) {
+        if (jobs.size >= maxJobs) return null;
+        const now = Date.now();
+        const job = {
+            id: crypto.randomBytes(16).toString('hex'),
+            owner,
+            status: 'queued',
+            count,
+            meta,
+            createdAt: new Date(now).toISOString(),
+            startedAt: null,
+            completedAt: null,
+            downloadedAt: null,
+            expiresAt: new Date(now + ttlMs).toISOString(),
+            error: null,
+            passwords: [],
+            usernames,
+            hasUsernames: !!usernames,
+            generate
+        };
+        job.expiryTimer = setTimeout(() => {
+            if (remove(job.id)) onEvent('expired');
+        }, ttlMs);
+        job.expiryTimer.unref();
+        jobs.set(job.id, job);
+        queue.push(job);
+        onEvent('created');
+        setImmediate(work);
+        return job;
+    }
+
+    async function work() {
+        if (working) return;
+        working = true;
+        try {
+            while (queue.length) {
+                // eslint-disable-next-line no-await-in-loop
+                await run(queue.shift());
+            }
+        } finally {
+            working = false;
+        }
+    }
+
+    async function run(job) {
+        if (!jobs.has(job.id)) return; // deleted while queued
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        try {
+            while (job.passwords.length < job.count) {
+                const n = Math.min(chunkSize, job.count - job.passwords.length);
+                // eslint-disable-next-line no-await-in-loop
+                const chunk = await job.generate(n);
+                if (!jobs.has(job.id)) return; // deleted or expired mid-run
+                job.passwords.push(...chunk);
+                // Let other requests in between chunks
+                // eslint-disable-next-line no-await-in-loop
+                await new Promise(resolve => setImmediate(resolve));
+            }
+            job.status = 'completed';
+            onEvent('completed');
+        } catch (error) {
+            if (!error.body) console.error(`Password job ${job.id} failed:`, error);
+            job.status = 'failed';
+            job.error = error.body || { error: 'Password generation failed' };
+            job.passwords = [];
+            onEvent('failed');
+        } finally {
+            job.completedAt = new Date().toISOString();
+            job.generate = null;
+        }
+    }
+
+    /** The job as clients see it: progress and timestamps, never the results. */
+    function publicView(job) {
+        const generated = job.status === 'completed' || job.status === 'downloaded' ? job.count : job.passwords.length;
+        return {
+            id: job.id,
+            status: job.status,
+            count: job.count,
+            generated,
+            progress: Math.round((generated / job.count) * 10000) / 10000,
+            usernames: job.hasUsernames,
+            meta: job.meta,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            completedAt: job.completedAt,
+            downloadedAt: job.downloadedAt,
+            expiresAt: job.expiresAt,
+            ...(job.error ? { error: job.error } : {})
+        };
+    }
+
+    /**
+     * Hand over the results of a completed job and drop them from the store.
+     * Returns { ok, passwords, usernames } or { ok: false, reason: 'not_found' | 'not_ready' | 'failed' | 'downloaded' }.
+     */
+    function take(id) {
+        const job = jobs.get(id);
+        if (!job) return { ok: false, reason: 'not_found' };
+        if (job.downloadedAt) return { ok: false, reason: 'downloaded' };
+        if (job.status === 'failed') return { ok: false, reason: 'failed' };
+        if (job.status !== 'completed') return { ok: false, reason: 'not_ready' };
+        const { passwords, usernames } = job;
+        job.passwords = [];
+        job.usernames = null;
+        job.downloadedAt = new Date().toISOString();
+        job.status = 'downloaded';
+        onEvent('downloaded');
+        return { ok: true, passwords, usernames };
+    }
+
+    function countByStatus() {
+        const counts = { queued: 0, running: 0, completed: 0, failed: 0, downloaded: 0 };
+        for (const job of jobs.values()) counts[job.status]++;
+        return counts;
+    }
+
+    return {
+        create,
+        get: id => jobs.get(id) || null,
+        take,
+        remove,
+        publicView,
+        countByStatus
+    };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_TYPES,
+    exportResults,
+    createJobStore
+};
@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+
+/** Read a JSON file, returning `fallback` when it does not exist yet. */
+function readJsonFile(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') return fallback;
+        throw e;
+    }
+}
+
+/** Write via a temp file + rename so a crash never leaves a half-written store. */
+function writeJsonFileAtomic(file, data, mode = 0o600) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { mode });
+    fs.renameSync(tmp, file);
+}
+
+module.exports = {
+    readJsonFile,
+    writeJsonFileAtomic
+};
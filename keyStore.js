@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFileAtomic } = require('./jsonFile');
+
+const SCOPES = ['passwords:generate', 'dice:roll', 'entropy:read', 'admin'];
+const KEY_PREFIX = 'pgk';
+const USAGE_DAYS_KEPT = 90;
+const USAGE_FLUSH_MS = 5000;
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+/** Compare two strings in constant time (hashing first equalizes the lengths). */
+function safeEqual(a, b) {
+    return crypto.timingSafeEqual(sha256(String(a)), sha256(String(b)));
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function validateOptions({ scopes, rateLimit, dailyQuota }) {
+    if (!Array.isArray(scopes) || scopes.length === 0) throw new Error('scopes must be a non-empty array');
+    const unknown = scopes.filter(s => !SCOPES.includes(s));
+    if (unknown.length) throw new Error(`Unknown scopes: ${unknown.join(', ')} (expected ${SCOPES.join(', ')})`);
+
+    if (rateLimit != null) {
+        const { windowMs, max } = rateLimit;
+        if (!Number.isInteger(windowMs) || windowMs < 1000 || !Number.isInteger(max) || max < 1) {
+            throw new Error('rateLimit must be { windowMs >= 1000, max >= 1 } (integers)');
+        }
+    }
+    if (dailyQuota != null && (!Number.isInteger(dailyQuota) || dailyQuota < 1)) {
+        throw new Error('dailyQuota must be a positive integer');
+    }
+}
+
+/**
+ * File-backed API key store. Only SHA-256 hashes of keys are persisted; the plaintext
+ * key is returned once from create() and rotate(). Keys look like `pgk_<id>_<secret>`.
+ */
+function createKeyStore({ file }) {
+    const data = readJsonFile(file, { keys: [] });
+    const byId = new Map(data.keys.map(k => [k.id, k]));
+    const windows = new Map(); // id -> { start, count } (per-key rate limit, in memory)
+    let flushTimer = null;
+
+    function save() {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        writeJsonFileAtomic(file, { keys: Array.from(byId.values()) });
+    }
+
+    // Usage counters change on every request, so batch those writes
+    function scheduleSave() {
+        if (flushTimer) return;
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            try {
+                save();
+            } catch (e) {
+                console.error('Failed to persist API key usage:', e);
+            }
+        }, USAGE_FLUSH_MS);
+        flushTimer.unref();
+    }
+
+    function newSecret(id) {
+        const key = `${KEY_PREFIX}_${id}_${crypto.randomBytes(32).toString('base64url')}`;
+        return { key, hash: sha256(key).toString('hex') };
+    }
+
+    function publicView(record) {
+        const { hash, ...rest } = record;
+        return { ...rest, revoked: !!record.revokedAt };
+    }
+
+    function create({ name, scopes, rateLimit = null, dailyQuota = null }) {
+        if (typeof name !== 'string' || !name.trim()) throw new Error('name is required');
+        validateOptions({ scopes, rateLimit, dailyQuota });
+
+        let id;
+        do { id = crypto.randomBytes(6).toString('hex'); } while (byId.has(id));
+        const { key, hash } = newSecret(id);
+        const record = {
+            id,
+            name: name.trim(),
+            hash,
+            scopes: Array.from(new Set(scopes)),
+            rateLimit,
+            dailyQuota,
+            createdAt: new Date().toISOString(),
+            rotatedAt: null,
+            revokedAt: null,
+            lastUsedAt: null,
+            usage: { total: 0, days: {}, scopes: {} }
+        };
+        byId.set(id, record);
+        save();
+        return { key, record: publicView(record) };
+    }
+
+    function rotate(id) {
+        const record = byId.get(id);
+        if (!record || record.revokedAt) return null;
+        const { key, hash } = newSecret(id);
+        record.hash = hash;
+        record.rotatedAt = new Date().toISOString();
+        save();
+        return { key, record: publicView(record) };
+    }
+
+    function revoke(id) {
+        const record = byId.get(id);
+        if (!record) return null;
+        if (!record.revokedAt) {
+            record.revokedAt = new Date().toISOString();
+            windows.delete(id);
+            save();
+        }
+        return publicView(record);
+    }
+
+    /** Resolve a presented key to its record, or null. Timing does not depend on which part mismatched. */
+    function authenticate(presented) {
+        if (typeof presented !== 'string') return null;
+        const match = /^pgk_([0-9a-f]{12})_/.exec(presented);
+        const record = match ? byId.get(match[1]) : undefined;
+        const expected = record ? Buffer.from(record.hash, 'hex') : Buffer.alloc(32);
+        const ok = crypto.timingSafeEqual(sha256(presented), expected);
+        if (!ok || !record || record.revokedAt) return null;
+        return record;
+    }
+
+    function hasScope(record, scope) {
+        return record.scopes.includes('admin') || record.scopes.includes(scope);
+    }
+
+    /**
+     * Count one request against the key's rate limit and daily quota and record usage.
+     * Returns { ok, reason?, retryAfterMs?, limit?, remaining? }.
+     */
+    function consume(record, scope) {
+        const now = Date.now();
+        const day = today();
+        let rate = null;
+
+        if (record.rateLimit) {
+            let w = windows.get(record.id);
+            if (!w || now - w.start >= record.rateLimit.windowMs) {
+                w = { start: now, count: 0 };
+                windows.set(record.id, w);
+            }
+            if (w.count >= record.rateLimit.max) {
+                return { ok: false, reason: 'rate', retryAfterMs: w.start + record.rateLimit.windowMs - now };
+            }
+            w.count += 1;
+            rate = { limit: record.rateLimit.max, remaining: record.rateLimit.max - w.count };
+        }
+
+        const usedToday = record.usage.days[day] || 0;
+        if (record.dailyQuota && usedToday >= record.dailyQuota) {
+            const midnight = new Date(`${day}T00:00:00.000Z`).getTime() + 86400000;
+            return { ok: false, reason: 'quota', retryAfterMs: midnight - now };
+        }
+
+        record.usage.total += 1;
+        record.usage.days[day] = usedToday + 1;
+        if (scope) record.usage.scopes[scope] = (record.usage.scopes[scope] || 0) + 1;
+        record.lastUsedAt = new Date(now).toISOString();
+
+        const cutoff = new Date(now - USAGE_DAYS_KEPT * 86400000).toISOString().slice(0, 10);
+        for (const d of Object.keys(record.usage.days)) {
+            if (d < cutoff) delete record.usage.days[d];
+        }
+        scheduleSave();
+        return { ok: true, ...(rate || {}) };
+    }
+
+    return {
+        create,
+        rotate,
+        revoke,
+        authenticate,
+        hasScope,
+        consume,
+        get: (id) => (byId.has(id) ? publicView(byId.get(id)) : null),
+        list: () => Array.from(byId.values()).map(publicView),
+        hasAdminKeys: () => Array.from(byId.values()).some(k => !k.revokedAt && k.scopes.includes('admin')),
+        flush: () => { if (flushTimer) save(); }
+    };
+}
+
+module.exports = {
+    SCOPES,
+    createKeyStore,
+    safeEqual
+};
@@ -0,0 +1,173 @@
+/**
+ * Server-Sent Events plumbing for the live feeds: an event-stream wrapper around an Express
+ * response, and an in-memory hub of rooms that fans roll events out to their subscribers.
+ * Rooms keep a short history so a client reconnecting with Last-Event-ID misses nothing.
+ */
+const HEARTBEAT_MS = 15000;
+const RETRY_MS = 3000;
+const ROOM_HISTORY = 100;
+const ROOM_MAX_SUBSCRIBERS = 200;
+const ROOM_IDLE_MS = 10 * 60 * 1000; // empty rooms (and their history) are dropped after this
+
+/** One SSE frame; data is JSON on a single line. */
+function formatEvent(event, data, id) {
+    return `${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Switch `res` to text/event-stream. Returns { send(event, data, id), end(), abort(), onClose(fn), closed, needsDrain };
+ * send() returns false when the client is not keeping up (the frame is still queued). abort() drops the
+ * connection without flushing what is queued.
+ */
+function openEventStream(req, res) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // proxies must not buffer the stream
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const closeHandlers = [];
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    heartbeat.unref();
+
+    const stream = {
+        closed: false,
+        send(event, data, id) {
+            if (stream.closed) return false;
+            return res.write(formatEvent(event, data, id));
+        },
+        end() {
+            if (!stream.closed) res.end();
+        },
+        abort() {
+            if (!stream.closed) res.destroy();
+        },
+        onClose(fn) {
+            closeHandlers.push(fn);
+        },
+        get needsDrain() {
+            return res.writableNeedDrain;
+        }
+    };
+
+    res.on('close', () => {
+        stream.closed = true;
+        clearInterval(heartbeat);
+        for (const fn of closeHandlers) fn();
+    });
+    return stream;
+}
+
+function createRoomHub({ historySize = ROOM_HISTORY, maxSubscribers = ROOM_MAX_SUBSCRIBERS, idleMs = ROOM_IDLE_MS } = {}) {
+    const rooms = new Map(); // name -> { name, nextId, history, subscribers, idleTimer }
+
+    function room(name) {
+        let r = rooms.get(name);
+        if (!r) {
+            r = { name, nextId: 1, history: [], subscribers: new Set(), idleTimer: null };
+            rooms.set(name, r);
+        }
+        return r;
+    }
+
+    function scheduleCleanup(r) {
+        if (r.idleTimer || r.subscribers.size) return;
+        r.idleTimer = setTimeout(() => {
+            r.idleTimer = null;
+            if (!r.subscribers.size) rooms.delete(r.name);
+        }, idleMs);
+        r.idleTimer.unref();
+    }
+
+    /**
+     * Send to one subscriber unless it is still behind on earlier frames. A lagging subscriber is
+     * disconnected rather than buffered without bound; EventSource reconnects with Last-Event-ID
+     * and catches up from the room history.
+     */
+    function deliver(stream, event, data, id) {
+        if (stream.closed) return false;
+        if (stream.needsDrain) {
+            stream.abort();
+            return false;
+        }
+        stream.send(event, data, id);
+        return true;
+    }
+
+    function broadcast(r, event, data) {
+        const id = r.nextId++;
+        const payload = { id, ...data };
+        r.history.push({ id, event, data: payload });
+        if (r.history.length > historySize) r.history.shift();
+        let delivered = 0;
+        for (const stream of r.subscribers) {
+            if (deliver(stream, event, payload, id)) delivered++;
+        }
+        return { id, delivered };
+    }
+
+    function canJoin(name) {
+        const r = rooms.get(name);
+        return !r || r.subscribers.size < maxSubscribers;
+    }
+
+    /** Subscribe an event stream to a room (check canJoin first), replaying history newer than `lastEventId`. */
+    function join(name, stream, lastEventId) {
+        const r = room(name);
+        if (r.idleTimer) {
+            clearTimeout(r.idleTimer);
+            r.idleTimer = null;
+        }
+
+        if (Number.isInteger(lastEventId)) {
+            for (const e of r.history) if (e.id > lastEventId) stream.send(e.event, e.data, e.id);
+        }
+        r.subscribers.add(stream);
+        stream.onClose(() => {
+            r.subscribers.delete(stream);
+            broadcastPresence(r);
+            scheduleCleanup(r);
+        });
+        broadcastPresence(r);
+        return r.subscribers.size;
+    }
+
+    // Presence is not part of the replayable history
+    function broadcastPresence(r) {
+        for (const stream of r.subscribers) deliver(stream, 'presence', { room: r.name, subscribers: r.subscribers.size });
+    }
+
+    /** Record an event in a room and send it to every subscriber: { id, delivered }. */
+    function publish(name, event, data) {
+        const r = room(name);
+        const result = broadcast(r, event, data);
+        scheduleCleanup(r);
+        return result;
+    }
+
+    function list() {
+        return Array.from(rooms.values(), r => ({
+            room: r.name,
+            subscribers: r.subscribers.size,
+            lastEventId: r.nextId - 1
+        }));
+    }
+
+    return {
+        canJoin,
+        join,
+        publish,
+        list,
+        get connections() {
+            let n = 0;
+            for (const r of rooms.values()) n += r.subscribers.size;
+            return n;
+        }
+    };
+}
+
+module.exports = {
+    openEventStream,
+    createRoomHub
+};
@@ -0,0 +1,126 @@
+/**
+ * Minimal Prometheus metrics (text exposition format 0.0.4): counters, gauges and
+ * histograms with labels. Gauges can be computed at scrape time via a collect callback.
+ */
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(n => (labels[n] === undefined ? '' : String(labels[n]))));
+}
+
+function formatLabels(labelNames, values, extra = '') {
+    const parts = labelNames.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+    if (extra) parts.push(extra);
+    return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(v) {
+    if (v === Infinity) return '+Inf';
+    if (v === -Infinity) return '-Inf';
+    return String(v);
+}
+
+function createRegistry() {
+    const metrics = [];
+
+    function register(metric) {
+        if (metrics.some(m => m.name === metric.name)) throw new Error(`Duplicate metric: ${metric.name}`);
+        metrics.push(metric);
+        return metric;
+    }
+
+    function counter(name, help, labelNames = []) {
+        const values = new Map();
+        return register({
+            name, help, type: 'counter',
+            inc(labels = {}, by = 1) {
+                const key = labelKey(labelNames, labels);
+                values.set(key, (values.get(key) || 0) + by);
+            },
+            /** Pre-bound series for hot paths: labels(...).inc(by). */
+            labels(labels) {
+                const key = labelKey(labelNames, labels);
+                return { inc: (by = 1) => values.set(key, (values.get(key) || 0) + by) };
+            },
+            get(labels = {}) {
+                return values.get(labelKey(labelNames, labels)) || 0;
+            },
+            lines() {
+                return Array.from(values, ([key, v]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${formatValue(v)}`);
+            }
+        });
+    }
+
+    function gauge(name, help, labelNames = [], collect = null) {
+        const values = new Map();
+        return register({
+            name, help, type: 'gauge',
+            set(labels, v) {
+                values.set(labelKey(labelNames, labels || {}), v);
+            },
+            lines() {
+                if (collect) {
+                    values.clear();
+                    for (const [labels, v] of collect()) values.set(labelKey(labelNames, labels), v);
+                }
+                return Array.from(values)
+                    .filter(([, v]) => v !== null && v !== undefined && !Number.isNaN(v))
+                    .map(([key, v]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${formatValue(v)}`);
+            }
+        });
+    }
+
+    function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        const series = new Map(); // key -> { counts[], sum, count }
+        return register({
+            name, help, type: 'histogram',
+            observe(labels, v) {
+                const key = labelKey(labelNames, labels || {});
+                let s = series.get(key);
+                if (!s) {
+                    s = { counts: new Array(buckets.length).fill(0), sum: 0, count: 0 };
+                    series.set(key, s);
+                }
+                for (let i = 0; i < buckets.length; i++) if (v <= buckets[i]) s.counts[i] += 1;
+                s.sum += v;
+                s.count += 1;
+            },
+            lines() {
+                const out = [];
+                for (const [key, s] of series) {
+                    const values = JSON.parse(key);
+                    buckets.forEach((b, i) => {
+                        out.push(`${name}_bucket${formatLabels(labelNames, values, `le="${b}"`)} ${s.counts[i]}`);
+                    });
+                    out.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${s.count}`);
+                    out.push(`${name}_sum${formatLabels(labelNames, values)} ${s.sum}`);
+                    out.push(`${name}_count${formatLabels(labelNames, values)} ${s.count}`);
+                }
+                return out;
+            }
+        });
+    }
+
+    function render() {
+        return metrics.map(m => [
+            `# HELP ${m.name} ${m.help}`,
+            `# TYPE ${m.name} ${m.type}`,
+            ...m.lines()
+        ].join('\n')).join('\n') + '\n';
+    }
+
+    return { counter, gauge, histogram, render };
+}
+
+// Shared registry for the service; rendered by GET /metrics
+const registry = createRegistry();
+
+module.exports = {
+    createRegistry,
+    registry,
+    CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8'
+};
@@ -0,0 +1,268 @@
+/**
+ * MFA material: HOTP/TOTP secrets (RFC 4226 / RFC 6238) with otpauth:// URIs in the Key Uri
+ * Format understood by authenticator apps, code verification with a drift window, and recovery
+ * code sets. Secrets and codes are drawn from the CSPRNG passed in; verification needs none.
+ * Like passwords.js, results are `{ ok, ... }` or `{ ok: false, status, body }`.
+ */
+const crypto = require('crypto');
+const { encodeBytes } = require('./entropyFormats');
+const { indicesFromBytes } = require('./csprng');
+
+const OTP_TYPES = ['totp', 'hotp'];
+const OTP_ALGORITHMS = { SHA1: 'sha1', SHA256: 'sha256', SHA512: 'sha512' };
+// RFC 6238 test keys use the hash length; RFC 4226 requires at least 128 bits
+const DEFAULT_SECRET_BYTES = { SHA1: 20, SHA256: 32, SHA512: 64 };
+const MIN_SECRET_BYTES = 16;
+const MAX_SECRET_BYTES = 64;
+const OTP_DIGITS = [6, 7, 8];
+const DEFAULT_PERIOD = 30;
+const MIN_PERIOD = 15;
+const MAX_PERIOD = 300;
+const MAX_WINDOW = 10;
+const MAX_LABEL_LENGTH = 200;
+
+const RECOVERY_ALPHABETS = {
+    crockford: '0123456789ABCDEFGHJKMNPQRSTVWXYZ', // no I, L, O, U: nothing to misread when typing it back
+    digits: '0123456789',
+    hex: '0123456789abcdef'
+};
+const MAX_RECOVERY_CODES = 50;
+const MAX_RECOVERY_GROUPS = 8;
+const MIN_GROUP_LENGTH = 2;
+const MAX_GROUP_LENGTH = 16;
+const MIN_RECOVERY_BITS = 40;
+
+function invalid(body) {
+    return { ok: false, status: 400, body };
+}
+
+// --------------- HOTP / TOTP ---------------
+/** RFC 4648 base32 without padding, as authenticator apps expect it. */
+function encodeSecret(bytes) {
+    return encodeBytes(bytes, 'base32').replace(/=+$/, '');
+}
+
+/** Decode a base32 secret (case, spaces and padding ignored); null if it is not base32. */
+function decodeSecret(text) {
+    const clean = String(text).replace(/[\s=]/g, '').toUpperCase();
+    if (!clean || !/^[A-Z2-7]+$/.test(clean)) return null;
+    const bytes = [];
+    let value = 0;
+    let bits = 0;
+    for (const ch of clean) {
+        value = (value << 5) | 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'.indexOf(ch);
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 0xff);
+            bits -= 8;
+        }
+        value &= (1 << bits) - 1;
+    }
+    return Buffer.from(bytes);
+}
+
+/** The HOTP value for `counter` (RFC 4226 dynamic truncation), zero-padded to `digits`. */
+function hotp(key, counter, { algorithm = 'SHA1', digits = 6 } = {}) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const mac = crypto.createHmac(OTP_ALGORITHMS[algorithm], key).update(message).digest();
+    const offset = mac[mac.length - 1] & 0x0f;
+    const binary = mac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % (10 ** digits)).padStart(digits, '0');
+}
+
+/** Check the options shared by secret generation and verification; null when they are fine. */
+function otpOptionsProblem({ type, algorithm, digits, period, counter }) {
+    if (!OTP_TYPES.includes(type)) return `type must be one of ${OTP_TYPES.join(', ')}`;
+    if (!Object.hasOwn(OTP_ALGORITHMS, algorithm)) return `algorithm must be one of ${Object.keys(OTP_ALGORITHMS).join(', ')}`;
+    if (!OTP_DIGITS.includes(digits)) return `digits must be one of ${OTP_DIGITS.join(', ')}`;
+    if (type === 'totp' && (!Number.isInteger(period) || period < MIN_PERIOD || period > MAX_PERIOD)) {
+        return `period must be an integer between ${MIN_PERIOD} and ${MAX_PERIOD} seconds`;
+    }
+    if (type === 'hotp' && (!Number.isSafeInteger(counter) || counter < 0)) return 'counter must be a non-negative integer';
+    return null;
+}
+
+function otpDefaults(options) {
+    return {
+        type: 'totp',
+        algorithm: 'SHA1',
+        digits: 6,
+        period: DEFAULT_PERIOD,
+        counter: 0,
+        ...Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined))
+    };
+}
+
+/**
+ * The otpauth:// URI for a secret. Issuer and account form the label ("Issuer:account"); the
+ * issuer is repeated as a parameter, and default parameters are still spelled out because some
+ * apps ignore anything but SHA1/6/30 unless told.
+ */
+function otpauthUri({ type, secret, issuer, account, algorithm, digits, period, counter }) {
+    const label = issuer ? `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}` : encodeURIComponent(account);
+    const params = new URLSearchParams({ secret });
+    if (issuer) params.set('issuer', issuer);
+    params.set('algorithm', algorithm);
+    params.set('digits', String(digits));
+    if (type === 'totp') params.set('period', String(period));
+    else params.set('counter', String(counter));
+    // URLSearchParams encodes spaces as "+", which authenticator apps show literally
+    return `otpauth://${type}/${label}?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+/**
+ * A new HOTP/TOTP secret from `rng` for the POST /v1/otp/secret body.
+ * Returns { ok, secret, uri, options } or a 400.
+ */
+async function generateOtpSecret(body, rng) {
+    const options = otpDefaults({
+        type: body.type, algorithm: body.algorithm, digits: body.digits, period: body.period, counter: body.counter
+    });
+    const problem = otpOptionsProblem(options);
+    if (problem) return invalid({ error: 'Invalid OTP options', message: problem });
+
+    const { issuer, account } = body;
+    if (typeof account !== 'string' || !account || account.length > MAX_LABEL_LENGTH) {
+        return invalid({ error: 'Invalid account', message: `account must be a string of 1 to ${MAX_LABEL_LENGTH} characters` });
+    }
+    if (issuer !== undefined && (typeof issuer !== 'string' || !issuer || issuer.length > MAX_LABEL_LENGTH)) {
+        return invalid({ error: 'Invalid issuer', message: `issuer must be a string of 1 to ${MAX_LABEL_LENGTH} characters` });
+    }
+    // The label separates issuer and account with a colon, so neither may contain one
+    if ([issuer, account].some(part => part && part.includes(':'))) {
+        return invalid({ error: 'Invalid label', message: 'issuer and account must not contain ":"' });
+    }
+
+    const secretBytes = body.secretBytes ?? DEFAULT_SECRET_BYTES[options.algorithm];
+    if (!Number.isInteger(secretBytes) || secretBytes < MIN_SECRET_BYTES || secretBytes > MAX_SECRET_BYTES) {
+        return invalid({ error: 'Invalid secretBytes', message: `secretBytes must be an integer between ${MIN_SECRET_BYTES} and ${MAX_SECRET_BYTES}` });
+    }
+
+    const secret = encodeSecret(await rng.getBytes(secretBytes));
+    const { type, algorithm, digits, period, counter } = options;
+    return {
+        ok: true,
+        secret,
+        uri: otpauthUri({ ...options, secret, issuer, account }),
+        options: { type, algorithm, digits, ...(type === 'totp' ? { period } : { counter }), secretBytes }
+    };
+}
+
+/**
+ * Check a code for the POST /v1/otp/verify body. TOTP accepts `window` time steps either side
+ * of `now` (clock drift); HOTP looks `window` counters ahead (codes generated but never used).
+ * Every candidate is compared in constant time. Returns { ok, valid, ... } or a 400.
+ */
+function verifyOtpCode(body, now = Date.now()) {
+    const options = otpDefaults({
+        type: body.type, algorithm: body.algorithm, digits: body.digits, period: body.period, counter: body.counter
+    });
+    const problem = otpOptionsProblem(options);
+    if (problem) return invalid({ error: 'Invalid OTP options', message: problem });
+    if (options.type === 'hotp' && body.counter === undefined) {
+        return invalid({ error: 'Invalid OTP options', message: 'counter is required for hotp: the next counter value you expect' });
+    }
+    const window = body.window ?? 1;
+    if (!Number.isInteger(window) || window < 0 || window > MAX_WINDOW) {
+        return invalid({ error: 'Invalid window', message: `window must be an integer between 0 and ${MAX_WINDOW}` });
+    }
+    const key = decodeSecret(body.secret ?? '');
+    if (!key) return invalid({ error: 'Invalid secret', message: 'secret must be base32 (RFC 4648)' });
+    const code = String(body.code ?? '');
+    if (!/^\d+$/.test(code)) return invalid({ error: 'Invalid code', message: 'code must be a string of digits' });
+
+    const { type, algorithm, digits, period, counter } = options;
+    const base = type === 'totp' ? Math.floor(now / 1000 / period) : counter;
+    // TOTP tries the current step first, then alternates outwards; HOTP only looks ahead
+    const offsets = type === 'totp'
+        ? [0, ...Array.from({ length: window }, (_, i) => [-(i + 1), i + 1]).flat()]
+        : Array.from({ length: window + 1 }, (_, i) => i);
+
+    let matched = null;
+    const presented = Buffer.from(code);
+    for (const offset of offsets) {
+        if (base + offset < 0) continue;
+        const expected = Buffer.from(hotp(key, base + offset, { algorithm, digits }));
+        if (expected.length === presented.length && crypto.timingSafeEqual(expected, presented) && matched === null) matched = offset;
+    }
+
+    if (type === 'totp') {
+        return matched === null
+            ? { ok: true, valid: false }
+            : { ok: true, valid: true, delta: matched, timeStep: base + matched };
+    }
+    return matched === null
+        ? { ok: true, valid: false }
+        : { ok: true, valid: true, counter: base + matched, nextCounter: base + matched + 1 };
+}
+
+// --------------- Recovery codes ---------------
+/**
+ * A set of distinct recovery codes from `rng` for the POST /v1/recovery-codes body, e.g.
+ * "7KQ2M-XH4PZ". Characters are drawn with the same rejection sampling as passwords.
+ * Returns { ok, codes, meta } or a 400.
+ */
+async function generateRecoveryCodes(body, rng) {
+    const { count = 10, groups = 2, groupLength = 5, separator = '-', alphabet: alphabetName = 'crockford' } = body;
+    if (!Number.isInteger(count) || count < 1 || count > MAX_RECOVERY_CODES) {
+        return invalid({ error: 'Invalid count', message: `count must be an integer between 1 and ${MAX_RECOVERY_CODES}` });
+    }
+    if (!Number.isInteger(groups) || groups < 1 || groups > MAX_RECOVERY_GROUPS) {
+        return invalid({ error: 'Invalid groups', message: `groups must be an integer between 1 and ${MAX_RECOVERY_GROUPS}` });
+    }
+    if (!Number.isInteger(groupLength) || groupLength < MIN_GROUP_LENGTH || groupLength > MAX_GROUP_LENGTH) {
+        return invalid({ error: 'Invalid groupLength', message: `groupLength must be an integer between ${MIN_GROUP_LENGTH} and ${MAX_GROUP_LENGTH}` });
+    }
+    if (typeof separator !== 'string' || separator.length > 3) {
+        return invalid({ error: 'Invalid separator', message: 'separator must be a string of at most 3 characters' });
+    }
+    if (!Object.hasOwn(RECOVERY_ALPHABETS, alphabetName)) {
+        return invalid({ error: 'Invalid alphabet', message: `alphabet must be one of ${Object.keys(RECOVERY_ALPHABETS).join(', ')}` });
+    }
+
+    const alphabet = RECOVERY_ALPHABETS[alphabetName];
+    const length = groups * groupLength;
+    const entropyBits = length * Math.log2(alphabet.length);
+    if (entropyBits < MIN_RECOVERY_BITS) {
+        return invalid({
+            error: 'Recovery codes too short',
+            message: `${length} characters from the ${alphabetName} alphabet carry ${entropyBits.toFixed(1)} bits; at least ${MIN_RECOVERY_BITS} are required`
+        });
+    }
+
+    const codes = new Set();
+    let pool = [];
+    while (codes.size < count) {
+        while (pool.length < length) {
+            // eslint-disable-next-line no-await-in-loop
+            pool = pool.concat(indicesFromBytes(await rng.getBytes(Math.max(64, (count - codes.size) * length * 4)), alphabet.length));
+        }
+        const chars = pool.splice(0, length).map(i => alphabet[i]).join('');
+        const groupsOfCode = chars.match(new RegExp(`.{${groupLength}}`, 'g'));
+        codes.add(groupsOfCode.join(separator)); // a duplicate is simply drawn again
+    }
+
+    return {
+        ok: true,
+        codes: Array.from(codes),
+        meta: {
+            count,
+            alphabet: alphabetName,
+            format: Array(groups).fill('X'.repeat(groupLength)).join(separator),
+            entropyBitsPerCode: Number(entropyBits.toFixed(2))
+        }
+    };
+}
+
+module.exports = {
+    OTP_TYPES,
+    OTP_ALGORITHMS,
+    RECOVERY_ALPHABETS,
+    decodeSecret,
+    hotp,
+    otpauthUri,
+    generateOtpSecret,
+    verifyOtpCode,
+    generateRecoveryCodes
+};
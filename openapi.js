@@ -0,0 +1,240 @@
+/**
+ * OpenAPI 3.1 document and a self-contained HTML reference page, both generated from the route
+ * table so the published contract cannot drift from what the router validates.
+ */
+const { version } = require('./package.json');
+
+const API_KEY_HEADER = 'x-api-key';
+
+const validationError = {
+    type: 'object',
+    properties: {
+        error: { type: 'string', const: 'Validation failed' },
+        message: { type: 'string' },
+        details: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    location: { type: 'string', enum: ['params', 'query', 'body'] },
+                    path: { type: 'string' },
+                    message: { type: 'string' },
+                    keyword: { type: 'string' },
+                    params: { type: 'object' }
+                }
+            }
+        }
+    }
+};
+
+const errorBody = {
+    type: 'object',
+    properties: { error: { type: 'string' }, message: { type: 'string' } }
+};
+
+/** `/v1/roll/:expression/stats` -> `/v1/roll/{expression}/stats` */
+function openApiPath(endpoint) {
+    return endpoint.replace(/:(\w+)/g, '{$1}');
+}
+
+/** getV1RollByExpressionStats, postV1Passwords, ... */
+function operationId(route) {
+    const parts = route.endpoint.split('/').filter(Boolean).map(seg => {
+        const name = seg.startsWith(':') ? `By-${seg.slice(1)}` : seg;
+        return name.split(/[^A-Za-z0-9]+/).filter(Boolean).map(w => w[0].toUpperCase() + w.slice(1)).join('');
+    });
+    return route.method.toLowerCase() + parts.join('');
+}
+
+function tagFor(endpoint) {
+    const segments = endpoint.split('/').filter(Boolean);
+    if (segments[0] !== 'v1') return 'service';
+    return segments[1] === 'admin' ? 'admin' : segments[1];
+}
+
+function parametersFor(location, schema) {
+    if (!schema || !schema.properties) return [];
+    const required = schema.required || [];
+    return Object.entries(schema.properties).map(([name, propSchema]) => {
+        const { description, ...rest } = propSchema;
+        return {
+            name,
+            in: location,
+            required: location === 'path' || required.includes(name),
+            ...(description ? { description } : {}),
+            schema: rest
+        };
+    });
+}
+
+function operationFor(route) {
+    const schema = route.schema || {};
+    const op = {
+        operationId: operationId(route),
+        summary: route.summary || `${route.method} ${route.endpoint}`,
+        tags: [tagFor(route.endpoint)],
+        parameters: [...parametersFor('path', schema.params), ...parametersFor('query', schema.query)],
+        responses: {
+            '2XX': { description: 'Success' },
+            '400': { description: 'Request rejected by the handler', content: { 'application/json': { schema: errorBody } } }
+        }
+    };
+    if (!op.parameters.length) delete op.parameters;
+    if (schema.body) {
+        op.requestBody = {
+            required: Array.isArray(schema.body.required) && schema.body.required.length > 0,
+            content: { 'application/json': { schema: schema.body } }
+        };
+    }
+    if (schema.body || schema.query || schema.params) {
+        op.responses['422'] = { description: 'Validation failed', content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } } };
+    }
+    if (route.scope) {
+        // Anonymous callers are allowed on scoped routes unless requiresAuth (or REQUIRE_API_KEYS=true)
+        const schemes = route.queryApiKey ? [{ apiKey: [] }, { apiKeyQuery: [] }] : [{ apiKey: [] }];
+        op.security = route.requiresAuth ? schemes : [{}, ...schemes];
+        op['x-required-scope'] = route.scope;
+        op.responses['401'] = { description: 'API key missing or invalid' };
+        op.responses['403'] = { description: `API key lacks the ${route.scope} scope` };
+        op.responses['429'] = { description: 'Rate limit or daily quota exceeded' };
+    }
+    return op;
+}
+
+/** Build the OpenAPI document for `routeDefinitions`. */
+function buildOpenApiDocument(routeDefinitions) {
+    const paths = {};
+    for (const route of routeDefinitions) {
+        const path = openApiPath(route.endpoint);
+        paths[path] = paths[path] || {};
+        paths[path][route.method.toLowerCase()] = operationFor(route);
+    }
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Secure Password Generator API',
+            version,
+            description: 'Passwords, passphrases, dice and raw entropy from a CTR_DRBG seeded by OS, hardware and quantum sources.'
+        },
+        paths,
+        components: {
+            securitySchemes: {
+                apiKey: { type: 'apiKey', in: 'header', name: API_KEY_HEADER },
+                apiKeyQuery: { type: 'apiKey', in: 'query', name: 'apiKey', description: 'Event-stream routes only' }
+            },
+            schemas: { ValidationError: validationError }
+        }
+    };
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function schemaType(schema) {
+    if (schema.enum) return schema.enum.map(v => JSON.stringify(v)).join(' | ');
+    if (schema.oneOf) return schema.oneOf.map(schemaType).join(' | ');
+    const type = Array.isArray(schema.type) ? schema.type.join(' | ') : (schema.type || 'any');
+    return type === 'array' && schema.items ? `${schemaType(schema.items)}[]` : type;
+}
+
+function constraints(schema) {
+    const parts = [];
+    if (schema.minimum !== undefined) parts.push(`min ${schema.minimum}`);
+    if (schema.maximum !== undefined) parts.push(`max ${schema.maximum}`);
+    if (schema.minLength !== undefined) parts.push(`min length ${schema.minLength}`);
+    if (schema.maxLength !== undefined) parts.push(`max length ${schema.maxLength}`);
+    if (schema.maxItems !== undefined) parts.push(`max ${schema.maxItems} items`);
+    if (schema.pattern) parts.push(`pattern ${schema.pattern}`);
+    if (schema.default !== undefined) parts.push(`default ${JSON.stringify(schema.default)}`);
+    return parts.join(', ');
+}
+
+function fieldRows(fields) {
+    return fields.map(({ name, where, required, schema, description }) => `
+        <tr><td><code>${escapeHtml(name)}</code>${required ? ' <em>required</em>' : ''}</td><td>${escapeHtml(where)}</td>`
+        + `<td><code>${escapeHtml(schemaType(schema))}</code></td><td>${escapeHtml([description, constraints(schema)].filter(Boolean).join('. '))}</td></tr>`).join('');
+}
+
+function operationHtml(path, method, op) {
+    const fields = (op.parameters || []).map(p => ({ name: p.name, where: p.in, required: p.required, schema: p.schema, description: p.description }));
+    const body = op.requestBody && op.requestBody.content['application/json'].schema;
+    if (body && body.properties) {
+        const required = body.required || [];
+        for (const [name, schema] of Object.entries(body.properties)) {
+            fields.push({ name, where: 'body', required: required.includes(name), schema, description: schema.description });
+        }
+    }
+    const auth = op['x-required-scope']
+        ? `<p class="auth">Scope <code>${escapeHtml(op['x-required-scope'])}</code>${op.security.some(s => !Object.keys(s).length) ? '' : ', API key required'}</p>`
+        : '';
+    return `
+    <section id="${escapeHtml(op.operationId)}">
+      <h3><span class="method ${method}">${method.toUpperCase()}</span> <code>${escapeHtml(path)}</code></h3>
+      <p>${escapeHtml(op.summary)}</p>${auth}
+      ${fields.length ? `<table><thead><tr><th>Field</th><th>In</th><th>Type</th><th>Notes</th></tr></thead><tbody>${fieldRows(fields)}</tbody></table>` : ''}
+    </section>`;
+}
+
+/** Static HTML reference for the document (no external scripts or styles). */
+function renderDocsPage(doc) {
+    const byTag = new Map();
+    for (const [path, methods] of Object.entries(doc.paths)) {
+        for (const [method, op] of Object.entries(methods)) {
+            const tag = op.tags[0];
+            if (!byTag.has(tag)) byTag.set(tag, []);
+            byTag.get(tag).push(operationHtml(path, method, op));
+        }
+    }
+    const sections = Array.from(byTag, ([tag, ops]) => `<h2 id="tag-${escapeHtml(tag)}">${escapeHtml(tag)}</h2>${ops.join('')}`).join('\n');
+    const nav = Array.from(byTag.keys(), tag => `<a href="#tag-${escapeHtml(tag)}">${escapeHtml(tag)}</a>`).join(' · ');
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(doc.info.title)} ${escapeHtml(doc.info.version)}</title>
+<style>
+  body { font: 15px/1.5 system-ui, sans-serif; max-width: 960px; margin: 2em auto; padding: 0 1em; color: #222; }
+  h2 { border-bottom: 1px solid #ddd; text-transform: capitalize; margin-top: 2em; }
+  h3 { font-size: 1em; margin-bottom: 0.2em; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+  th, td { text-align: left; border-bottom: 1px solid #eee; padding: 4px 8px; vertical-align: top; }
+  em { color: #b00; font-style: normal; font-size: 0.85em; }
+  .method { display: inline-block; min-width: 4em; font-size: 0.8em; color: #fff; background: #555; border-radius: 3px; text-align: center; }
+  .get { background: #2a7ab0; } .post { background: #2f9e44; } .put { background: #c77c02; } .delete { background: #c92a2a; }
+  .auth { color: #666; font-size: 0.9em; margin: 0; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(doc.info.title)} <small>${escapeHtml(doc.info.version)}</small></h1>
+<p>${escapeHtml(doc.info.description)} Machine-readable spec: <a href="/openapi.json">/openapi.json</a>.
+Invalid requests get <code>422</code> with a <code>details</code> array; API keys go in the <code>${API_KEY_HEADER}</code> header.</p>
+<nav>${nav}</nav>
+${sections}
+</body>
+</html>
+`;
+}
+
+/** Handlers for GET /openapi.json and GET /docs; the document is built once, on first request. */
+function createDocsController(getRouteDefinitions) {
+    let doc = null;
+    let page = null;
+    const document = () => (doc = doc || buildOpenApiDocument(getRouteDefinitions()));
+    return {
+        getOpenApi: (req, res) => {
+            res.json(document());
+        },
+        getDocs: (req, res) => {
+            page = page || renderDocsPage(document());
+            res.type('html').send(page);
+        }
+    };
+}
+
+module.exports = {
+    buildOpenApiDocument,
+    renderDocsPage,
+    createDocsController
+};
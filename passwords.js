@@ -0,0 +1,428 @@
+/**
+ * Password generation in all four flavours (charset, policy, passphrase, pattern) over any CSPRNG
+ * instance: the server's shared one, a seeded one, or the CLI's own. Nothing here knows about HTTP;
+ * generatePasswords() takes the /v1/passwords body and returns `{ ok, passwords, meta }` or
+ * `{ ok: false, status, body }`, which the controller sends as is.
+ */
+const { DEFAULT_SYMBOLS, DIGITS, characterClasses, charsetProblem, buildCharset } = require('./charsets');
+const { analyzePassword } = require('./strength');
+const { PatternSyntaxError, parsePattern, generateFromPattern } = require('./pattern');
+const {
+    normalizePolicy, checkPolicy, generationPools, generationProblem, edgeClassPairs
+} = require('./policies');
+const { indicesFromBytes, randomIndex } = require('./csprng');
+
+const MAX_LEN = 256;
+const MAX_COUNT = 50;
+
+const PASSWORD_MODES = ['charset', 'passphrase', 'pattern'];
+const POLICY_MAX_ATTEMPTS = 1000;
+
+const DEFAULT_WORDLIST = 'eff-large';
+const DEFAULT_WORD_COUNT = 6;
+const MIN_WORD_COUNT = 3;
+const MAX_WORD_COUNT = 20;
+const CAPITALIZE_MODES = ['none', 'first', 'upper', 'random'];
+
+function clampCount(count) {
+    return Math.min(Math.max(parseInt(count, 10) || 1, 1), MAX_COUNT);
+}
+
+function invalid(body) {
+    return { ok: false, status: 400, body };
+}
+
+// --------------- Charset derivation ---------------
+async function derivePassword(length, charset, requireEachClass, opts, rng) {
+    if (length > MAX_LEN) throw new Error('length exceeds limit');
+
+    // Pull a chunk from the CSPRNG, top up as needed
+    let stream = await rng.getBytes(Math.max(128, length * 4)); // 4B → 1 index; top-up below if needed
+
+    const pullIdx = (base) => {
+        let pool = [];
+        return async (n = base) => {
+            while (pool.length === 0) {
+                pool = indicesFromBytes(stream, base);
+                if (pool.length === 0) {
+                    // top-up the stream
+                    stream = Buffer.concat([stream, await rng.getBytes(256)]);
+                }
+            }
+            return pool.shift() % n;
+        };
+    };
+
+    const pickChar = pullIdx(charset.length);
+    const out = [];
+    for (let i = 0; i < length; i++) out.push(charset[await pickChar()]);
+
+    if (requireEachClass) {
+        const pickPos = pullIdx(out.length);
+        const pickFromSet = async (n) => (await pullIdx(n)());
+        await enforceRequirementsAsync(out, opts, pickPos, pickFromSet);
+    }
+
+    return out.join('');
+}
+
+async function enforceRequirementsAsync(pwArray, opts, pickPos, pickFromSet) {
+    // Same (ambiguity-filtered) classes the charset was built from
+    const reqSets = characterClasses(opts).map(c => c.chars);
+
+    for (const s of reqSets) {
+        const ok = pwArray.some(c => s.includes(c));
+        if (!ok) {
+            const pos = await pickPos(pwArray.length);
+            const ci = await pickFromSet(s.length);
+            pwArray[pos] = s[ci];
+        }
+    }
+    return pwArray;
+}
+
+async function charsetPasswords(options, rng) {
+    const {
+        length = 24, count = 1,
+        includeLower = true, includeUpper = true, includeDigits = true,
+        includeSymbols = true, symbols = DEFAULT_SYMBOLS,
+        excludeAmbiguous = true, requireEachClass = true
+    } = options;
+
+    const n = clampCount(count);
+    const L = Math.min(Math.max(parseInt(length, 10) || 24, 4), MAX_LEN);
+
+    const opts = {
+        includeLower: !!includeLower,
+        includeUpper: !!includeUpper,
+        includeDigits: !!includeDigits,
+        includeSymbols: !!includeSymbols,
+        symbols: String(symbols || DEFAULT_SYMBOLS),
+        excludeAmbiguous: !!excludeAmbiguous
+    };
+
+    const problem = charsetProblem(opts);
+    if (problem) return invalid({ error: 'Invalid charset', message: problem });
+    const charset = buildCharset(opts);
+    const out = [];
+    for (let i = 0; i < n; i++) {
+        // eslint-disable-next-line no-await-in-loop
+        out.push(await derivePassword(L, charset, !!requireEachClass, opts, rng));
+    }
+
+    return {
+        ok: true,
+        passwords: out,
+        meta: {
+            mode: 'charset',
+            length: L,
+            classes: { lower: opts.includeLower, upper: opts.includeUpper, digits: opts.includeDigits, symbols: opts.includeSymbols },
+            excludeAmbiguous: opts.excludeAmbiguous,
+            requireEachClass: !!requireEachClass,
+            charsetSize: charset.length
+        }
+    };
+}
+
+// --------------- Policy-driven derivation ---------------
+/** Uniform pick from the union of the given class pools; returns [char, class]. */
+async function pickFromPools(pools, classes, rng) {
+    const union = classes.flatMap(cls => Array.from(pools[cls], ch => [ch, cls]));
+    if (!union.length) throw new Error('Policy class limits leave no characters to draw from');
+    return union[await randomIndex(union.length, rng)];
+}
+
+/**
+ * Password satisfying a normalized policy, or null if none turned up in POLICY_MAX_ATTEMPTS.
+ * Characters for startClasses/endClasses are drawn first from class pairs that keep the limits
+ * satisfiable (see edgeClassPairs), then class minimums, then the remaining positions from
+ * classes still under their maximum; the middle is shuffled. Candidates that break the other
+ * rules (repeats, common passwords) are redrawn.
+ */
+async function derivePolicyPassword(length, policy, pools, rng) {
+    const available = Object.keys(pools);
+    const limit = (cls, field) => (policy.classes[cls] ? policy.classes[cls][field] : (field === 'min' ? 0 : null));
+    const pairs = edgeClassPairs(policy, pools, length);
+    const fixFirst = !!policy.startClasses || (length === 1 && !!policy.endClasses);
+    const fixLast = !!policy.endClasses && length > 1;
+    const unique = (classes) => Array.from(new Set(classes));
+
+    for (let attempt = 0; attempt < POLICY_MAX_ATTEMPTS; attempt++) {
+        const middle = [];
+        const counts = { lower: 0, upper: 0, digits: 0, symbols: 0 };
+        let total = 0;
+        const underMax = (cls) => {
+            const max = limit(cls, 'max');
+            const lettersMax = limit('letters', 'max');
+            if (max !== null && counts[cls] >= max) return false;
+            if ((cls === 'lower' || cls === 'upper') && lettersMax !== null && counts.lower + counts.upper >= lettersMax) return false;
+            return true;
+        };
+        const draw = async (classes) => {
+            const [ch, cls] = await pickFromPools(pools, classes, rng);
+            counts[cls] += 1;
+            total += 1;
+            return [ch, cls];
+        };
+        const take = async (classes) => {
+            middle.push((await draw(classes))[0]);
+        };
+
+        const [first, firstClass] = fixFirst ? await draw(unique(pairs.map(([f]) => f))) : [null, null];
+        const [last] = fixLast ? await draw(unique(pairs.filter(([f]) => !fixFirst || f === firstClass).map(([, l]) => l))) : [null];
+
+        for (const cls of available) {
+            while (counts[cls] < limit(cls, 'min')) await take([cls]);
+        }
+        while (counts.lower + counts.upper < limit('letters', 'min')) {
+            await take(['lower', 'upper'].filter(c => pools[c] && underMax(c)));
+        }
+        let unused = available.filter(cls => counts[cls] === 0 && underMax(cls));
+        while (available.length - unused.length < policy.minClasses && unused.length) {
+            await take([unused[await randomIndex(unused.length, rng)]]);
+            unused = available.filter(cls => counts[cls] === 0 && underMax(cls));
+        }
+        while (total < length) await take(available.filter(underMax));
+
+        // Fisher-Yates so the forced characters land in uniformly random positions
+        for (let i = middle.length - 1; i > 0; i--) {
+            const j = await randomIndex(i + 1, rng);
+            [middle[i], middle[j]] = [middle[j], middle[i]];
+        }
+        const candidate = [first, ...middle, last].filter(ch => ch !== null).join('');
+        if (checkPolicy(candidate, policy).compliant) return candidate;
+    }
+    return null;
+}
+
+/** Resolve a `policy` request field (a name in the `policies` store, or an inline object). */
+function resolvePasswordPolicy(value, policies) {
+    if (typeof value === 'string') {
+        const policy = policies.getPolicy(value);
+        if (policy) return { ok: true, policy };
+        return invalid({ error: 'Unknown policy', available: policies.listPolicies().map(p => p.name) });
+    }
+    try {
+        return { ok: true, policy: { name: null, source: 'inline', ...normalizePolicy(value) } };
+    } catch (e) {
+        return invalid({ error: 'Invalid policy', message: e.message });
+    }
+}
+
+async function policyPasswords(options, policy, rng) {
+    const { count = 1, length } = options;
+    const pools = generationPools(policy);
+
+    // Default length: 24, moved into the policy's range
+    const defaultLength = Math.min(Math.max(24, policy.minLength), policy.maxLength || MAX_LEN);
+    const L = length === undefined ? defaultLength : parseInt(length, 10);
+    if (!Number.isInteger(L) || L < 1 || L > MAX_LEN) {
+        return invalid({ error: `length must be an integer between 1 and ${MAX_LEN}` });
+    }
+    const problem = generationProblem(policy, pools, L);
+    if (problem) return invalid({ error: 'Policy cannot be satisfied', message: problem, policy: policy.name });
+
+    const n = clampCount(count);
+    const out = [];
+    for (let i = 0; i < n; i++) {
+        // eslint-disable-next-line no-await-in-loop
+        const password = await derivePolicyPassword(L, policy, pools, rng);
+        if (password === null) {
+            return invalid({
+                error: 'Policy cannot be satisfied',
+                message: `No compliant password found in ${POLICY_MAX_ATTEMPTS} attempts; relax maxConsecutive, rejectCommon or the character filters`,
+                policy: policy.name
+            });
+        }
+        out.push(password);
+    }
+
+    const { name, source, description } = policy;
+    return {
+        ok: true,
+        passwords: out,
+        meta: {
+            mode: 'charset',
+            length: L,
+            policy: { name, source, description },
+            classes: Object.fromEntries(['lower', 'upper', 'digits', 'symbols'].map(c => [c, !!pools[c]])),
+            excludeAmbiguous: policy.excludeAmbiguous,
+            charsetSize: Object.values(pools).reduce((s, p) => s + p.length, 0)
+        }
+    };
+}
+
+// --------------- Pattern derivation ---------------
+async function patternPasswords(options, rng) {
+    const { pattern, count = 1 } = options;
+
+    let parsed;
+    try {
+        parsed = parsePattern(pattern);
+    } catch (e) {
+        if (!(e instanceof PatternSyntaxError)) throw e;
+        return invalid({ error: 'Invalid pattern', message: e.message, position: e.position });
+    }
+    if (parsed.entropyBits === 0) return invalid({ error: 'Invalid pattern', message: 'Pattern has no random positions' });
+
+    const n = clampCount(count);
+    const out = [];
+    for (let i = 0; i < n; i++) {
+        // eslint-disable-next-line no-await-in-loop
+        out.push(await generateFromPattern(parsed, base => randomIndex(base, rng)));
+    }
+
+    return {
+        ok: true,
+        passwords: out,
+        meta: {
+            mode: 'pattern',
+            pattern: parsed.pattern,
+            length: parsed.length,
+            randomPositions: parsed.positions.filter(set => set.length > 1).length,
+            entropyBits: Number(parsed.entropyBits.toFixed(2))
+        }
+    };
+}
+
+// --------------- Passphrase derivation ---------------
+function capitalizeWord(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+async function derivePassphrase(words, opts, rng) {
+    const picked = [];
+    for (let i = 0; i < opts.wordCount; i++) {
+        let word = words[await randomIndex(words.length, rng)];
+        if (opts.capitalize === 'upper') word = word.toUpperCase();
+        else if (opts.capitalize === 'first') word = capitalizeWord(word);
+        else if (opts.capitalize === 'random' && await randomIndex(2, rng) === 1) word = capitalizeWord(word);
+        picked.push(word);
+    }
+
+    // Digit/symbol are appended to a uniformly chosen word so the position adds entropy too
+    if (opts.includeDigit) {
+        const pos = await randomIndex(picked.length, rng);
+        picked[pos] += DIGITS[await randomIndex(DIGITS.length, rng)];
+    }
+    if (opts.includeSymbol) {
+        const pos = await randomIndex(picked.length, rng);
+        picked[pos] += opts.symbolSet[await randomIndex(opts.symbolSet.length, rng)];
+    }
+    return picked.join(opts.separator);
+}
+
+/** Entropy in bits of one phrase, assuming a lowercase list with unique words. */
+function passphraseEntropyBits(listSize, opts) {
+    let bits = opts.wordCount * Math.log2(listSize);
+    if (opts.capitalize === 'random') bits += opts.wordCount;
+    if (opts.includeDigit) bits += Math.log2(opts.wordCount * DIGITS.length);
+    if (opts.includeSymbol) bits += Math.log2(opts.wordCount * opts.symbolSet.length);
+    return bits;
+}
+
+async function passphrases(options, rng, wordlists) {
+    const {
+        count = 1, wordCount = DEFAULT_WORD_COUNT, wordlist = DEFAULT_WORDLIST,
+        separator = '-', capitalize = 'none',
+        includeDigit = false, includeSymbol = false, symbols = DEFAULT_SYMBOLS
+    } = options;
+
+    const list = wordlists.getWordlist(String(wordlist));
+    if (!list) return invalid({ error: 'Unknown wordlist', available: wordlists.listWordlists().map(l => l.name) });
+    if (!CAPITALIZE_MODES.includes(capitalize)) return invalid({ error: 'Invalid capitalize mode', supported: CAPITALIZE_MODES });
+
+    const sep = String(separator);
+    if (sep.length > 8) return invalid({ error: 'separator must be at most 8 characters' });
+    // A symbol that equals the separator would make phrases ambiguous, so drop those
+    const symbolSet = Array.from(new Set(String(symbols || DEFAULT_SYMBOLS)))
+        .filter(ch => !sep.includes(ch))
+        .join('');
+    if (includeSymbol && !symbolSet) return invalid({ error: 'No symbols left after removing separator characters' });
+
+    const n = clampCount(count);
+    const opts = {
+        wordCount: Math.min(Math.max(parseInt(wordCount, 10) || DEFAULT_WORD_COUNT, MIN_WORD_COUNT), MAX_WORD_COUNT),
+        separator: sep,
+        capitalize,
+        includeDigit: !!includeDigit,
+        includeSymbol: !!includeSymbol,
+        symbolSet
+    };
+
+    const out = [];
+    for (let i = 0; i < n; i++) {
+        // eslint-disable-next-line no-await-in-loop
+        out.push(await derivePassphrase(list.words, opts, rng));
+    }
+
+    return {
+        ok: true,
+        passwords: out,
+        meta: {
+            mode: 'passphrase',
+            wordlist: list.name,
+            wordlistSize: list.words.length,
+            wordCount: opts.wordCount,
+            separator: opts.separator,
+            capitalize: opts.capitalize,
+            includeDigit: opts.includeDigit,
+            includeSymbol: opts.includeSymbol,
+            entropyBits: Number(passphraseEntropyBits(list.words.length, opts).toFixed(2))
+        }
+    };
+}
+
+// --------------- Entry point ---------------
+/** Strength reports for generated passwords, yielding between items (long ones take a while). */
+async function strengthReports(passwords, policy) {
+    const reports = [];
+    for (const pw of passwords) {
+        // eslint-disable-next-line no-await-in-loop
+        await new Promise(resolve => setImmediate(resolve));
+        reports.push(analyzePassword(pw, { policy }));
+    }
+    return reports;
+}
+
+/**
+ * Generate passwords from a /v1/passwords body ({ mode, policy, length, count, ... }) with `rng`,
+ * resolving policy and wordlist names in the generator's `policies` and `wordlists` stores.
+ * Returns { ok: true, passwords, strength?, meta } or { ok: false, status, body }.
+ */
+async function generatePasswords(options, rng, { policies, wordlists }) {
+    const { mode = 'charset', policy: policyField, includeStrength = false } = options || {};
+    if (!PASSWORD_MODES.includes(mode)) return invalid({ error: 'Unknown mode', supportedModes: PASSWORD_MODES });
+
+    let result;
+    let policy = null;
+    if (policyField !== undefined) {
+        if (mode !== 'charset') return invalid({ error: 'policy is only supported in charset mode' });
+        const resolved = resolvePasswordPolicy(policyField, policies);
+        if (!resolved.ok) return resolved;
+        ({ policy } = resolved);
+        result = await policyPasswords(options, policy, rng);
+    } else if (mode === 'passphrase') {
+        result = await passphrases(options, rng, wordlists);
+    } else if (mode === 'pattern') {
+        result = await patternPasswords(options, rng);
+    } else {
+        result = await charsetPasswords(options, rng);
+    }
+
+    if (result.ok && includeStrength) result.strength = await strengthReports(result.passwords, policy);
+    return result;
+}
+
+module.exports = {
+    MAX_LEN,
+    MAX_COUNT,
+    PASSWORD_MODES,
+    DEFAULT_WORDLIST,
+    CAPITALIZE_MODES,
+    generatePasswords,
+    resolvePasswordPolicy,
+    derivePassword,
+    derivePolicyPassword,
+    derivePassphrase
+};
@@ -0,0 +1,212 @@
+/**
+ * Password templates ("patterns") parsed into one character set per output position.
+ *
+ * Syntax (a small regex-like language):
+ *   pattern   := item*
+ *   item      := atom ['{' NUMBER '}']          fixed repeat count
+ *   atom      := LITERAL | '\' ESCAPE | '.' | '[' ['^'] set-item+ ']' | '(' pattern ')'
+ *   set-item  := CHAR ['-' CHAR] | '\' ESCAPE
+ *
+ *   \d digits   \l lowercase   \u uppercase   \a letters   \w letters + digits
+ *   \s symbols  \h hex (0-9a-f)   \H hex (0-9A-F)   .  lower + upper + digits + symbols
+ *   [^...] is the complement within printable ASCII. Any other escaped character is a literal.
+ *
+ * Repeats are fixed so every output has the same shape; positions are independent, which
+ * makes the entropy exactly the sum of log2(set size) over the positions.
+ */
+const { LOWER, UPPER, DIGITS, DEFAULT_SYMBOLS } = require('./charsets');
+
+const MAX_PATTERN_LENGTH = 256;
+const MAX_OUTPUT_LENGTH = 256;
+const MAX_REPEAT = 256;
+const MAX_GROUP_DEPTH = 8;
+
+const PRINTABLE_ASCII = Array.from({ length: 0x7e - 0x21 + 1 }, (_, i) => String.fromCharCode(0x21 + i)).join('');
+
+const CLASS_ESCAPES = {
+    d: DIGITS,
+    l: LOWER,
+    u: UPPER,
+    a: LOWER + UPPER,
+    w: LOWER + UPPER + DIGITS,
+    s: DEFAULT_SYMBOLS,
+    h: '0123456789abcdef',
+    H: '0123456789ABCDEF'
+};
+const ANY = LOWER + UPPER + DIGITS + DEFAULT_SYMBOLS;
+
+class PatternSyntaxError extends Error {
+    constructor(message, position) {
+        super(position === undefined ? message : `${message} at position ${position}`);
+        this.name = 'PatternSyntaxError';
+        this.position = position;
+    }
+}
+
+function uniqueChars(chars) {
+    return Array.from(new Set(chars)).join('');
+}
+
+// --------------------- Parser ---------------------
+class Parser {
+    constructor(src) {
+        this.chars = Array.from(src); // code points, so positions match what the user typed
+        this.pos = 0;
+    }
+
+    peek() {
+        return this.chars[this.pos];
+    }
+
+    next() {
+        return this.chars[this.pos++];
+    }
+
+    /** item* until end of input or a closing ')' (left for the caller). */
+    parseSequence(depth) {
+        const items = [];
+        while (this.pos < this.chars.length && this.peek() !== ')') {
+            const start = this.pos;
+            const node = this.parseAtom(depth);
+            node.repeat = this.parseRepeat();
+            node.pos = start;
+            items.push(node);
+        }
+        return items;
+    }
+
+    parseAtom(depth) {
+        const start = this.pos;
+        const ch = this.next();
+        if (ch === '\\') return { type: 'set', chars: this.parseEscape() };
+        if (ch === '.') return { type: 'set', chars: ANY };
+        if (ch === '[') return { type: 'set', chars: this.parseSet(start) };
+        if (ch === '(') {
+            if (depth >= MAX_GROUP_DEPTH) throw new PatternSyntaxError(`Groups nested deeper than ${MAX_GROUP_DEPTH}`, start);
+            const items = this.parseSequence(depth + 1);
+            if (this.next() !== ')') throw new PatternSyntaxError('Unclosed "("', start);
+            if (!items.length) throw new PatternSyntaxError('Empty group', start);
+            return { type: 'group', items };
+        }
+        if (ch === ']' || ch === ')' || ch === '{' || ch === '}') {
+            throw new PatternSyntaxError(`Unexpected "${ch}" (escape it as "\\${ch}")`, start);
+        }
+        if (ch < ' ') throw new PatternSyntaxError('Control characters are not allowed', start);
+        return { type: 'set', chars: ch };
+    }
+
+    /** After a backslash: a class escape or an escaped literal. */
+    parseEscape() {
+        const at = this.pos;
+        const ch = this.next();
+        if (ch === undefined) throw new PatternSyntaxError('Dangling "\\"', at - 1);
+        return CLASS_ESCAPES[ch] || ch;
+    }
+
+    parseSet(start) {
+        let negate = false;
+        if (this.peek() === '^') {
+            negate = true;
+            this.pos++;
+        }
+        let chars = '';
+        let first = true;
+        for (;;) {
+            const at = this.pos;
+            const ch = this.next();
+            if (ch === undefined) throw new PatternSyntaxError('Unclosed "["', start);
+            if (ch === ']' && !first) break;
+            first = false;
+
+            let lo = ch;
+            if (ch === '\\') {
+                const escaped = this.parseEscape();
+                if (escaped.length > 1) {
+                    chars += escaped;
+                    continue;
+                }
+                lo = escaped;
+            }
+            if (this.peek() === '-' && this.chars[this.pos + 1] !== undefined && this.chars[this.pos + 1] !== ']') {
+                this.pos++;
+                let hi = this.next();
+                if (hi === '\\') hi = this.parseEscape();
+                if (hi.length > 1) throw new PatternSyntaxError('A class escape cannot end a range', at);
+                const from = lo.codePointAt(0);
+                const to = hi.codePointAt(0);
+                if (to < from) throw new PatternSyntaxError(`Invalid range "${lo}-${hi}"`, at);
+                if (to - from > 1024) throw new PatternSyntaxError(`Range "${lo}-${hi}" is too large`, at);
+                for (let c = from; c <= to; c++) chars += String.fromCodePoint(c);
+                continue;
+            }
+            chars += lo;
+        }
+
+        if (negate) chars = Array.from(PRINTABLE_ASCII).filter(c => !chars.includes(c)).join('');
+        chars = uniqueChars(chars);
+        if (!chars) throw new PatternSyntaxError('Empty character set', start);
+        if (Array.from(chars).some(c => c < ' ')) throw new PatternSyntaxError('Control characters are not allowed', start);
+        return chars;
+    }
+
+    parseRepeat() {
+        if (this.peek() !== '{') return 1;
+        const start = this.pos++;
+        let digits = '';
+        while (/[0-9]/.test(this.peek() || '')) digits += this.next();
+        if (this.peek() === ',') throw new PatternSyntaxError('Only fixed repeat counts like {4} are supported', this.pos);
+        if (this.next() !== '}' || !digits) throw new PatternSyntaxError('Expected "{NUMBER}"', start);
+        const n = parseInt(digits, 10);
+        if (n < 1 || n > MAX_REPEAT) throw new PatternSyntaxError(`Repeat count must be between 1 and ${MAX_REPEAT}`, start);
+        return n;
+    }
+}
+
+/** Flatten the tree into one character set per output position. */
+function expand(items, out) {
+    for (const item of items) {
+        for (let r = 0; r < item.repeat; r++) {
+            if (item.type === 'group') expand(item.items, out);
+            else out.push(Array.from(item.chars));
+            if (out.length > MAX_OUTPUT_LENGTH) {
+                throw new PatternSyntaxError(`Pattern expands to more than ${MAX_OUTPUT_LENGTH} characters`, item.pos);
+            }
+        }
+    }
+    return out;
+}
+
+/**
+ * Parse a pattern into { pattern, positions: [[chars...]...], length, entropyBits }.
+ * Single-character positions are literals and add no entropy.
+ */
+function parsePattern(pattern) {
+    if (typeof pattern !== 'string' || !pattern) throw new PatternSyntaxError('pattern must be a non-empty string');
+    if (Array.from(pattern).length > MAX_PATTERN_LENGTH) {
+        throw new PatternSyntaxError(`pattern exceeds ${MAX_PATTERN_LENGTH} characters`);
+    }
+
+    const parser = new Parser(pattern);
+    const items = parser.parseSequence(0);
+    if (parser.pos < parser.chars.length) throw new PatternSyntaxError('Unmatched ")"', parser.pos);
+
+    const positions = expand(items, []);
+    const entropyBits = positions.reduce((s, set) => s + Math.log2(set.length), 0);
+    return { pattern, positions, length: positions.length, entropyBits };
+}
+
+/** Fill each position with `randomIndex(size)`, the caller's unbiased index source. */
+async function generateFromPattern(parsed, randomIndex) {
+    let out = '';
+    for (const set of parsed.positions) {
+        // eslint-disable-next-line no-await-in-loop
+        out += set.length === 1 ? set[0] : set[await randomIndex(set.length)];
+    }
+    return out;
+}
+
+module.exports = {
+    PatternSyntaxError,
+    parsePattern,
+    generateFromPattern
+};
@@ -0,0 +1,371 @@
+/**
+ * Named password policies and compliance checks. Class names match charsets.js, so a
+ * policy's "digits" is the same set generation draws from; "letters" counts lower + upper.
+ *
+ * Built-in policies ship with the service; custom ones live in a per-instance store (see
+ * createPolicyStore) backed by a JSON file of name -> policy that the admin API writes back to.
+ */
+const { CLASS_NAMES, DEFAULT_SYMBOLS, characterClasses, classifyChar } = require('./charsets');
+const { isCommonPassword } = require('./strength');
+const { readJsonFile, writeJsonFileAtomic } = require('./jsonFile');
+
+const DEFAULT_POLICY = 'default';
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const CONSTRAINT_CLASSES = [...CLASS_NAMES, 'letters'];
+const MAX_POLICY_LENGTH = 256;
+
+const BUILTIN_POLICIES = {
+    default: {
+        description: 'At least 12 characters with lower, upper and digits',
+        minLength: 12,
+        classes: { lower: { min: 1 }, upper: { min: 1 }, digits: { min: 1 } }
+    },
+    'nist-800-63b': {
+        description: 'NIST SP 800-63B memorized secrets: 8-64 characters, no composition rules, not a known-compromised password',
+        minLength: 8,
+        maxLength: 64,
+        rejectCommon: true
+    },
+    'pci-dss': {
+        description: 'PCI DSS v4.0 requirement 8.3.6: at least 12 characters with letters and digits',
+        minLength: 12,
+        classes: { letters: { min: 1 }, digits: { min: 1 } }
+    },
+    'ad-complexity': {
+        description: 'Active Directory complexity: at least 8 characters from 3 of the 4 classes',
+        minLength: 8,
+        minClasses: 3
+    }
+};
+
+function intOrNull(value, field, min = 0) {
+    if (value === undefined || value === null) return null;
+    if (!Number.isInteger(value) || value < min) throw new Error(`${field} must be an integer >= ${min}`);
+    return value;
+}
+
+function classList(value, field) {
+    if (value === undefined || value === null) return null;
+    if (!Array.isArray(value) || !value.length || value.some(c => !CONSTRAINT_CLASSES.includes(c))) {
+        throw new Error(`${field} must be a non-empty array of ${CONSTRAINT_CLASSES.join(', ')}`);
+    }
+    return Array.from(new Set(value));
+}
+
+function charString(value, field) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string') throw new Error(`${field} must be a string`);
+    return Array.from(new Set(value)).join('');
+}
+
+/** Validate a policy object (named or inline) and fill in defaults. */
+function normalizePolicy(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('policy must be an object');
+
+    const minLength = intOrNull(raw.minLength, 'minLength', 1) || 1;
+    const maxLength = intOrNull(raw.maxLength, 'maxLength', 1);
+    if (maxLength !== null && maxLength < minLength) throw new Error('maxLength must be >= minLength');
+    if (minLength > MAX_POLICY_LENGTH) throw new Error(`minLength must be at most ${MAX_POLICY_LENGTH}`);
+
+    // requireClasses is shorthand for { min: 1 } on each listed class
+    if (raw.classes != null && (typeof raw.classes !== 'object' || Array.isArray(raw.classes))) {
+        throw new Error('classes must be an object');
+    }
+    const rawClasses = { ...(raw.classes || {}) };
+    for (const cls of classList(raw.requireClasses, 'requireClasses') || []) {
+        rawClasses[cls] = { min: 1, ...(rawClasses[cls] || {}) };
+    }
+
+    const classes = {};
+    for (const [cls, limits] of Object.entries(rawClasses)) {
+        if (!CONSTRAINT_CLASSES.includes(cls)) throw new Error(`Unknown class "${cls}" (expected ${CONSTRAINT_CLASSES.join(', ')})`);
+        if (!limits || typeof limits !== 'object') throw new Error(`classes.${cls} must be { min, max }`);
+        const min = intOrNull(limits.min, `classes.${cls}.min`) || 0;
+        const max = intOrNull(limits.max, `classes.${cls}.max`);
+        if (max !== null && max < min) throw new Error(`classes.${cls}.max must be >= min`);
+        classes[cls] = { min, max };
+    }
+
+    const sumOfMins = CLASS_NAMES.reduce((s, c) => s + (classes[c] ? classes[c].min : 0), 0);
+    if (maxLength !== null && sumOfMins > maxLength) throw new Error('Class minimums exceed maxLength');
+
+    const minClasses = intOrNull(raw.minClasses, 'minClasses', 0) || 0;
+    if (minClasses > CLASS_NAMES.length) throw new Error(`minClasses must be at most ${CLASS_NAMES.length}`);
+
+    const symbols = raw.symbols === undefined ? DEFAULT_SYMBOLS : charString(raw.symbols, 'symbols');
+    if (!symbols) throw new Error('symbols must be a non-empty string');
+
+    return {
+        description: String(raw.description || ''),
+        minLength,
+        maxLength,
+        classes,
+        minClasses,
+        maxConsecutive: intOrNull(raw.maxConsecutive, 'maxConsecutive', 1),
+        allowedChars: charString(raw.allowedChars, 'allowedChars'),
+        forbiddenChars: charString(raw.forbiddenChars, 'forbiddenChars') || '',
+        startClasses: classList(raw.startClasses, 'startClasses'),
+        endClasses: classList(raw.endClasses, 'endClasses'),
+        symbols,
+        excludeAmbiguous: raw.excludeAmbiguous === undefined ? true : !!raw.excludeAmbiguous,
+        rejectCommon: !!raw.rejectCommon
+    };
+}
+
+// --------------------- Store ---------------------
+/**
+ * Policies for one generator: the built-ins plus custom ones loaded from `file` on first use and
+ * written back on every change (an empty file keeps them in memory only). Built-ins win over
+ * custom ones with the same name.
+ */
+function createPolicyStore({ file = '', logger = console } = {}) {
+    // name -> { name, source: 'builtin' | 'custom', ...normalized policy }
+    let policies = null;
+
+    // Lazy so that creating a store stays cheap
+    function ensureLoaded() {
+        if (policies) return policies;
+        policies = new Map();
+        for (const [name, raw] of Object.entries(BUILTIN_POLICIES)) {
+            policies.set(name, { name, source: 'builtin', ...normalizePolicy(raw) });
+        }
+        const custom = file ? readJsonFile(file, {}) : {};
+        for (const [name, raw] of Object.entries(custom)) {
+            if (!NAME_PATTERN.test(name) || policies.has(name)) continue;
+            try {
+                policies.set(name, { name, source: 'custom', ...normalizePolicy(raw) });
+            } catch (e) {
+                logger.error(`Skipping policy ${name}:`, e.message);
+            }
+        }
+        return policies;
+    }
+
+    function saveCustomPolicies() {
+        if (!file) return;
+        const custom = {};
+        for (const { name, source, ...policy } of policies.values()) {
+            if (source === 'custom') custom[name] = policy;
+        }
+        writeJsonFileAtomic(file, custom, 0o644);
+    }
+
+    function getPolicy(name) {
+        return ensureLoaded().get(name) || null;
+    }
+
+    function listPolicies() {
+        return Array.from(ensureLoaded().values());
+    }
+
+    function setCustomPolicy(name, raw) {
+        ensureLoaded();
+        if (typeof name !== 'string' || !NAME_PATTERN.test(name)) throw new Error('name must match ' + NAME_PATTERN);
+        const existing = policies.get(name);
+        if (existing && existing.source === 'builtin') throw new Error(`Cannot replace built-in policy "${name}"`);
+
+        const policy = { name, source: 'custom', ...normalizePolicy(raw) };
+        policies.set(name, policy);
+        saveCustomPolicies();
+        return policy;
+    }
+
+    /** Returns the removed policy, null when missing; built-ins cannot be removed. */
+    function deleteCustomPolicy(name) {
+        ensureLoaded();
+        const existing = policies.get(name);
+        if (!existing) return null;
+        if (existing.source === 'builtin') throw new Error(`Cannot delete built-in policy "${name}"`);
+        policies.delete(name);
+        saveCustomPolicies();
+        return existing;
+    }
+
+    return { getPolicy, listPolicies, setCustomPolicy, deleteCustomPolicy };
+}
+
+// --------------------- Checking ---------------------
+/** Per-class character counts; "letters" is lower + upper. */
+function countClasses(chars, symbols) {
+    const counts = { lower: 0, upper: 0, digits: 0, symbols: 0, other: 0 };
+    for (const ch of chars) counts[classifyChar(ch, symbols)] += 1;
+    counts.letters = counts.lower + counts.upper;
+    return counts;
+}
+
+function inClasses(ch, classes, symbols) {
+    const cls = classifyChar(ch, symbols);
+    return classes.includes(cls) || (classes.includes('letters') && (cls === 'lower' || cls === 'upper'));
+}
+
+function longestRun(chars) {
+    let longest = 0;
+    let run = 0;
+    for (let i = 0; i < chars.length; i++) {
+        run = i > 0 && chars[i] === chars[i - 1] ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    }
+    return longest;
+}
+
+/**
+ * Characters generation may use for each class under a policy (ambiguity, allowed and
+ * forbidden filters applied). Classes capped at zero or left empty are omitted.
+ */
+function generationPools(policy) {
+    const pools = {};
+    for (const { name, chars } of characterClasses({ symbols: policy.symbols, excludeAmbiguous: policy.excludeAmbiguous })) {
+        const limit = policy.classes[name];
+        const lettersCapped = (name === 'lower' || name === 'upper') && policy.classes.letters && policy.classes.letters.max === 0;
+        if ((limit && limit.max === 0) || lettersCapped) continue;
+        const usable = Array.from(chars)
+            .filter(ch => !policy.forbiddenChars.includes(ch))
+            .filter(ch => !policy.allowedChars || policy.allowedChars.includes(ch))
+            .join('');
+        if (usable) pools[name] = usable;
+    }
+    return pools;
+}
+
+// Pool classes a startClasses/endClasses rule allows ("letters" stands for lower and upper); all when there is no rule
+function edgeClasses(rule, pools) {
+    const classes = Object.keys(pools);
+    return rule ? classes.filter(c => rule.includes(c) || (rule.includes('letters') && (c === 'lower' || c === 'upper'))) : classes;
+}
+
+/**
+ * [first, last] class pairs a password of `length` can start and end with while every class stays
+ * within its limits: the first and last characters count against their class maximums.
+ */
+function edgeClassPairs(policy, pools, length) {
+    const limit = (c, field) => (policy.classes[c] ? policy.classes[c][field] : (field === 'min' ? 0 : null));
+    const cap = (c) => (!pools[c] ? 0 : (limit(c, 'max') === null ? Infinity : limit(c, 'max')));
+    const lettersCap = limit('letters', 'max') === null ? Infinity : limit('letters', 'max');
+    const pairs = [];
+    for (const first of edgeClasses(policy.startClasses, pools)) {
+        for (const last of edgeClasses(policy.endClasses, pools)) {
+            if (length === 1 && first !== last) continue; // one character is both ends
+            const low = Object.fromEntries(CLASS_NAMES.map(c => [
+                c, Math.max(limit(c, 'min'), length === 1 ? Number(c === first) : Number(c === first) + Number(c === last))
+            ]));
+            if (CLASS_NAMES.some(c => low[c] > cap(c))) continue;
+            const lettersLow = Math.max(limit('letters', 'min'), low.lower + low.upper);
+            if (lettersLow > lettersCap || lettersLow + low.digits + low.symbols > length) continue;
+            pairs.push([first, last]);
+        }
+    }
+    return pairs;
+}
+
+/** Why a policy can't be generated at `length` with these pools, or null when it can. */
+function generationProblem(policy, pools, length) {
+    if (length < policy.minLength) return `length must be at least ${policy.minLength}`;
+    if (policy.maxLength !== null && length > policy.maxLength) return `length must be at most ${policy.maxLength}`;
+    const available = Object.keys(pools);
+    if (!available.length) return 'No characters left after the policy filters';
+    // A one-character pool adds no entropy for the characters drawn from it (same floor as charsetProblem)
+    for (const [cls, chars] of Object.entries(pools)) {
+        if (chars.length < 2) return `Only one ${cls} character ("${chars}") is left after the policy filters; at least 2 are needed`;
+    }
+
+    let required = 0;
+    for (const cls of CLASS_NAMES) {
+        const min = policy.classes[cls] ? policy.classes[cls].min : 0;
+        if (min > 0 && !pools[cls]) return `No ${cls} characters are available for the required minimum`;
+        required += min;
+    }
+    const letters = policy.classes.letters;
+    // Maximums of a class with no pool count as 0 ("letters" caps lower + upper together)
+    const cap = (c) => (!pools[c] ? 0 : (policy.classes[c] && policy.classes[c].max !== null ? policy.classes[c].max : Infinity));
+    const lettersMax = Math.min(letters && letters.max !== null ? letters.max : Infinity, cap('lower') + cap('upper'));
+    if (letters && letters.min > 0) {
+        if (!pools.lower && !pools.upper) return 'No letters are available for the required minimum';
+        const lettersRequired = ['lower', 'upper'].reduce((s, c) => s + (policy.classes[c] ? policy.classes[c].min : 0), 0);
+        required += Math.max(0, letters.min - lettersRequired);
+        if (letters.min > lettersMax) return `letters min ${letters.min} exceeds the ${lettersMax} letters the lower/upper limits allow`;
+    }
+    if (required > length) return `Class minimums need ${required} characters but length is ${length}`;
+    if (available.length < policy.minClasses) return `Only ${available.length} classes are available but minClasses is ${policy.minClasses}`;
+
+    // Maximums must leave room to fill the whole length
+    const capacity = lettersMax + cap('digits') + cap('symbols');
+    if (capacity < length) return `Class maximums allow only ${capacity} characters`;
+
+    if ((policy.startClasses || policy.endClasses) && !edgeClassPairs(policy, pools, length).length) {
+        return 'startClasses/endClasses cannot be met within the class limits';
+    }
+    return null;
+}
+
+/** Check a password against a normalized policy; returns { compliant, violations }. */
+function checkPolicy(password, policy) {
+    const violations = [];
+    const chars = Array.from(password);
+    const counts = countClasses(chars, policy.symbols);
+
+    if (chars.length < policy.minLength) {
+        violations.push({ rule: 'minLength', message: `Must be at least ${policy.minLength} characters` });
+    }
+    if (policy.maxLength !== null && chars.length > policy.maxLength) {
+        violations.push({ rule: 'maxLength', message: `Must be at most ${policy.maxLength} characters` });
+    }
+
+    for (const [cls, { min, max }] of Object.entries(policy.classes)) {
+        if (counts[cls] < min) {
+            violations.push({ rule: 'classMin', class: cls, min, message: `Must contain at least ${min} ${cls}` });
+        }
+        if (max !== null && counts[cls] > max) {
+            violations.push({ rule: 'classMax', class: cls, max, message: `Must contain at most ${max} ${cls}` });
+        }
+    }
+
+    const used = CLASS_NAMES.filter(c => counts[c] > 0).length;
+    if (used < policy.minClasses) {
+        violations.push({
+            rule: 'minClasses', min: policy.minClasses,
+            message: `Must use at least ${policy.minClasses} of ${CLASS_NAMES.join(', ')}`
+        });
+    }
+
+    if (policy.maxConsecutive !== null && longestRun(chars) > policy.maxConsecutive) {
+        violations.push({
+            rule: 'maxConsecutive', max: policy.maxConsecutive,
+            message: `Must not repeat a character more than ${policy.maxConsecutive} times in a row`
+        });
+    }
+
+    if (policy.allowedChars) {
+        const outside = Array.from(new Set(chars.filter(ch => !policy.allowedChars.includes(ch))));
+        if (outside.length) {
+            violations.push({ rule: 'allowedChars', message: 'Contains characters that are not allowed', characters: outside });
+        }
+    }
+
+    const forbidden = Array.from(new Set(chars.filter(ch => policy.forbiddenChars.includes(ch))));
+    if (forbidden.length) {
+        violations.push({ rule: 'forbiddenChars', message: 'Contains forbidden characters', characters: forbidden });
+    }
+
+    if (chars.length && policy.startClasses && !inClasses(chars[0], policy.startClasses, policy.symbols)) {
+        violations.push({ rule: 'startClasses', message: `Must start with one of: ${policy.startClasses.join(', ')}` });
+    }
+    if (chars.length && policy.endClasses && !inClasses(chars[chars.length - 1], policy.endClasses, policy.symbols)) {
+        violations.push({ rule: 'endClasses', message: `Must end with one of: ${policy.endClasses.join(', ')}` });
+    }
+
+    if (policy.rejectCommon && isCommonPassword(password)) {
+        violations.push({ rule: 'rejectCommon', message: 'Is a commonly used password' });
+    }
+
+    return { compliant: violations.length === 0, violations };
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    normalizePolicy,
+    createPolicyStore,
+    checkPolicy,
+    generationPools,
+    generationProblem,
+    edgeClassPairs
+};
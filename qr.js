@@ -0,0 +1,313 @@
+/**
+ * Minimal QR code encoder (ISO/IEC 18004) for otpauth:// URIs: byte mode, error correction
+ * level M, versions 1-40, rendered as SVG. No dependency, in the spirit of hkdf.js and drbg.js;
+ * the structure follows the well-known reference implementations step by step.
+ */
+
+// Per version (index 0 unused), error correction level M
+const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+    26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+    17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+const FORMAT_BITS_M = 0; // the two-bit level indicator: L = 1, M = 0, Q = 3, H = 2
+const MAX_VERSION = 40;
+
+// --------------- Codewords ---------------
+function rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function dataCodewords(version) {
+    return Math.floor(rawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * ERROR_CORRECTION_BLOCKS[version];
+}
+
+// GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    for (const b of data) {
+        const factor = b ^ result.shift();
+        result.push(0);
+        divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+    }
+    return result;
+}
+
+/** Smallest version that holds `bytes` in byte mode, and the padded data codewords for it. */
+function encodeData(bytes) {
+    let version = 1;
+    const bitsNeeded = v => 4 + (v <= 9 ? 8 : 16) + bytes.length * 8;
+    while (bitsNeeded(version) > dataCodewords(version) * 8) {
+        if (++version > MAX_VERSION) throw new Error('Data too long for a QR code');
+    }
+
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    append(0b0100, 4); // byte mode
+    append(bytes.length, version <= 9 ? 8 : 16);
+    for (const b of bytes) append(b, 8);
+
+    const capacity = dataCodewords(version) * 8;
+    append(0, Math.min(4, capacity - bits.length)); // terminator
+    append(0, (8 - (bits.length % 8)) % 8);
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) append(pad, 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+    return { version, codewords };
+}
+
+/** Split into blocks, append Reed-Solomon codewords and interleave. */
+function addErrorCorrection(data, version) {
+    const numBlocks = ERROR_CORRECTION_BLOCKS[version];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(rawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+    const divisor = reedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+        const block = data.slice(k, k + shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1));
+        k += block.length;
+        const ecc = reedSolomonRemainder(block, divisor);
+        if (i < numShortBlocks) block.push(0); // placeholder, skipped when interleaving
+        blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - eccLength || j >= numShortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+// --------------- Module matrix ---------------
+function alignmentPositions(version) {
+    if (version === 1) return [];
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const result = [6];
+    for (let pos = version * 4 + 10; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+    return result;
+}
+
+function createMatrix(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+
+    for (let i = 0; i < size; i++) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, dist !== 2 && dist !== 4);
+            }
+        }
+    }
+    const positions = alignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((px, i) => positions.forEach((py, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return; // finder corners
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) setFunction(px + dx, py + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+    }));
+
+    if (version >= 7) {
+        let rem = version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+        const bits = (version << 12) | rem;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            setFunction(a, b, dark);
+            setFunction(b, a, dark);
+        }
+    }
+
+    const matrix = { size, modules, isFunction, setFunction };
+    drawFormatBits(matrix, 0); // reserve the format areas; redrawn per mask
+    return matrix;
+}
+
+function drawFormatBits({ size, setFunction }, mask) {
+    const data = (FORMAT_BITS_M << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) !== 0;
+
+    for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+    setFunction(8, 7, bit(6));
+    setFunction(8, 8, bit(7));
+    setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+    setFunction(8, size - 8, true); // dark module
+}
+
+// Zig-zag placement in two-column strips from the bottom right, skipping the vertical timing column
+function drawCodewords({ size, modules, isFunction }, codewords) {
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        for (let vert = 0; vert < size; vert++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vert : vert;
+                if (!isFunction[y][x] && i < codewords.length * 8) {
+                    modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                    i++;
+                }
+            }
+        }
+    }
+}
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    x => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+function applyMask({ size, modules, isFunction }, mask) {
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+        }
+    }
+}
+
+const FINDER_LIKE = [[1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0], [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]];
+
+/** The four penalty rules of the standard; the mask with the lowest score is used. */
+function penalty({ size, modules }) {
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i].map(Number));
+        lines.push(modules.map(row => Number(row[i])));
+    }
+    for (const line of lines) {
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                run++;
+            } else {
+                if (run >= 5) score += run - 2;
+                run = 1;
+            }
+        }
+        for (let i = 0; i + 11 <= size; i++) {
+            if (FINDER_LIKE.some(p => p.every((v, k) => line[i + k] === v))) score += 40;
+        }
+    }
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            if (x + 1 < size && y + 1 < size) {
+                const c = modules[y][x];
+                if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+            }
+        }
+    }
+    score += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+    return score;
+}
+
+/** Encode `text` (UTF-8) as a QR code: { version, size, modules } with modules[y][x] true for dark. */
+function encodeQr(text) {
+    const { version, codewords } = encodeData(Buffer.from(text, 'utf8'));
+    const matrix = createMatrix(version);
+    drawCodewords(matrix, addErrorCorrection(codewords, version));
+
+    let best = 0;
+    let bestScore = Infinity;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        applyMask(matrix, mask);
+        drawFormatBits(matrix, mask);
+        const score = penalty(matrix);
+        if (score < bestScore) {
+            best = mask;
+            bestScore = score;
+        }
+        applyMask(matrix, mask); // XOR again to undo
+    }
+    applyMask(matrix, best);
+    drawFormatBits(matrix, best);
+    return { version, size: matrix.size, modules: matrix.modules };
+}
+
+/** Render a QR code as a standalone SVG document with a `border`-module quiet zone. */
+function qrToSvg({ size, modules }, { border = 4 } = {}) {
+    const total = size + border * 2;
+    const path = [];
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!modules[y][x]) continue;
+            const start = x;
+            while (x + 1 < size && modules[y][x + 1]) x++; // one rectangle per horizontal run
+            const width = x - start + 1;
+            path.push(`M${start + border},${y + border}h${width}v1h-${width}z`);
+        }
+    }
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges">`
+        + `<rect width="100%" height="100%" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+}
+
+module.exports = {
+    encodeQr,
+    qrToSvg
+};
@@ -1,35 +1,171 @@
-const { passwordController, healthController, adminController, diceController, entropyController } = require('./controllers');
+const schemas = require('./schemas');
+const { createDocsController } = require('./openapi');
 
-// Import authentication middleware (will be passed from server.js)
-let requireApiKey = null;
-function setAuthMiddleware(authMiddleware) {
-    requireApiKey = authMiddleware;
-}
+/**
+ * Route table for a set of controllers (see createControllers): { routeDefinitions, routes, availableEndpoints }.
+ */
+function createRoutes(controllers) {
+    const {
+        passwordController, passwordJobController, secretController, mfaController, keyController, wordlistController, policyController, healthController,
+        metricsController, adminController,
+        apiKeyController, diceController, fairRollController,
+        sessionController, liveController, entropyController
+    } = controllers;
 
-// Route definitions
-const routeDefinitions = [
-    { endpoint: '/v1/passwords', method: 'POST', handler: passwordController.generatePasswords },
-    { endpoint: '/healthz', method: 'GET', handler: healthController.healthz },
-    { endpoint: '/v1/admin/reseed', method: 'POST', handler: adminController.reseedNow, requiresAuth: true },
-    { endpoint: '/v1/roll', method: 'POST', handler: diceController.rollDice },
-    { endpoint: '/v1/roll/:expression', method: 'GET', handler: diceController.rollDice },
-    { endpoint: '/v1/entropy/uint32', method: 'GET', handler: entropyController.getEntropyUint32 }
-];
+    // Generated from routeDefinitions below (read lazily, on first request)
+    const docsController = createDocsController(() => routeDefinitions);
 
-// Build routes map
-const routes = {};
-for (const route of routeDefinitions) {
-    if (!routes[route.endpoint]) routes[route.endpoint] = {};
-    routes[route.endpoint][route.method] = route.handler;
-}
+    // Route definitions
+    // `scope` is the API key scope a route needs; routes with requiresAuth always need a key,
+    // other scoped routes accept anonymous callers unless REQUIRE_API_KEYS=true. Routes without
+    // a scope are always public. `schema` ({ body, query, params }, see schemas.js) is validated by
+    // the router before the handler runs; `summary` and `schema` also feed /openapi.json and /docs.
+    // `queryApiKey` routes (event streams) also accept the key as ?apiKey=, since EventSource cannot send headers.
+    const routeDefinitions = [
+        { endpoint: '/v1/passwords', method: 'POST', handler: passwordController.generatePasswords, scope: 'passwords:generate', schema: schemas.generatePasswords,
+          summary: 'Generate passwords (charset, policy, passphrase or pattern mode)' },
+        { endpoint: '/v1/passwords/check', method: 'POST', handler: passwordController.checkPassword, scope: 'passwords:generate', schema: schemas.checkPassword,
+          summary: 'Estimate password strength and check it against a policy' },
+        { endpoint: '/v1/jobs/passwords', method: 'POST', handler: passwordJobController.create, scope: 'passwords:generate', schema: schemas.createPasswordJob,
+          summary: 'Queue a bulk password generation job' },
+        { endpoint: '/v1/jobs/:id', method: 'GET', handler: passwordJobController.getJob, scope: 'passwords:generate', schema: schemas.jobId,
+          summary: 'Job status and progress' },
+        { endpoint: '/v1/jobs/:id/download', method: 'GET', handler: passwordJobController.download, scope: 'passwords:generate', schema: schemas.downloadJob,
+          summary: 'Download job results once as CSV, JSON Lines or KeePass CSV; they are deleted afterwards' },
+        { endpoint: '/v1/jobs/:id', method: 'DELETE', handler: passwordJobController.deleteJob, scope: 'passwords:generate', schema: schemas.jobId,
+          summary: 'Cancel a job or delete its results' },
+        { endpoint: '/v1/secrets', method: 'POST', handler: secretController.create, scope: 'passwords:generate', schema: schemas.createSecret,
+          summary: 'Store a supplied or generated secret behind a one-time link' },
+        { endpoint: '/v1/secrets/:id', method: 'GET', handler: secretController.view, schema: schemas.secretId,
+          summary: 'View a secret with its link key (x-secret-key); browsers get a reveal page' },
+        { endpoint: '/v1/secrets/:id', method: 'DELETE', handler: secretController.destroy, schema: schemas.secretId,
+          summary: 'Destroy a secret before it is viewed or expires' },
+        { endpoint: '/v1/otp/secret', method: 'POST', handler: mfaController.otpSecret, scope: 'passwords:generate', schema: schemas.otpSecret,
+          summary: 'Generate a TOTP/HOTP secret with its otpauth:// URI and optional SVG QR code' },
+        { endpoint: '/v1/otp/verify', method: 'POST', handler: mfaController.otpVerify, scope: 'passwords:generate', schema: schemas.otpVerify,
+          summary: 'Check a TOTP/HOTP code with a drift window' },
+        { endpoint: '/v1/recovery-codes', method: 'POST', handler: mfaController.recoveryCodes, scope: 'passwords:generate', schema: schemas.recoveryCodes,
+          summary: 'Generate a set of formatted recovery codes' },
+        { endpoint: '/v1/keys/api-token', method: 'POST', handler: keyController.apiToken, scope: 'passwords:generate', schema: schemas.apiToken,
+          summary: 'Generate prefixed API tokens with a CRC32 checksum' },
+        { endpoint: '/v1/keys/uuid', method: 'POST', handler: keyController.uuid, scope: 'passwords:generate', schema: schemas.uuid,
+          summary: 'Generate UUIDv4 or time-ordered UUIDv7 identifiers' },
+        { endpoint: '/v1/keys/ulid', method: 'POST', handler: keyController.ulid, scope: 'passwords:generate', schema: schemas.ulid,
+          summary: 'Generate ULIDs' },
+        { endpoint: '/v1/keys/secret', method: 'POST', handler: keyController.secret, scope: 'passwords:generate', schema: schemas.secretKey,
+          summary: 'Generate an HMAC/JWT signing secret' },
+        { endpoint: '/v1/keys/keypair', method: 'POST', handler: keyController.keyPair, scope: 'passwords:generate', schema: schemas.keyPair,
+          summary: 'Generate an Ed25519, X25519, ECDSA or RSA keypair as PEM, JWK or OpenSSH' },
+        { endpoint: '/v1/wordlists', method: 'GET', handler: wordlistController.listWordlists,
+          summary: 'List passphrase wordlists' },
+        { endpoint: '/v1/wordlists', method: 'POST', handler: wordlistController.uploadWordlist, scope: 'admin', requiresAuth: true, schema: schemas.uploadWordlist,
+          summary: 'Upload a custom wordlist' },
+        { endpoint: '/v1/policies', method: 'GET', handler: policyController.listPolicies,
+          summary: 'List password policies' },
+        { endpoint: '/v1/policies', method: 'POST', handler: policyController.savePolicy, scope: 'admin', requiresAuth: true, schema: schemas.savePolicy,
+          summary: 'Create or replace a custom password policy' },
+        { endpoint: '/v1/policies/:name', method: 'DELETE', handler: policyController.deletePolicy, scope: 'admin', requiresAuth: true, schema: schemas.deletePolicy,
+          summary: 'Delete a custom password policy' },
+        { endpoint: '/healthz', method: 'GET', handler: healthController.healthz,
+          summary: 'Readiness check with seed and entropy source status' },
+        { endpoint: '/metrics', method: 'GET', handler: metricsController.getMetrics,
+          summary: 'Prometheus metrics' },
+        { endpoint: '/openapi.json', method: 'GET', handler: docsController.getOpenApi,
+          summary: 'This OpenAPI document' },
+        { endpoint: '/docs', method: 'GET', handler: docsController.getDocs,
+          summary: 'HTML API reference generated from the OpenAPI document' },
+        { endpoint: '/v1/admin/reseed', method: 'POST', handler: adminController.reseedNow, scope: 'admin', requiresAuth: true,
+          summary: 'Reseed the CSPRNG from the entropy sources now' },
+        { endpoint: '/v1/admin/self-test', method: 'POST', handler: adminController.selfTest, scope: 'admin', requiresAuth: true, schema: schemas.selfTest,
+          summary: 'Run statistical self-tests over fresh CSPRNG output' },
+        { endpoint: '/v1/admin/keys', method: 'GET', handler: apiKeyController.listKeys, scope: 'admin', requiresAuth: true,
+          summary: 'List API keys' },
+        { endpoint: '/v1/admin/keys', method: 'POST', handler: apiKeyController.createKey, scope: 'admin', requiresAuth: true, schema: schemas.createKey,
+          summary: 'Issue an API key' },
+        { endpoint: '/v1/admin/keys/:id/rotate', method: 'POST', handler: apiKeyController.rotateKey, scope: 'admin', requiresAuth: true, schema: schemas.keyId,
+          summary: 'Rotate the secret of an API key' },
+        { endpoint: '/v1/admin/keys/:id/usage', method: 'GET', handler: apiKeyController.getUsage, scope: 'admin', requiresAuth: true, schema: schemas.keyId,
+          summary: 'Usage counters of an API key' },
+        { endpoint: '/v1/admin/keys/:id', method: 'DELETE', handler: apiKeyController.revokeKey, scope: 'admin', requiresAuth: true, schema: schemas.keyId,
+          summary: 'Revoke an API key' },
+        { endpoint: '/v1/roll', method: 'POST', handler: diceController.rollDice, scope: 'dice:roll', schema: schemas.rollDiceBody,
+          summary: 'Roll a dice expression' },
+        { endpoint: '/v1/roll/analyze', method: 'POST', handler: diceController.analyze, scope: 'dice:roll', schema: schemas.analyzeDice,
+          summary: 'Probability distributions of dice expressions' },
+        { endpoint: '/v1/roll/commit', method: 'POST', handler: fairRollController.commit, scope: 'dice:roll', schema: schemas.createCommit,
+          summary: 'Start a commit-reveal session (returns the server seed commitment)' },
+        { endpoint: '/v1/roll/verify', method: 'POST', handler: fairRollController.verify, scope: 'dice:roll', schema: schemas.verifyRoll,
+          summary: 'Recompute a commit-reveal roll from revealed inputs' },
+        { endpoint: '/v1/roll/commit/:id', method: 'GET', handler: fairRollController.getSession, scope: 'dice:roll', schema: schemas.commitId,
+          summary: 'Commit-reveal session and its rolls' },
+        { endpoint: '/v1/roll/commit/:id/roll', method: 'POST', handler: fairRollController.roll, scope: 'dice:roll', schema: schemas.commitRoll,
+          summary: 'Roll with a client seed and the next nonce' },
+        { endpoint: '/v1/roll/commit/:id/reveal', method: 'POST', handler: fairRollController.reveal, scope: 'dice:roll', schema: schemas.commitId,
+          summary: 'Reveal the server seed and close the session' },
+        { endpoint: '/v1/roll/:expression', method: 'GET', handler: diceController.rollDice, scope: 'dice:roll', schema: schemas.rollDicePath,
+          summary: 'Roll a dice expression given in the path' },
+        { endpoint: '/v1/roll/:expression/stats', method: 'GET', handler: diceController.rollStats, scope: 'dice:roll', schema: schemas.rollStats,
+          summary: 'Probability distribution of a dice expression' },
+        { endpoint: '/v1/sessions', method: 'GET', handler: sessionController.listSessions, scope: 'dice:roll',
+          summary: 'List named roll sessions' },
+        { endpoint: '/v1/sessions', method: 'POST', handler: sessionController.createSession, scope: 'dice:roll', schema: schemas.createSession,
+          summary: 'Create a named roll session' },
+        { endpoint: '/v1/sessions/:name', method: 'GET', handler: sessionController.getSession, scope: 'dice:roll', schema: schemas.session,
+          summary: 'Roll session summary and macros' },
+        { endpoint: '/v1/sessions/:name', method: 'DELETE', handler: sessionController.deleteSession, scope: 'dice:roll', requiresAuth: true, schema: schemas.session,
+          summary: 'Delete a roll session and its history' },
+        { endpoint: '/v1/sessions/:name/rolls', method: 'GET', handler: sessionController.listRolls, scope: 'dice:roll', schema: schemas.listSessionRolls,
+          summary: 'Roll history, filtered and paginated' },
+        { endpoint: '/v1/sessions/:name/rolls', method: 'POST', handler: sessionController.roll, scope: 'dice:roll', schema: schemas.sessionRoll,
+          summary: 'Roll an expression or macro into the session log' },
+        { endpoint: '/v1/sessions/:name/export', method: 'GET', handler: sessionController.exportRolls, scope: 'dice:roll', schema: schemas.exportSessionRolls,
+          summary: 'Export roll history as JSON or CSV' },
+        { endpoint: '/v1/sessions/:name/stats', method: 'GET', handler: sessionController.stats, scope: 'dice:roll', schema: schemas.sessionStats,
+          summary: 'Per-roller, per-expression and natural d20 statistics' },
+        { endpoint: '/v1/sessions/:name/macros', method: 'GET', handler: sessionController.listMacros, scope: 'dice:roll', schema: schemas.session,
+          summary: 'List the macros of a session' },
+        { endpoint: '/v1/sessions/:name/macros/:macro', method: 'PUT', handler: sessionController.setMacro, scope: 'dice:roll', schema: schemas.setMacro,
+          summary: 'Save a macro' },
+        { endpoint: '/v1/sessions/:name/macros/:macro', method: 'DELETE', handler: sessionController.deleteMacro, scope: 'dice:roll', schema: schemas.macro,
+          summary: 'Delete a macro' },
+        { endpoint: '/v1/sessions/:name/macros/:macro/roll', method: 'POST', handler: sessionController.rollMacro, scope: 'dice:roll', schema: schemas.rollMacro,
+          summary: 'Roll a macro into the session log' },
+        { endpoint: '/v1/rooms', method: 'GET', handler: liveController.listRooms, scope: 'dice:roll',
+          summary: 'List live roll rooms' },
+        { endpoint: '/v1/rooms/:room/events', method: 'GET', handler: liveController.roomEvents, scope: 'dice:roll', queryApiKey: true, schema: schemas.roomEvents,
+          summary: 'Server-Sent Events stream of the rolls in a room' },
+        { endpoint: '/v1/rooms/:room/rolls', method: 'POST', handler: liveController.roomRoll, scope: 'dice:roll', schema: schemas.roomRoll,
+          summary: 'Roll and broadcast the result to everyone in the room' },
+        { endpoint: '/v1/entropy/uint32', method: 'GET', handler: entropyController.getEntropyUint32, scope: 'entropy:read', schema: schemas.entropyUint32,
+          summary: 'Random 32-bit unsigned integers' },
+        { endpoint: '/v1/entropy/bytes', method: 'GET', handler: entropyController.getEntropyBytes, scope: 'entropy:read', schema: schemas.entropyBytes,
+          summary: 'Random bytes, raw or encoded, optionally streamed' },
+        { endpoint: '/v1/entropy/feed', method: 'GET', handler: liveController.entropyFeed, scope: 'entropy:read', queryApiKey: true, schema: schemas.entropyFeed,
+          summary: 'Server-Sent Events stream of random byte blocks at a fixed interval' },
+        { endpoint: '/v1/entropy/uint8', method: 'GET', handler: entropyController.getEntropyValues('uint8'), scope: 'entropy:read', schema: schemas.entropyValues,
+          summary: 'Random 8-bit unsigned integers' },
+        { endpoint: '/v1/entropy/uint16', method: 'GET', handler: entropyController.getEntropyValues('uint16'), scope: 'entropy:read', schema: schemas.entropyValues,
+          summary: 'Random 16-bit unsigned integers' },
+        { endpoint: '/v1/entropy/uint64', method: 'GET', handler: entropyController.getEntropyValues('uint64'), scope: 'entropy:read', schema: schemas.entropyValues,
+          summary: 'Random 64-bit unsigned integers (decimal strings)' },
+        { endpoint: '/v1/entropy/int', method: 'GET', handler: entropyController.getEntropyValues('int'), scope: 'entropy:read', schema: schemas.entropyValues,
+          summary: 'Unbiased random integers in [min, max]' },
+        { endpoint: '/v1/entropy/float', method: 'GET', handler: entropyController.getEntropyValues('float'), scope: 'entropy:read', schema: schemas.entropyValues,
+          summary: 'Uniform random floats in [0, 1)' }
+    ];
 
-const availableEndpoints = routeDefinitions.map(r => `${r.method} ${r.endpoint}`);
+    // Build routes map
+    const routes = {};
+    for (const route of routeDefinitions) {
+        if (!routes[route.endpoint]) routes[route.endpoint] = {};
+        routes[route.endpoint][route.method] = route.handler;
+    }
 
-module.exports = {
-    routes,
-    routeDefinitions,
-    availableEndpoints,
-    setAuthMiddleware
-};
+    const availableEndpoints = routeDefinitions.map(r => `${r.method} ${r.endpoint}`);
 
+    return { routes, routeDefinitions, availableEndpoints };
+}
 
+module.exports = {
+    createRoutes
+};
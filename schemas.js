@@ -0,0 +1,563 @@
+/**
+ * JSON Schemas for request bodies, query strings and path parameters, referenced from the route
+ * table in routes.js. app.js validates every request against them before the handler runs, and
+ * /openapi.json is generated from the same objects.
+ *
+ * Schemas check types and hard limits. Values that are documented as clamped (counts, word counts,
+ * sample sizes) only need the right type here; the controllers still clamp them. Query defaults are
+ * applied by the validator, so they are what the handlers see; body defaults only document the
+ * handlers' own fallbacks.
+ */
+const { SCOPES } = require('./keyStore');
+const { ENTROPY_POLICIES } = require('./generator');
+
+// --------------------- Shared fragments ---------------------
+const entropyPolicy = { type: 'string', enum: ENTROPY_POLICIES, description: 'Entropy policy for this request (may only be stricter than the server policy)' };
+const seed = { type: ['string', 'number'], description: 'Deterministic mode: derive the output from this seed (1-1024 characters)' };
+const expression = { type: 'string', minLength: 1, maxLength: 200, description: 'Dice expression, e.g. 2d6+3 or 4d6kh3' };
+const rolls = { type: 'integer', minimum: 1, maximum: 100, default: 1, description: 'Times to roll the expression' };
+const policyRef = {
+    oneOf: [{ type: 'string' }, { type: 'object' }],
+    description: 'Named policy or an inline policy object'
+};
+const isoTimestamp = { type: 'string', description: 'ISO 8601 timestamp' };
+const hex64 = { type: 'string', pattern: '^[0-9a-fA-F]{64}$' };
+
+const sessionName = {
+    type: 'string',
+    pattern: '^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$',
+    description: 'Session name'
+};
+const macroName = { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9_-]{0,31}$', description: 'Macro name' };
+
+function params(properties) {
+    return { type: 'object', properties, required: Object.keys(properties) };
+}
+
+const randomnessQuery = { seed: { type: 'string', description: seed.description }, entropyPolicy };
+
+const rollFilters = {
+    roller: { type: 'string', description: 'Exact roller name' },
+    expression: { type: 'string', description: 'Exact expression as rolled' },
+    macro: { type: 'string', description: 'Rolls made through this macro' },
+    since: isoTimestamp,
+    until: isoTimestamp
+};
+
+// --------------------- Passwords ---------------------
+const generatePasswords = {
+    body: {
+        type: 'object',
+        properties: {
+            mode: { type: 'string', enum: ['charset', 'passphrase', 'pattern'], default: 'charset' },
+            policy: policyRef,
+            length: { type: 'integer', minimum: 1, maximum: 256, description: 'Password length (charset mode)' },
+            count: { type: 'integer', default: 1, description: 'Passwords to generate, clamped to [1, 50]' },
+            includeLower: { type: 'boolean', default: true },
+            includeUpper: { type: 'boolean', default: true },
+            includeDigits: { type: 'boolean', default: true },
+            includeSymbols: { type: 'boolean', default: true },
+            symbols: { type: 'string', description: 'Symbol characters (charset mode) or symbols to insert (passphrase mode)' },
+            excludeAmbiguous: { type: 'boolean', default: true },
+            requireEachClass: { type: 'boolean', default: true },
+            includeStrength: { type: 'boolean', default: false },
+            pattern: { type: 'string', description: 'Template for pattern mode' },
+            wordCount: { type: 'integer', default: 6, description: 'Words per passphrase, clamped to [3, 20]' },
+            wordlist: { type: 'string', default: 'eff-large' },
+            separator: { type: 'string', maxLength: 8, default: '-' },
+            capitalize: { type: 'string', enum: ['none', 'first', 'upper', 'random'], default: 'none' },
+            includeDigit: { type: 'boolean', default: false },
+            includeSymbol: { type: 'boolean', default: false },
+            encryptTo: {
+                oneOf: [{ type: 'string', maxLength: 16384 }, { type: 'object' }],
+                description: 'RSA (2048+ bits) or X25519 public key, as PEM or JWK; passwords come back as JWE envelopes in `encrypted`'
+            },
+            seed,
+            entropyPolicy
+        }
+    }
+};
+
+const checkPassword = {
+    body: {
+        type: 'object',
+        required: ['password'],
+        properties: {
+            password: { type: 'string', minLength: 1 },
+            policy: policyRef,
+            userInputs: { type: 'array', items: { type: 'string' }, description: 'Names, emails etc. that should not appear in the password' }
+        }
+    }
+};
+
+// --------------------- Password jobs ---------------------
+// Every /v1/passwords option except the ones that make no sense in bulk
+const jobPasswordOptions = Object.fromEntries(Object.entries(generatePasswords.body.properties)
+    .filter(([name]) => !['count', 'includeStrength', 'encryptTo', 'seed'].includes(name)));
+
+const createPasswordJob = {
+    body: {
+        type: 'object',
+        properties: {
+            ...jobPasswordOptions,
+            count: { type: 'integer', minimum: 1, description: 'Passwords to generate (at most PASSWORD_JOB_MAX_COUNT); defaults to the number of usernames' },
+            usernames: {
+                type: 'array',
+                items: { type: 'string', minLength: 1, maxLength: 256 },
+                description: 'One password per username; adds a username column to the exports'
+            }
+        }
+    }
+};
+
+const jobId = { params: params({ id: { type: 'string', pattern: '^[0-9a-f]{32}$' } }) };
+
+const downloadJob = {
+    params: jobId.params,
+    query: { type: 'object', properties: { format: { type: 'string', enum: ['csv', 'jsonl', 'keepass'], default: 'csv' } } }
+};
+
+// --------------------- One-time secrets ---------------------
+const createSecret = {
+    body: {
+        type: 'object',
+        properties: {
+            secret: { type: 'string', minLength: 1, description: 'The secret to share (at most SECRET_MAX_LENGTH characters); omit to generate a password' },
+            generate: {
+                type: 'object',
+                properties: Object.fromEntries(Object.entries(generatePasswords.body.properties)
+                    .filter(([name]) => !['count', 'includeStrength', 'encryptTo', 'seed', 'entropyPolicy'].includes(name))),
+                description: '/v1/passwords options for the generated password (when secret is omitted)'
+            },
+            passphrase: { type: 'string', minLength: 1, maxLength: 1024, description: 'Also required to view the secret' },
+            maxViews: { type: 'integer', minimum: 1, maximum: 100, default: 1 },
+            ttlSeconds: { type: 'integer', minimum: 60, description: 'Defaults to SECRET_DEFAULT_TTL_MS, at most SECRET_MAX_TTL_MS' },
+            entropyPolicy
+        }
+    }
+};
+
+const secretId = { params: params({ id: { type: 'string', pattern: '^[0-9a-f]{32}$' } }) };
+
+// --------------------- MFA ---------------------
+const otpOptions = {
+    type: { type: 'string', enum: ['totp', 'hotp'], default: 'totp' },
+    algorithm: { type: 'string', enum: ['SHA1', 'SHA256', 'SHA512'], default: 'SHA1' },
+    digits: { type: 'integer', enum: [6, 7, 8], default: 6 },
+    period: { type: 'integer', minimum: 15, maximum: 300, default: 30, description: 'Seconds per code (totp)' }
+};
+
+const otpSecret = {
+    body: {
+        type: 'object',
+        required: ['account'],
+        properties: {
+            ...otpOptions,
+            issuer: { type: 'string', minLength: 1, maxLength: 200, description: 'Service name shown by authenticator apps' },
+            account: { type: 'string', minLength: 1, maxLength: 200, description: 'User name or email shown by authenticator apps' },
+            counter: { type: 'integer', minimum: 0, default: 0, description: 'Initial counter (hotp)' },
+            secretBytes: { type: 'integer', minimum: 16, maximum: 64, description: 'Defaults to the hash length: 20 (SHA1), 32 (SHA256), 64 (SHA512)' },
+            qr: { type: 'boolean', default: false, description: 'Add the otpauth:// URI as an SVG QR code' },
+            entropyPolicy
+        }
+    }
+};
+
+const otpVerify = {
+    body: {
+        type: 'object',
+        required: ['secret', 'code'],
+        properties: {
+            ...otpOptions,
+            secret: { type: 'string', minLength: 1, maxLength: 256, description: 'Base32 secret' },
+            code: { type: 'string', pattern: '^[0-9]{6,8}$' },
+            counter: { type: 'integer', minimum: 0, description: 'Next expected counter (required for hotp)' },
+            window: { type: 'integer', minimum: 0, maximum: 10, default: 1, description: 'Time steps either side (totp) or counters ahead (hotp)' }
+        }
+    }
+};
+
+const recoveryCodes = {
+    body: {
+        type: 'object',
+        properties: {
+            count: { type: 'integer', minimum: 1, maximum: 50, default: 10 },
+            groups: { type: 'integer', minimum: 1, maximum: 8, default: 2 },
+            groupLength: { type: 'integer', minimum: 2, maximum: 16, default: 5 },
+            separator: { type: 'string', maxLength: 3, default: '-' },
+            alphabet: { type: 'string', enum: ['crockford', 'digits', 'hex'], default: 'crockford' },
+            entropyPolicy
+        }
+    }
+};
+
+// --------------------- Keys and tokens ---------------------
+const apiToken = {
+    body: {
+        type: 'object',
+        properties: {
+            prefix: { type: 'string', pattern: '^[a-z][a-z0-9]{1,9}$', default: 'pg', description: 'Token prefix, e.g. a service name' },
+            length: { type: 'integer', minimum: 22, maximum: 64, default: 30, description: 'Random base62 characters before the 6-character checksum' },
+            count: { type: 'integer', minimum: 1, maximum: 50, default: 1 },
+            entropyPolicy
+        }
+    }
+};
+
+const uuid = {
+    body: {
+        type: 'object',
+        properties: {
+            version: { type: 'integer', enum: [4, 7], default: 4 },
+            count: { type: 'integer', minimum: 1, maximum: 1000, default: 1 },
+            entropyPolicy
+        }
+    }
+};
+
+const ulid = {
+    body: {
+        type: 'object',
+        properties: {
+            count: { type: 'integer', minimum: 1, maximum: 1000, default: 1 },
+            entropyPolicy
+        }
+    }
+};
+
+const secretKey = {
+    body: {
+        type: 'object',
+        properties: {
+            bits: { type: 'integer', minimum: 128, maximum: 4096, multipleOf: 8, description: 'Defaults to 256, or the hash length for alg' },
+            alg: { type: 'string', enum: ['HS256', 'HS384', 'HS512'], description: 'JWT HMAC algorithm: enforces its minimum size and adds a JWK' },
+            encoding: { type: 'string', enum: ['hex', 'base64', 'base64url'], default: 'base64url' },
+            entropyPolicy
+        }
+    }
+};
+
+const keyPair = {
+    body: {
+        type: 'object',
+        properties: {
+            type: { type: 'string', enum: ['ed25519', 'x25519', 'ecdsa', 'rsa'], default: 'ed25519' },
+            format: { type: 'string', enum: ['pem', 'jwk', 'openssh'], default: 'pem' },
+            curve: { type: 'string', enum: ['P-256', 'P-384', 'P-521'], default: 'P-256', description: 'ecdsa only' },
+            bits: { type: 'integer', enum: [2048, 3072, 4096], default: 3072, description: 'rsa only' },
+            comment: { type: 'string', maxLength: 200, description: 'OpenSSH key comment' },
+            entropyPolicy
+        }
+    }
+};
+
+// --------------------- Wordlists and policies ---------------------
+const uploadWordlist = {
+    body: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+            name: { type: 'string' },
+            words: { type: 'array', items: { type: 'string' } },
+            text: { type: 'string', description: 'Newline-separated words (instead of words)' }
+        }
+    }
+};
+
+const savePolicy = {
+    body: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+            name: { type: 'string' },
+            description: { type: 'string' },
+            minLength: { type: 'integer', minimum: 1 },
+            maxLength: { type: ['integer', 'null'], minimum: 1 },
+            requireClasses: { type: 'array', items: { type: 'string' } },
+            classes: { type: 'object' },
+            minClasses: { type: 'integer', minimum: 0 },
+            symbols: { type: 'string' }
+        }
+    }
+};
+
+const deletePolicy = { params: params({ name: { type: 'string' } }) };
+
+// --------------------- Admin ---------------------
+const selfTest = {
+    body: {
+        type: 'object',
+        properties: { bytes: { type: 'integer', minimum: 2500, maximum: 1048576, default: 20000 } }
+    }
+};
+
+const keyId = { params: params({ id: { type: 'string', pattern: '^[0-9a-f]{12}$' } }) };
+
+const createKey = {
+    body: {
+        type: 'object',
+        required: ['scopes'],
+        properties: {
+            name: { type: 'string' },
+            scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: SCOPES } },
+            rateLimit: {
+                type: ['object', 'null'],
+                required: ['windowMs', 'max'],
+                properties: {
+                    windowMs: { type: 'integer', minimum: 1000 },
+                    max: { type: 'integer', minimum: 1 }
+                }
+            },
+            dailyQuota: { type: ['integer', 'null'], minimum: 1 }
+        }
+    }
+};
+
+// --------------------- Dice ---------------------
+const rollDiceBody = {
+    body: {
+        type: 'object',
+        required: ['expression'],
+        properties: {
+            expression,
+            rolls: { type: 'integer', default: 1, description: 'Times to roll the expression, clamped to [1, 100]' },
+            seed,
+            entropyPolicy
+        }
+    }
+};
+
+const rollDicePath = {
+    params: params({ expression }),
+    query: { type: 'object', properties: randomnessQuery }
+};
+
+const rollStats = {
+    params: params({ expression }),
+    query: { type: 'object', properties: { samples: { type: 'integer', description: 'Monte Carlo samples, clamped to [100, 50000]' } } }
+};
+
+const analyzeDice = {
+    body: {
+        type: 'object',
+        properties: {
+            expression,
+            expressions: { type: 'array', minItems: 1, maxItems: 5, items: expression },
+            samples: { type: 'integer', description: 'Monte Carlo samples, clamped to [100, 50000]' }
+        }
+    }
+};
+
+// --------------------- Commit-reveal rolls ---------------------
+const commitId = { params: params({ id: { type: 'string', pattern: '^[0-9a-f]{32}$' } }) };
+const clientSeed = { type: 'string', minLength: 1, maxLength: 256 };
+
+const createCommit = {
+    body: { type: 'object', properties: { entropyPolicy } }
+};
+
+const commitRoll = {
+    params: commitId.params,
+    body: {
+        type: 'object',
+        required: ['clientSeed', 'expression'],
+        properties: { clientSeed, expression, rolls }
+    }
+};
+
+const verifyRoll = {
+    body: {
+        type: 'object',
+        required: ['serverSeed', 'clientSeed', 'nonce', 'expression'],
+        properties: {
+            serverSeed: hex64,
+            commitment: hex64,
+            clientSeed,
+            nonce: { type: 'integer', minimum: 0 },
+            expression,
+            rolls
+        }
+    }
+};
+
+// --------------------- Named sessions ---------------------
+const sessionParams = params({ name: sessionName });
+const macroParams = params({ name: sessionName, macro: macroName });
+const session = { params: sessionParams };
+const macro = { params: macroParams };
+const rollerFields = {
+    roller: { type: 'string', minLength: 1, maxLength: 64, default: 'anonymous' },
+    label: { type: ['string', 'null'], maxLength: 64 },
+    entropyPolicy
+};
+
+const createSession = {
+    body: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+            name: sessionName,
+            description: { type: 'string', maxLength: 500 },
+            macros: { type: 'object', maxProperties: 100, additionalProperties: expression }
+        }
+    }
+};
+
+const sessionRoll = {
+    params: sessionParams,
+    body: {
+        type: 'object',
+        properties: { expression, macro: macroName, ...rollerFields }
+    }
+};
+
+const listSessionRolls = {
+    params: sessionParams,
+    query: {
+        type: 'object',
+        properties: {
+            ...rollFilters,
+            limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 },
+            offset: { type: 'integer', minimum: 0, default: 0 }
+        }
+    }
+};
+
+const exportSessionRolls = {
+    params: sessionParams,
+    query: {
+        type: 'object',
+        properties: { ...rollFilters, format: { type: 'string', enum: ['json', 'csv'], default: 'json' } }
+    }
+};
+
+const sessionStats = {
+    params: sessionParams,
+    query: { type: 'object', properties: rollFilters }
+};
+
+const setMacro = {
+    params: macroParams,
+    body: { type: 'object', required: ['expression'], properties: { expression } }
+};
+
+const rollMacro = {
+    params: macroParams,
+    body: { type: 'object', properties: rollerFields }
+};
+
+// --------------------- Live feeds ---------------------
+const queryApiKey = { type: 'string', description: 'API key, for clients that cannot send the x-api-key header (EventSource)' };
+const roomParams = params({ room: { ...sessionName, description: 'Room name' } });
+
+const roomEvents = {
+    params: roomParams,
+    query: {
+        type: 'object',
+        properties: {
+            lastEventId: { type: 'integer', minimum: 0, description: 'Replay events after this id (the Last-Event-ID header takes precedence)' },
+            apiKey: queryApiKey
+        }
+    }
+};
+
+const roomRoll = {
+    params: roomParams,
+    body: {
+        type: 'object',
+        required: ['expression'],
+        properties: { expression, rolls, ...rollerFields }
+    }
+};
+
+const entropyFeed = {
+    query: {
+        type: 'object',
+        properties: {
+            bytes: { type: 'integer', minimum: 1, maximum: 4096, default: 32, description: 'Bytes per block' },
+            intervalMs: { type: 'integer', minimum: 1, default: 1000, description: 'Milliseconds between blocks' },
+            encoding: { type: 'string', enum: ['hex', 'base64', 'base32'], default: 'hex' },
+            limit: { type: 'integer', minimum: 1, description: 'End the stream after this many blocks' },
+            entropyPolicy,
+            apiKey: queryApiKey
+        }
+    }
+};
+
+// --------------------- Entropy ---------------------
+const count = { type: 'integer', description: 'Values to return, clamped to [1, 5000]', default: 1024 };
+
+const entropyUint32 = {
+    query: { type: 'object', properties: { count, ...randomnessQuery } }
+};
+
+const entropyBytes = {
+    query: {
+        type: 'object',
+        properties: {
+            size: { type: 'integer', minimum: 1, default: 32, description: 'Bytes to return' },
+            encoding: { type: 'string', enum: ['binary', 'hex', 'base64', 'base32'], default: 'binary' },
+            stream: { type: 'boolean', default: false, description: 'Stream the response (larger sizes allowed)' },
+            ...randomnessQuery
+        }
+    }
+};
+
+const entropyValues = {
+    query: {
+        type: 'object',
+        properties: {
+            count,
+            min: { type: 'integer', description: 'Lower bound (int only)' },
+            max: { type: 'integer', description: 'Upper bound (int only)' },
+            ...randomnessQuery
+        }
+    }
+};
+
+module.exports = {
+    generatePasswords,
+    checkPassword,
+    createPasswordJob,
+    jobId,
+    downloadJob,
+    createSecret,
+    secretId,
+    otpSecret,
+    otpVerify,
+    recoveryCodes,
+    apiToken,
+    uuid,
+    ulid,
+    secretKey,
+    keyPair,
+    uploadWordlist,
+    savePolicy,
+    deletePolicy,
+    selfTest,
+    keyId,
+    createKey,
+    rollDiceBody,
+    rollDicePath,
+    rollStats,
+    analyzeDice,
+    commitId,
+    createCommit,
+    commitRoll,
+    verifyRoll,
+    session,
+    macro,
+    createSession,
+    sessionRoll,
+    listSessionRolls,
+    exportSessionRolls,
+    sessionStats,
+    setMacro,
+    rollMacro,
+    roomEvents,
+    roomRoll,
+    entropyFeed,
+    entropyUint32,
+    entropyBytes,
+    entropyValues
+};
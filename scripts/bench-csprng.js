@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/**
+ * Throughput of the previous CSPRNG (one AES-CTR cipher per 16-byte block, pooled with
+ * Buffer.concat) against the CTR_DRBG that replaced it, for typical request sizes.
+ *
+ * Usage: node scripts/bench-csprng.js [secondsPerCase]
+ */
+const crypto = require('crypto');
+const { CtrDrbg, SEED_LEN, MAX_BYTES_PER_REQUEST } = require('../drbg');
+
+const SECONDS = Number(process.argv[2]) || 1;
+const SIZES = [4, 32, 256, 4096, 65536, 1048576];
+
+// The generator as it was before the DRBG, kept here only for comparison
+class LegacyCsprng {
+    constructor() {
+        this.key = crypto.randomBytes(32);
+        this.ivBase = crypto.randomBytes(16);
+        this.counter = 0n;
+        this.pool = Buffer.alloc(0);
+    }
+
+    _ivForCounter(cnt) {
+        const iv = Buffer.from(this.ivBase);
+        const ctrBytes = Buffer.alloc(8);
+        ctrBytes.writeBigUInt64BE(cnt);
+        ctrBytes.copy(iv, 8);
+        return iv;
+    }
+
+    _refill(minBytes = 4096) {
+        const blocks = Math.ceil(Math.max(4096, minBytes) / 16);
+        const out = Buffer.alloc(blocks * 16);
+        for (let i = 0; i < blocks; i++) {
+            const cipher = crypto.createCipheriv('aes-256-ctr', this.key, this._ivForCounter(this.counter));
+            this.counter += 1n;
+            Buffer.concat([cipher.update(Buffer.alloc(16)), cipher.final()]).copy(out, i * 16);
+        }
+        this.pool = Buffer.concat([this.pool, out]);
+    }
+
+    getBytes(n) {
+        if (this.pool.length < n) this._refill(n - this.pool.length);
+        const out = this.pool.subarray(0, n);
+        this.pool = this.pool.subarray(n);
+        return out;
+    }
+}
+
+function drbgGetBytes(drbg) {
+    return (n) => {
+        if (n <= MAX_BYTES_PER_REQUEST) return drbg.generate(n);
+        const out = Buffer.allocUnsafe(n);
+        for (let offset = 0; offset < n; offset += MAX_BYTES_PER_REQUEST) {
+            drbg.generate(Math.min(MAX_BYTES_PER_REQUEST, n - offset)).copy(out, offset);
+        }
+        return out;
+    };
+}
+
+function measure(getBytes, size) {
+    const deadline = process.hrtime.bigint() + BigInt(Math.round(SECONDS * 1e9));
+    let calls = 0;
+    const start = process.hrtime.bigint();
+    while (process.hrtime.bigint() < deadline) {
+        getBytes(size);
+        calls++;
+    }
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    return { callsPerSec: calls / seconds, mbPerSec: (calls * size) / seconds / 1e6 };
+}
+
+function fmt(n) {
+    return n >= 100 ? Math.round(n).toLocaleString('en-US') : n.toFixed(2);
+}
+
+const drbg = new CtrDrbg();
+drbg.instantiate(crypto.randomBytes(SEED_LEN));
+const prDrbg = new CtrDrbg({ predictionResistance: true });
+prDrbg.instantiate(crypto.randomBytes(SEED_LEN));
+
+const generators = [
+    ['legacy per-block AES-CTR', (legacy => n => legacy.getBytes(n))(new LegacyCsprng())],
+    ['CTR_DRBG', drbgGetBytes(drbg)],
+    ['CTR_DRBG + prediction resistance', drbgGetBytes(prDrbg)]
+];
+
+console.log(`CSPRNG throughput, ${SECONDS}s per case (Node ${process.version})\n`);
+console.log(['bytes/call', ...generators.map(([name]) => name)].join(' | '));
+console.log(['---', ...generators.map(() => '---')].join(' | '));
+for (const size of SIZES) {
+    const cells = generators.map(([, getBytes]) => {
+        const { callsPerSec, mbPerSec } = measure(getBytes, size);
+        return `${fmt(mbPerSec)} MB/s (${fmt(callsPerSec)} calls/s)`;
+    });
+    console.log([size, ...cells].join(' | '));
+}
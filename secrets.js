@@ -0,0 +1,254 @@
+/**
+ * One-time secrets: a secret is encrypted at rest with a random link key that the server hands
+ * back once (in the link fragment) and never stores, so neither the store nor its file can be
+ * read without the link. Only an HMAC of the link key is kept, to tell a wrong link from a wrong
+ * passphrase. An optional passphrase is stretched with scrypt and mixed into the content key.
+ *
+ * Secrets are destroyed after `maxViews` successful views, after MAX_PASSPHRASE_ATTEMPTS wrong
+ * passphrases, or at `expiresAt`, whichever comes first.
+ */
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { hkdfSha256 } = require('./hkdf');
+const { readJsonFile, writeJsonFileAtomic } = require('./jsonFile');
+
+const SECRET_VERSION = 'v1';
+const ID_BYTES = 16;
+const LINK_KEY_BYTES = 32;
+const IV_BYTES = 12;
+const SALT_BYTES = 16;
+const MAX_PASSPHRASE_ATTEMPTS = 5;
+const MAX_VIEWS = 100;
+// ~32 MiB and ~0.1 s per derivation: slow enough to make offline guessing expensive
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+const scrypt = promisify(crypto.scrypt);
+
+function linkKeyCheck(linkKey, id) {
+    return crypto.createHmac('sha256', linkKey).update(`passgen secret ${SECRET_VERSION} check ${id}`).digest('base64url');
+}
+
+async function contentKey(linkKey, id, salt, passphrase) {
+    const ikm = passphrase === undefined
+        ? linkKey
+        : Buffer.concat([linkKey, await scrypt(passphrase.normalize('NFC'), salt, 32, SCRYPT_OPTIONS)]);
+    return hkdfSha256(ikm, Buffer.from(id, 'hex'), Buffer.from(`passgen secret ${SECRET_VERSION}`), 32);
+}
+
+/**
+ * Encrypt `plaintext` under a fresh id and link key drawn from `rng` (a CSPRNG). Returns
+ * { record, linkKey }: the record is what gets stored, the base64url link key goes to the creator only.
+ */
+async function sealSecret(plaintext, { rng, passphrase, ttlMs, maxViews }) {
+    const id = (await rng.getBytes(ID_BYTES)).toString('hex');
+    const linkKey = await rng.getBytes(LINK_KEY_BYTES);
+    const iv = await rng.getBytes(IV_BYTES);
+    const salt = passphrase === undefined ? null : await rng.getBytes(SALT_BYTES);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', await contentKey(linkKey, id, salt, passphrase), iv);
+    cipher.setAAD(Buffer.from(id, 'ascii'));
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    const now = Date.now();
+    return {
+        linkKey: linkKey.toString('base64url'),
+        record: {
+            id,
+            version: SECRET_VERSION,
+            keyCheck: linkKeyCheck(linkKey, id),
+            iv: iv.toString('base64url'),
+            salt: salt ? salt.toString('base64url') : null,
+            ciphertext: ciphertext.toString('base64url'),
+            tag: cipher.getAuthTag().toString('base64url'),
+            passphrase: passphrase !== undefined,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + ttlMs).toISOString(),
+            maxViews,
+            views: 0,
+            failedAttempts: 0
+        }
+    };
+}
+
+/** Whether `linkKeyText` (base64url) is the link key of `record`; decrypts nothing. */
+function linkKeyMatches(record, linkKeyText) {
+    const linkKey = Buffer.from(String(linkKeyText), 'base64url');
+    if (linkKey.length !== LINK_KEY_BYTES) return false;
+    const check = Buffer.from(linkKeyCheck(linkKey, record.id));
+    const expected = Buffer.from(record.keyCheck);
+    return check.length === expected.length && crypto.timingSafeEqual(check, expected);
+}
+
+/**
+ * Decrypt a record with the link key (base64url) and passphrase from the viewer.
+ * Returns { ok, secret } or { ok: false, reason: 'bad_key' | 'passphrase_required' | 'bad_passphrase' }.
+ */
+async function openSecret(record, linkKeyText, passphrase) {
+    if (!linkKeyMatches(record, linkKeyText)) return { ok: false, reason: 'bad_key' };
+    const linkKey = Buffer.from(String(linkKeyText), 'base64url');
+    if (record.passphrase && passphrase === undefined) return { ok: false, reason: 'passphrase_required' };
+
+    const salt = record.salt ? Buffer.from(record.salt, 'base64url') : null;
+    const key = await contentKey(linkKey, record.id, salt, record.passphrase ? passphrase : undefined);
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(record.iv, 'base64url'));
+        decipher.setAAD(Buffer.from(record.id, 'ascii'));
+        decipher.setAuthTag(Buffer.from(record.tag, 'base64url'));
+        const plaintext = Buffer.concat([decipher.update(Buffer.from(record.ciphertext, 'base64url')), decipher.final()]);
+        return { ok: true, secret: plaintext.toString('utf8') };
+    } catch {
+        // The link key checked out, so only the passphrase can be wrong
+        return { ok: false, reason: 'bad_passphrase' };
+    }
+}
+
+/**
+ * Secret records in memory, written to `file` on every change when one is given (an empty
+ * file keeps them in memory only). `onEvent(event)` sees created, viewed, destroyed and expired.
+ */
+function createSecretStore({ file, maxSecrets, onEvent = () => {} }) {
+    const byId = new Map(file ? readJsonFile(file, { secrets: [] }).secrets.map(s => [s.id, s]) : []);
+
+    function save() {
+        if (file) writeJsonFileAtomic(file, { secrets: Array.from(byId.values()) });
+    }
+
+    function prune() {
+        const now = new Date().toISOString();
+        let removed = 0;
+        for (const [id, record] of byId) {
+            if (record.expiresAt <= now) {
+                byId.delete(id);
+                removed++;
+                onEvent('expired');
+            }
+        }
+        if (removed) save();
+    }
+
+    /** Store a sealed record; null when maxSecrets are already stored. */
+    function add(record) {
+        prune();
+        if (byId.size >= maxSecrets) return null;
+        byId.set(record.id, record);
+        save();
+        onEvent('created');
+        return record;
+    }
+
+    function get(id) {
+        prune();
+        return byId.get(id) || null;
+    }
+
+    function remove(id) {
+        if (!byId.delete(id)) return false;
+        save();
+        onEvent('destroyed');
+        return true;
+    }
+
+    /**
+     * Count a successful view; the record is destroyed on its last one. Returns the views left,
+     * or null when the record is already gone (a concurrent view took the last one).
+     */
+    function recordView(id) {
+        const record = byId.get(id);
+        if (!record) return null;
+        record.views++;
+        onEvent('viewed');
+        if (record.views >= record.maxViews) {
+            remove(id);
+            return 0;
+        }
+        save();
+        return record.maxViews - record.views;
+    }
+
+    /** Count a wrong passphrase; the record is destroyed after MAX_PASSPHRASE_ATTEMPTS. Returns the attempts left. */
+    function recordFailedPassphrase(id) {
+        const record = byId.get(id);
+        if (!record) return 0;
+        record.failedAttempts++;
+        if (record.failedAttempts >= MAX_PASSPHRASE_ATTEMPTS) {
+            remove(id);
+            return 0;
+        }
+        save();
+        return MAX_PASSPHRASE_ATTEMPTS - record.failedAttempts;
+    }
+
+    return {
+        add,
+        get,
+        remove,
+        recordView,
+        recordFailedPassphrase,
+        count: () => byId.size
+    };
+}
+
+// The fragment never reaches the server, so opening a link in a browser loads this page, which
+// sends the key from the fragment in a header. Nothing is consumed until the viewer clicks.
+function renderRevealPage({ passphrase }) {
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="referrer" content="no-referrer">
+<meta name="robots" content="noindex">
+<title>Shared secret</title>
+<style>
+  body { font: 15px/1.5 system-ui, sans-serif; max-width: 640px; margin: 3em auto; padding: 0 1em; color: #222; }
+  pre { background: #f4f4f4; padding: 1em; white-space: pre-wrap; word-break: break-all; font-size: 1.1em; }
+  input, button { font: inherit; padding: 4px 8px; }
+  .error { color: #b00; }
+</style>
+</head>
+<body>
+<h1>Shared secret</h1>
+<p>This secret can only be viewed a limited number of times and may be destroyed once you reveal it. Copy it somewhere safe.</p>
+<form id="reveal">
+${passphrase ? '<p><label>Passphrase <input type="password" id="passphrase" autocomplete="off" required></label></p>\n' : ''}<button type="submit">Reveal secret</button>
+</form>
+<pre id="secret" hidden></pre>
+<p id="status"></p>
+<script>
+const key = location.hash.slice(1);
+const form = document.getElementById('reveal');
+const statusLine = document.getElementById('status');
+if (!key) statusLine.textContent = 'This link is incomplete: the part after # is missing.';
+form.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const headers = { 'accept': 'application/json', 'x-secret-key': key };
+  const passphrase = document.getElementById('passphrase');
+  if (passphrase) headers['x-secret-passphrase'] = encodeURIComponent(passphrase.value);
+  const res = await fetch(location.pathname, { headers });
+  const body = await res.json();
+  if (!res.ok) {
+    statusLine.className = 'error';
+    statusLine.textContent = body.message || body.error;
+    return;
+  }
+  history.replaceState(null, '', location.pathname);
+  form.hidden = true;
+  const pre = document.getElementById('secret');
+  pre.textContent = body.secret;
+  pre.hidden = false;
+  statusLine.className = '';
+  statusLine.textContent = body.viewsRemaining ? body.viewsRemaining + ' view(s) left.' : 'The secret has now been destroyed.';
+});
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    MAX_PASSPHRASE_ATTEMPTS,
+    MAX_VIEWS,
+    sealSecret,
+    linkKeyMatches,
+    openSecret,
+    createSecretStore,
+    renderRevealPage
+};
@@ -0,0 +1,237 @@
+/**
+ * Named roll sessions (one per campaign or table): an append-only roll log plus saved macros,
+ * persisted to a JSON file. Rolls are written in batches; everything else is written immediately.
+ * Dice evaluation stays in the controller; this module only stores, filters and summarizes.
+ */
+const { readJsonFile, writeJsonFileAtomic } = require('./jsonFile');
+
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+const MACRO_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,31}$/;
+const MAX_MACROS = 100;
+const MAX_LABEL_LENGTH = 64;
+const MAX_DESCRIPTION_LENGTH = 500;
+const ROLL_FLUSH_MS = 1000;
+const CSV_COLUMNS = ['id', 'at', 'roller', 'label', 'macro', 'expression', 'total', 'detail'];
+
+function validateName(name) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+        throw new Error('name must be 1-64 characters of letters, digits, ".", "_" or "-", starting with a letter or digit');
+    }
+}
+
+function validateMacroName(name) {
+    if (typeof name !== 'string' || !MACRO_PATTERN.test(name)) {
+        throw new Error('Macro names must be 1-32 characters of letters, digits, "_" or "-", starting with a letter');
+    }
+}
+
+/** Sides of a plain `NdS` group from its notation (d20, 2d20kh1, ...), or null for d%/dF. */
+function groupSides(notation) {
+    const match = /^\d*d(\d+)/i.exec(notation);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Apply `{ roller, expression, macro, since, until }` to a roll log. `since`/`until` are ISO
+ * timestamps (inclusive); the others match exactly.
+ */
+function filterRolls(rolls, { roller, expression, macro, since, until } = {}) {
+    return rolls.filter(r => (roller === undefined || r.roller === roller)
+        && (expression === undefined || r.expression === expression)
+        && (macro === undefined || r.macro === macro)
+        && (since === undefined || r.at >= since)
+        && (until === undefined || r.at <= until));
+}
+
+function average(sum, count) {
+    return count ? sum / count : null;
+}
+
+/**
+ * Per-roller and per-expression totals, plus natural d20 results: every kept die of a d20 group
+ * counts, so advantage (2d20kh1) contributes the die that was used.
+ */
+function rollStats(rolls) {
+    const byRoller = new Map();
+    const byExpression = new Map();
+    const d20 = { dice: 0, sum: 0, nat20: 0, nat1: 0 };
+
+    for (const roll of rolls) {
+        const r = byRoller.get(roll.roller) || { rolls: 0, sum: 0 };
+        r.rolls++;
+        r.sum += roll.total;
+        byRoller.set(roll.roller, r);
+
+        const e = byExpression.get(roll.expression) || { rolls: 0, sum: 0, min: Infinity, max: -Infinity };
+        e.rolls++;
+        e.sum += roll.total;
+        e.min = Math.min(e.min, roll.total);
+        e.max = Math.max(e.max, roll.total);
+        byExpression.set(roll.expression, e);
+
+        for (const group of roll.breakdown || []) {
+            if (groupSides(group.notation) !== 20) continue;
+            for (const die of group.dice) {
+                if (die.dropped) continue;
+                d20.dice++;
+                d20.sum += die.value;
+                if (die.value === 20) d20.nat20++;
+                if (die.value === 1) d20.nat1++;
+            }
+        }
+    }
+
+    return {
+        rolls: rolls.length,
+        firstRollAt: rolls.length ? rolls[0].at : null,
+        lastRollAt: rolls.length ? rolls[rolls.length - 1].at : null,
+        rollers: Object.fromEntries(Array.from(byRoller, ([name, r]) => [name, { rolls: r.rolls, averageTotal: average(r.sum, r.rolls) }])),
+        expressions: Object.fromEntries(Array.from(byExpression, ([expr, e]) => [expr, {
+            rolls: e.rolls, averageTotal: average(e.sum, e.rolls), min: e.min, max: e.max
+        }])),
+        d20: { dice: d20.dice, average: average(d20.sum, d20.dice), nat20: d20.nat20, nat1: d20.nat1 }
+    };
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    // Keep spreadsheet apps from treating user-supplied labels as formulas
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function rollsToCsv(rolls) {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const roll of rolls) lines.push(CSV_COLUMNS.map(c => csvField(roll[c])).join(','));
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+function createSessionStore({ file, maxRolls, maxSessions }) {
+    const data = readJsonFile(file, { sessions: [] });
+    const byName = new Map(data.sessions.map(s => [s.name, s]));
+    let flushTimer = null;
+
+    function save() {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        writeJsonFileAtomic(file, { sessions: Array.from(byName.values()) });
+    }
+
+    // Rolls arrive in bursts during play, so batch those writes
+    function scheduleSave() {
+        if (flushTimer) return;
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            try {
+                save();
+            } catch (e) {
+                console.error('Failed to persist roll sessions:', e);
+            }
+        }, ROLL_FLUSH_MS);
+        flushTimer.unref();
+    }
+
+    function summary(session) {
+        const { rolls, nextRollId, ...rest } = session;
+        return {
+            ...rest,
+            rollCount: rolls.length,
+            lastRollAt: rolls.length ? rolls[rolls.length - 1].at : null
+        };
+    }
+
+    function create({ name, description = '', macros = {} }) {
+        validateName(name);
+        if (byName.has(name)) throw Object.assign(new Error(`Session ${name} already exists`), { code: 'EXISTS' });
+        if (byName.size >= maxSessions) {
+            throw Object.assign(new Error(`At most ${maxSessions} sessions are kept; delete one first`), { code: 'FULL' });
+        }
+        if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+            throw new Error(`description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+        }
+        if (!macros || typeof macros !== 'object' || Array.isArray(macros)) throw new Error('macros must be an object');
+        Object.keys(macros).forEach(validateMacroName);
+        if (Object.keys(macros).length > MAX_MACROS) throw new Error(`At most ${MAX_MACROS} macros per session`);
+
+        const session = {
+            name,
+            description,
+            createdAt: new Date().toISOString(),
+            macros: { ...macros },
+            nextRollId: 1,
+            rolls: []
+        };
+        byName.set(name, session);
+        save();
+        return summary(session);
+    }
+
+    function remove(name) {
+        if (!byName.delete(name)) return false;
+        save();
+        return true;
+    }
+
+    /** Append a roll; the oldest rolls are discarded beyond `maxRolls`. */
+    function appendRoll(name, { roller, label = null, macro = null, expression, total, detail, breakdown }) {
+        const session = byName.get(name);
+        if (!session) return null;
+        const entry = {
+            id: session.nextRollId++,
+            at: new Date().toISOString(),
+            roller,
+            label,
+            macro,
+            expression,
+            total,
+            detail,
+            breakdown
+        };
+        session.rolls.push(entry);
+        if (session.rolls.length > maxRolls) session.rolls.splice(0, session.rolls.length - maxRolls);
+        scheduleSave();
+        return entry;
+    }
+
+    function setMacro(name, macro, expression) {
+        const session = byName.get(name);
+        if (!session) return null;
+        validateMacroName(macro);
+        if (!(macro in session.macros) && Object.keys(session.macros).length >= MAX_MACROS) {
+            throw new Error(`At most ${MAX_MACROS} macros per session`);
+        }
+        session.macros[macro] = expression;
+        save();
+        return session.macros;
+    }
+
+    function deleteMacro(name, macro) {
+        const session = byName.get(name);
+        if (!session || !(macro in session.macros)) return false;
+        delete session.macros[macro];
+        save();
+        return true;
+    }
+
+    return {
+        create,
+        remove,
+        appendRoll,
+        setMacro,
+        deleteMacro,
+        get: (name) => (byName.has(name) ? summary(byName.get(name)) : null),
+        list: () => Array.from(byName.values()).map(summary),
+        rolls: (name, filters) => (byName.has(name) ? filterRolls(byName.get(name).rolls, filters) : null),
+        flush: () => { if (flushTimer) save(); }
+    };
+}
+
+module.exports = {
+    MAX_LABEL_LENGTH,
+    createSessionStore,
+    rollStats,
+    rollsToCsv
+};
@@ -0,0 +1,36 @@
+const fs = require('fs');
+
+/**
+ * Reads raw bytes from a file or character device such as /dev/hwrng.
+ * Intended for devices: a regular file yields the same bytes on every read.
+ */
+function createFileSource(config = {}) {
+    const path = config.path || '/dev/hwrng';
+
+    async function read(bytes) {
+        const fh = await fs.promises.open(path, 'r');
+        try {
+            const buf = Buffer.alloc(bytes);
+            let offset = 0;
+            while (offset < bytes) {
+                // Char devices may return short reads, keep going until we have enough
+                const { bytesRead } = await fh.read(buf, offset, bytes - offset, null);
+                if (bytesRead === 0) throw new Error(`Short read from ${path} (${offset}/${bytes} bytes)`);
+                offset += bytesRead;
+            }
+            return buf;
+        } finally {
+            await fh.close();
+        }
+    }
+
+    return {
+        name: config.name || (path === '/dev/hwrng' ? 'hwrng' : `file:${path}`),
+        kind: 'hwrng',
+        timeoutMs: config.timeoutMs,
+        path,
+        read
+    };
+}
+
+module.exports = { createFileSource };
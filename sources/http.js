@@ -0,0 +1,58 @@
+/**
+ * Generic HTTP QRNG provider. The URL may contain a `{bytes}` placeholder for the
+ * requested length; the response is decoded according to `format`:
+ * - `json`:   value at `jsonPath` is an array of byte values or a hex string
+ * - `hex` / `base64`: response body is an encoded string
+ * - `binary`: response body is raw octets
+ */
+function getPath(obj, dotPath) {
+    if (!dotPath) return obj;
+    return dotPath.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+function decodeJsonValue(value) {
+    if (Array.isArray(value)) {
+        if (!value.every(v => Number.isInteger(v) && v >= 0 && v <= 255)) {
+            throw new Error('JSON array must contain byte values (0-255)');
+        }
+        return Buffer.from(value);
+    }
+    if (typeof value === 'string' && /^([0-9a-f]{2})+$/i.test(value)) return Buffer.from(value, 'hex');
+    throw new Error('Unsupported JSON payload: expected byte array or hex string');
+}
+
+function createHttpSource(config = {}) {
+    if (!config.url) throw new Error('HTTP entropy source requires a url');
+    const format = config.format || 'json';
+    if (!['json', 'hex', 'base64', 'binary'].includes(format)) {
+        throw new Error(`Unsupported HTTP entropy format: ${format}`);
+    }
+
+    async function read(bytes) {
+        const r = await fetch(config.url.replace('{bytes}', String(bytes)), {
+            method: config.method || 'GET',
+            headers: config.headers || {},
+            body: config.body ? JSON.stringify(config.body) : undefined,
+            cache: 'no-store',
+            signal: config.timeoutMs ? AbortSignal.timeout(config.timeoutMs) : undefined
+        });
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+
+        let buf;
+        if (format === 'json') buf = decodeJsonValue(getPath(await r.json(), config.jsonPath));
+        else if (format === 'binary') buf = Buffer.from(await r.arrayBuffer());
+        else buf = Buffer.from((await r.text()).trim(), format);
+
+        if (buf.length < bytes) throw new Error(`Provider returned ${buf.length}/${bytes} bytes`);
+        return buf.subarray(0, bytes);
+    }
+
+    return {
+        name: config.name || 'http-qrng',
+        kind: 'qrng',
+        timeoutMs: config.timeoutMs,
+        read
+    };
+}
+
+module.exports = { createHttpSource };
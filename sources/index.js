@@ -0,0 +1,235 @@
+const fs = require('fs');
+const { createOsSource } = require('./os');
+const { createFileSource } = require('./file');
+const { createOutshiftSource } = require('./outshift');
+const { createHttpSource } = require('./http');
+const { createContinuousTests } = require('../healthTests');
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_RETRY_MS = 60000;
+const MAX_RETRY_MS = 3600000;
+const DEFAULT_QUARANTINE_MS = 3600000;
+
+const factories = {
+    os: createOsSource,
+    file: createFileSource,
+    outshift: createOutshiftSource,
+    http: createHttpSource
+};
+
+function withTimeout(promise, ms, label) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Holds the configured entropy sources and their health. Failed sources are skipped
+ * until an exponential backoff expires, then probed again on the next reseed.
+ * Every read also goes through SP 800-90B continuous health tests; a source whose
+ * bytes fail them is quarantined for `quarantineMs` and its output discarded.
+ */
+function createSourceRegistry(defs, options = {}) {
+    const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    const retryMs = options.retryMs || DEFAULT_RETRY_MS;
+    const quarantineMs = options.quarantineMs || DEFAULT_QUARANTINE_MS;
+
+    const entries = defs.map((def) => {
+        const factory = factories[def.type];
+        if (!factory) throw new Error(`Unknown entropy source type: ${def.type}`);
+        return {
+            source: factory({ ...def, timeoutMs: def.timeoutMs || timeoutMs }),
+            // minEntropy: claimed bits of min-entropy per byte; lower it for raw (unconditioned) devices
+            tests: createContinuousTests({ minEntropy: def.minEntropy }),
+            quarantine: null, // { until, failure } while the source is excluded after a health test failure
+            health: {
+                healthy: true,
+                consecutiveFailures: 0,
+                lastSuccessAt: null,
+                lastFailureAt: null,
+                lastError: null,
+                retryAt: 0
+            }
+        };
+    });
+
+    const names = new Set();
+    for (const { source } of entries) {
+        if (names.has(source.name)) throw new Error(`Duplicate entropy source name: ${source.name}`);
+        names.add(source.name);
+    }
+
+    function markSuccess(entry) {
+        Object.assign(entry.health, {
+            healthy: true,
+            consecutiveFailures: 0,
+            lastSuccessAt: Date.now(),
+            lastError: null,
+            retryAt: 0
+        });
+    }
+
+    function markFailure(entry, err) {
+        const h = entry.health;
+        h.healthy = false;
+        h.consecutiveFailures += 1;
+        h.lastFailureAt = Date.now();
+        h.lastError = err.message || String(err);
+        h.retryAt = h.lastFailureAt + Math.min(retryMs * 2 ** (h.consecutiveFailures - 1), MAX_RETRY_MS);
+    }
+
+    function markQuarantined(entry, failure) {
+        entry.quarantine = { until: Date.now() + quarantineMs, failure };
+        markFailure(entry, new Error(`Health test failed: ${failure.test} (value ${failure.value} seen ${failure.count} times)`));
+    }
+
+    function isQuarantined(entry, now) {
+        if (entry.quarantine && now >= entry.quarantine.until) {
+            // Probe again with fresh test state
+            entry.quarantine = null;
+            entry.tests.reset();
+        }
+        return !!entry.quarantine;
+    }
+
+    /** Read `bytesPerSource` from every available source and concatenate the results. */
+    async function collectSeed(bytesPerSource = 64) {
+        const now = Date.now();
+        const active = entries.filter(e => !isQuarantined(e, now) && (e.health.healthy || now >= e.health.retryAt));
+
+        const results = await Promise.all(active.map(async (entry) => {
+            const { source } = entry;
+            const started = Date.now();
+            try {
+                const bytes = await withTimeout(source.read(bytesPerSource), source.timeoutMs, source.name);
+                const failure = entry.tests.test(bytes);
+                if (failure) {
+                    markQuarantined(entry, failure);
+                    return { entry, error: entry.health.lastError, healthTest: failure.test, ms: Date.now() - started };
+                }
+                markSuccess(entry);
+                return { entry, bytes, ms: Date.now() - started };
+            } catch (err) {
+                markFailure(entry, err);
+                return { entry, error: entry.health.lastError, ms: Date.now() - started };
+            }
+        }));
+
+        const contributions = results.map(r => ({
+            source: r.entry.source.name,
+            kind: r.entry.source.kind,
+            ok: !!r.bytes,
+            bytes: r.bytes ? r.bytes.length : 0,
+            ms: r.ms,
+            ...(r.error ? { error: r.error } : {}),
+            ...(r.healthTest ? { healthTest: r.healthTest } : {})
+        }));
+
+        const ok = results.filter(r => r.bytes);
+        if (ok.length === 0) throw new Error('No entropy source produced data');
+
+        // Label and length-prefix each contribution so the mixed input is unambiguous
+        const seed = Buffer.concat(ok.flatMap(({ entry, bytes }) => {
+            const label = Buffer.from(entry.source.name);
+            const header = Buffer.alloc(4);
+            header.writeUInt16BE(label.length, 0);
+            header.writeUInt16BE(bytes.length, 2);
+            return [header, label, bytes];
+        }));
+
+        return { seed, contributions };
+    }
+
+    function status() {
+        const iso = (t) => (t ? new Date(t).toISOString() : null);
+        const now = Date.now();
+        return entries.map((entry) => {
+            const { source, health } = entry;
+            const quarantined = isQuarantined(entry, now);
+            return {
+                name: source.name,
+                kind: source.kind,
+                healthy: health.healthy,
+                quarantined,
+                consecutiveFailures: health.consecutiveFailures,
+                lastSuccessAt: iso(health.lastSuccessAt),
+                lastFailureAt: iso(health.lastFailureAt),
+                lastError: health.lastError,
+                retryAt: health.healthy ? null : iso(quarantined ? entry.quarantine.until : health.retryAt),
+                ...(quarantined ? { healthTest: entry.quarantine.failure } : {})
+            };
+        });
+    }
+
+    return {
+        collectSeed,
+        status,
+        sources: entries.map(e => e.source)
+    };
+}
+
+function intOrUndefined(value) {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) ? n : undefined;
+}
+
+/**
+ * Build source definitions from env. ENTROPY_SOURCES_CONFIG points to a JSON array of
+ * definitions; otherwise ENTROPY_SOURCES lists tokens (os, hwrng, file:<path>, outshift, http).
+ */
+function loadSourceDefsFromEnv(env = process.env) {
+    if (env.ENTROPY_SOURCES_CONFIG) {
+        const defs = JSON.parse(fs.readFileSync(env.ENTROPY_SOURCES_CONFIG, 'utf8'));
+        if (!Array.isArray(defs)) throw new Error('ENTROPY_SOURCES_CONFIG must contain a JSON array');
+        return defs;
+    }
+
+    // Default keeps the pre-registry behaviour: OS, plus Outshift when QRNG_ENABLED=true
+    const qrngEnabled = String(env.QRNG_ENABLED || 'false') === 'true';
+    const tokens = (env.ENTROPY_SOURCES || (qrngEnabled ? 'os,outshift' : 'os'))
+        .split(',')
+        .map(t => t.trim())
+        .filter(Boolean);
+
+    return tokens.map((token) => {
+        if (token === 'os') return { type: 'os' };
+        if (token === 'hwrng') {
+            return {
+                type: 'file',
+                name: 'hwrng',
+                path: env.HWRNG_PATH || '/dev/hwrng',
+                timeoutMs: intOrUndefined(env.HWRNG_TIMEOUT_MS)
+            };
+        }
+        if (token.startsWith('file:')) return { type: 'file', path: token.slice(5) };
+        if (token === 'outshift') {
+            return {
+                type: 'outshift',
+                url: env.QRNG_URL,
+                apiKey: env.QRNG_API_KEY,
+                bitsPerBlock: intOrUndefined(env.QRNG_BITS_PER_BLOCK),
+                timeoutMs: intOrUndefined(env.QRNG_TIMEOUT_MS)
+            };
+        }
+        if (token === 'http') {
+            return {
+                type: 'http',
+                name: env.HTTP_QRNG_NAME || 'http-qrng',
+                url: env.HTTP_QRNG_URL,
+                method: env.HTTP_QRNG_METHOD,
+                headers: env.HTTP_QRNG_HEADERS ? JSON.parse(env.HTTP_QRNG_HEADERS) : undefined,
+                format: env.HTTP_QRNG_FORMAT,
+                jsonPath: env.HTTP_QRNG_JSON_PATH,
+                timeoutMs: intOrUndefined(env.HTTP_QRNG_TIMEOUT_MS)
+            };
+        }
+        throw new Error(`Unknown entropy source: ${token}`);
+    });
+}
+
+module.exports = {
+    createSourceRegistry,
+    loadSourceDefsFromEnv
+};
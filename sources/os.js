@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+
+/** OS CSPRNG (crypto.randomBytes); always available, so it never needs a timeout. */
+function createOsSource(config = {}) {
+    return {
+        name: config.name || 'os',
+        kind: 'os',
+        timeoutMs: config.timeoutMs || 1000,
+        read: async (bytes) => crypto.randomBytes(bytes)
+    };
+}
+
+module.exports = { createOsSource };
@@ -0,0 +1,70 @@
+// Outshift QRNG (https://api.qrng.outshift.com) using Node.js built-in fetch (v18+)
+
+function packBlocksToBytes(blocks, bitsPerBlock = 8) {
+    let bits = '';
+    for (const item of blocks) {
+        let b = (item && typeof item.binary === 'string') ? item.binary.trim() : null;
+        if (!b || !/^[01]+$/.test(b)) {
+            const d = Number(item?.decimal);
+            if (!Number.isInteger(d) || d < 0) continue;
+            b = d.toString(2);
+        }
+        // force fixed width to avoid bias
+        b = b.padStart(bitsPerBlock, '0');
+        bits += b;
+    }
+    const out = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        out.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(out);
+}
+
+async function fetchOutshiftQrngBlocks(blockCount, config) {
+    const { url, apiKey, bitsPerBlock, timeoutMs } = config;
+    if (!apiKey) throw new Error('QRNG not configured');
+    const body = { encoding: 'raw', format: 'all', bits_per_block: bitsPerBlock, number_of_blocks: blockCount };
+    const r = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'x-id-api-key': apiKey
+        },
+        body: JSON.stringify(body),
+        cache: 'no-store',
+        signal: timeoutMs ? AbortSignal.timeout(timeoutMs) : undefined
+    });
+    if (!r.ok) throw new Error(`QRNG HTTP ${r.status}`);
+    const json = await r.json();
+    const arr = json?.random_numbers;
+    if (!Array.isArray(arr) || arr.length === 0) throw new Error('QRNG returned no data');
+    return packBlocksToBytes(arr, bitsPerBlock);
+}
+
+function createOutshiftSource(config = {}) {
+    const cfg = {
+        url: config.url || 'https://api.qrng.outshift.com/api/v1/random_numbers',
+        apiKey: config.apiKey || '',
+        bitsPerBlock: config.bitsPerBlock || 8, // 8 bits = 1 byte, optimal for 32-byte seeds
+        timeoutMs: config.timeoutMs
+    };
+
+    return {
+        name: config.name || 'outshift',
+        kind: 'qrng',
+        timeoutMs: cfg.timeoutMs,
+        read: async (bytes) => {
+            // Request enough blocks to cover the seed, then truncate to exactly `bytes`
+            const blocks = Math.ceil((bytes * 8) / cfg.bitsPerBlock);
+            const buf = await fetchOutshiftQrngBlocks(blocks, cfg);
+            if (buf.length < bytes) throw new Error(`QRNG returned ${buf.length}/${bytes} bytes`);
+            return buf.subarray(0, bytes);
+        }
+    };
+}
+
+module.exports = {
+    createOutshiftSource,
+    fetchOutshiftQrngBlocks,
+    packBlocksToBytes
+};
@@ -0,0 +1,625 @@
+/**
+ * Password strength estimation in the style of zxcvbn.
+ *
+ * The password is scanned for guessable patterns (common passwords, dictionary words with
+ * l33t/case/reversal variants, sequences, keyboard walks, repeats, dates and years). Each
+ * match gets a guess count, and the cheapest way to cover the whole password with matches
+ * and brute-forced characters gives the overall estimate. A decomposition into k parts pays
+ * an extra k! for the attacker not knowing the order of the parts.
+ */
+const fs = require('fs');
+const path = require('path');
+const { getBundledWordlist } = require('./wordlists');
+const { LOWER, UPPER, DIGITS, DEFAULT_SYMBOLS, classifyChar } = require('./charsets');
+
+const COMMON_PASSWORDS_FILE = path.join(__dirname, 'dictionaries', 'common-passwords.txt');
+const DICTIONARY_WORDLIST = 'eff-large';
+const MAX_CHECK_LENGTH = 256;
+const MIN_TOKEN_LENGTH = 3;
+const MIN_MATCH_GUESSES = 50;
+const MIN_YEAR_SPACE = 20;
+const MAX_L33T_VARIANTS = 16;
+const MAX_USER_INPUTS = 20;
+
+// Guesses per second for the usual attack scenarios
+const ATTACK_RATES = {
+    onlineThrottled: 100 / 3600,
+    onlineUnthrottled: 10,
+    offlineSlowHash: 1e4,
+    offlineFastHash: 1e10
+};
+
+// Score 0..4 by guess count (same thresholds as zxcvbn)
+const SCORE_THRESHOLDS = [1e3, 1e6, 1e8, 1e10];
+
+const L33T_TABLE = {
+    a: ['4', '@'], b: ['8'], c: ['(', '{', '[', '<'], e: ['3'], g: ['6', '9'],
+    i: ['1', '!', '|'], l: ['1', '|', '7'], o: ['0'], s: ['$', '5'], t: ['+', '7'],
+    x: ['%'], z: ['2']
+};
+
+// symbol -> letters it can stand for
+const L33T_REVERSE = {};
+for (const [letter, subs] of Object.entries(L33T_TABLE)) {
+    for (const sub of subs) (L33T_REVERSE[sub] = L33T_REVERSE[sub] || []).push(letter);
+}
+
+// Slanted QWERTY rows; a leading tab keeps each row's columns aligned with the row above
+const KEYBOARD_ROWS = [
+    ['`1234567890-=', '~!@#$%^&*()_+'],
+    ['\tqwertyuiop[]\\', '\tQWERTYUIOP{}|'],
+    ['\tasdfghjkl;\'', '\tASDFGHJKL:"'],
+    ['\tzxcvbnm,./', '\tZXCVBNM<>?']
+];
+
+// --------------------- Dictionaries ---------------------
+let dictionaries = null;
+
+function rankedMap(words) {
+    const map = new Map();
+    words.forEach((w, i) => {
+        const key = w.toLowerCase();
+        if (!map.has(key)) map.set(key, i + 1);
+    });
+    map.maxLength = Math.max(0, ...Array.from(map.keys(), k => k.length));
+    return map;
+}
+
+// Lazy so that requiring this module stays cheap
+function loadDictionaries() {
+    if (dictionaries) return dictionaries;
+    const common = fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8').split(/\r?\n/).filter(Boolean);
+    const wordlist = getBundledWordlist(DICTIONARY_WORDLIST);
+    // The wordlist is unordered, so every word costs a full pass over it
+    const words = new Map((wordlist ? wordlist.words : []).map(w => [w.toLowerCase(), wordlist.words.length]));
+    words.maxLength = Math.max(0, ...Array.from(words.keys(), k => k.length));
+    dictionaries = {
+        passwords: rankedMap(common),
+        words
+    };
+    return dictionaries;
+}
+
+function isCommonPassword(password) {
+    return loadDictionaries().passwords.has(String(password).toLowerCase());
+}
+
+// --------------------- Helpers ---------------------
+function nCk(n, k) {
+    if (k > n) return 0;
+    let r = 1;
+    for (let i = 1; i <= k; i++) r = (r * (n - k + i)) / i;
+    return r;
+}
+
+/** Size of the character pool implied by the classes present in the password. */
+function poolSize(password) {
+    const present = new Set(Array.from(password, ch => classifyChar(ch, DEFAULT_SYMBOLS + '`~"\'\\|/ ')));
+    let size = 0;
+    if (present.has('lower')) size += LOWER.length;
+    if (present.has('upper')) size += UPPER.length;
+    if (present.has('digits')) size += DIGITS.length;
+    if (present.has('symbols')) size += 33; // printable ASCII punctuation and space
+    if (present.has('other')) size += 100;
+    return Math.max(size, 1);
+}
+
+function uppercaseVariations(token) {
+    if (token === token.toLowerCase()) return 1;
+    const upper = Array.from(token).filter(ch => ch !== ch.toLowerCase()).length;
+    const lower = Array.from(token).filter(ch => ch !== ch.toUpperCase()).length;
+    const first = token.charAt(0);
+    const last = token.charAt(token.length - 1);
+    if (lower === 0 || (upper === 1 && (first !== first.toLowerCase() || last !== last.toLowerCase()))) return 2;
+    let variations = 0;
+    for (let i = 1; i <= Math.min(upper, lower); i++) variations += nCk(upper + lower, i);
+    return variations;
+}
+
+function l33tVariations(token, subs) {
+    let variations = 1;
+    const lower = token.toLowerCase();
+    for (const [sub, letter] of Object.entries(subs)) {
+        const subbed = Array.from(lower).filter(ch => ch === sub).length;
+        const unsubbed = Array.from(lower).filter(ch => ch === letter).length;
+        if (subbed === 0 || unsubbed === 0) {
+            variations *= 2;
+        } else {
+            let possibilities = 0;
+            for (let i = 1; i <= Math.min(subbed, unsubbed); i++) possibilities += nCk(subbed + unsubbed, i);
+            variations *= possibilities;
+        }
+    }
+    return variations;
+}
+
+/** Possible un-l33t readings of a token as [{ word, subs: { sub: letter } }]. */
+function unl33t(token) {
+    let variants = [{ word: '', subs: {} }];
+    for (const ch of token) {
+        const letters = L33T_REVERSE[ch];
+        if (!letters) {
+            variants = variants.map(v => ({ word: v.word + ch, subs: v.subs }));
+            continue;
+        }
+        const next = [];
+        for (const v of variants) {
+            for (const letter of letters) {
+                // A symbol can only stand for one letter within a token
+                if (v.subs[ch] && v.subs[ch] !== letter) continue;
+                next.push({ word: v.word + letter, subs: { ...v.subs, [ch]: letter } });
+            }
+        }
+        variants = next.slice(0, MAX_L33T_VARIANTS);
+    }
+    return variants.filter(v => Object.keys(v.subs).length > 0);
+}
+
+// --------------------- Matchers ---------------------
+function dictionaryMatches(password, userInputs) {
+    const { passwords, words } = loadDictionaries();
+    const lists = [['passwords', passwords], ['words', words]];
+    if (userInputs.size) lists.push(['userInputs', userInputs]);
+    const matches = [];
+    const lower = password.toLowerCase();
+    const reversed = Array.from(lower).reverse().join('');
+    const maxLength = Math.max(...lists.map(([, map]) => map.maxLength || 0));
+    // l33tBefore[k] = symbols with a l33t reading in password[0..k)
+    const l33tBefore = [0];
+    for (const ch of lower) l33tBefore.push(l33tBefore[l33tBefore.length - 1] + (L33T_REVERSE[ch] ? 1 : 0));
+
+    const lookup = (token, word, i, j, extra) => {
+        for (const [dictionary, map] of lists) {
+            const rank = map.get(word);
+            if (!rank) continue;
+            let guesses = rank * uppercaseVariations(token);
+            if (extra.reversed) guesses *= 2;
+            if (extra.l33t) guesses *= l33tVariations(token, extra.subs);
+            matches.push({ pattern: 'dictionary', i, j, token, matchedWord: word, dictionary, rank, ...extra, guesses });
+        }
+    };
+
+    for (let i = 0; i < password.length; i++) {
+        for (let j = i + MIN_TOKEN_LENGTH - 1; j < Math.min(password.length, i + maxLength); j++) {
+            const token = password.slice(i, j + 1);
+            const word = lower.slice(i, j + 1);
+            lookup(token, word, i, j, { reversed: false, l33t: false });
+            lookup(token, reversed.slice(password.length - 1 - j, password.length - i), i, j, { reversed: true, l33t: false });
+            if (l33tBefore[j + 1] === l33tBefore[i]) continue;
+            for (const v of unl33t(word)) {
+                lookup(token, v.word, i, j, { reversed: false, l33t: true, subs: v.subs });
+            }
+        }
+    }
+    return matches;
+}
+
+function sequenceMatches(password) {
+    const matches = [];
+    const classOf = (ch) => {
+        if (LOWER.includes(ch)) return 'lower';
+        if (UPPER.includes(ch)) return 'upper';
+        if (DIGITS.includes(ch)) return 'digits';
+        return null;
+    };
+
+    const emit = (i, j, delta) => {
+        const token = password.slice(i, j + 1);
+        const sequenceName = classOf(token[0]);
+        let base;
+        if (['a', 'A', 'z', 'Z', '0', '1', '9'].includes(token[0])) base = 4;
+        else if (sequenceName === 'digits') base = 10;
+        else base = 26;
+        if (delta < 0) base *= 2;
+        matches.push({ pattern: 'sequence', i, j, token, sequenceName, ascending: delta > 0, guesses: base * token.length });
+    };
+
+    const step = (k) => {
+        const a = classOf(password[k]);
+        if (!a || a !== classOf(password[k + 1])) return 0;
+        return password.charCodeAt(k + 1) - password.charCodeAt(k);
+    };
+
+    let i = 0;
+    while (i < password.length - 1) {
+        const delta = step(i);
+        if (delta === 0 || Math.abs(delta) > 5) {
+            i += 1;
+            continue;
+        }
+        let j = i + 1;
+        while (j < password.length - 1 && step(j) === delta) j += 1;
+        if (j - i + 1 >= MIN_TOKEN_LENGTH) emit(i, j, delta);
+        i = j;
+    }
+    return matches;
+}
+
+let keyboard = null;
+
+function keyboardGraph() {
+    if (keyboard) return keyboard;
+    const positions = new Map(); // char -> { r, c, shifted }
+    KEYBOARD_ROWS.forEach(([plain, shifted], r) => {
+        Array.from(plain).forEach((ch, c) => { if (ch !== '\t') positions.set(ch, { r, c, shifted: false }); });
+        Array.from(shifted).forEach((ch, c) => { if (ch !== '\t') positions.set(ch, { r, c, shifted: true }); });
+    });
+    const at = (r, c) => (KEYBOARD_ROWS[r] && KEYBOARD_ROWS[r][0][c] !== '\t' ? KEYBOARD_ROWS[r][0][c] : undefined);
+    // Neighbours in a fixed direction order, so a walk's turns can be counted
+    const neighbours = (ch) => {
+        const p = positions.get(ch);
+        if (!p) return [];
+        const { r, c } = p;
+        return [[r, c - 1], [r - 1, c], [r - 1, c + 1], [r, c + 1], [r + 1, c], [r + 1, c - 1]]
+            .map(([nr, nc]) => at(nr, nc));
+    };
+    const keys = Array.from(positions.keys()).filter(ch => !positions.get(ch).shifted);
+    const degree = keys.reduce((s, ch) => s + neighbours(ch).filter(Boolean).length, 0) / keys.length;
+    keyboard = { positions, neighbours, startingPositions: keys.length, averageDegree: degree };
+    return keyboard;
+}
+
+function spatialGuesses(length, turns, shifted) {
+    const { startingPositions: s, averageDegree: d } = keyboardGraph();
+    let guesses = 0;
+    for (let i = 2; i <= length; i++) {
+        for (let j = 1; j <= Math.min(turns, i - 1); j++) guesses += nCk(i - 1, j - 1) * s * d ** j;
+    }
+    if (shifted > 0) {
+        const unshifted = length - shifted;
+        if (unshifted === 0) {
+            guesses *= 2;
+        } else {
+            let variations = 0;
+            for (let i = 1; i <= Math.min(shifted, unshifted); i++) variations += nCk(shifted + unshifted, i);
+            guesses *= variations;
+        }
+    }
+    return guesses;
+}
+
+function spatialMatches(password) {
+    const { positions, neighbours } = keyboardGraph();
+    const matches = [];
+    let i = 0;
+    while (i < password.length - 1) {
+        let j = i;
+        let lastDirection = null;
+        let turns = 0;
+        let shifted = positions.get(password[i]) && positions.get(password[i]).shifted ? 1 : 0;
+        for (;;) {
+            const next = password[j + 1];
+            const nextPos = next !== undefined ? positions.get(next) : undefined;
+            if (!nextPos) break;
+            const plainNext = KEYBOARD_ROWS[nextPos.r][0][nextPos.c];
+            const current = positions.get(password[j]);
+            if (!current) break;
+            const direction = neighbours(KEYBOARD_ROWS[current.r][0][current.c]).indexOf(plainNext);
+            if (direction === -1) break;
+            if (direction !== lastDirection) {
+                turns += 1;
+                lastDirection = direction;
+            }
+            if (nextPos.shifted) shifted += 1;
+            j += 1;
+        }
+        if (j - i + 1 >= MIN_TOKEN_LENGTH) {
+            matches.push({
+                pattern: 'spatial', i, j, token: password.slice(i, j + 1), graph: 'qwerty',
+                turns, shiftedCount: shifted, guesses: spatialGuesses(j - i + 1, turns, shifted)
+            });
+        }
+        i = j > i ? j : i + 1;
+    }
+    return matches;
+}
+
+function repeatMatches(password, context) {
+    const matches = [];
+    const greedy = /(.+)\1+/g;
+    const lazy = /(.+?)\1+/g;
+    const lazyAnchored = /^(.+?)\1+$/;
+    let last = 0;
+    while (last < password.length) {
+        greedy.lastIndex = last;
+        lazy.lastIndex = last;
+        const g = greedy.exec(password);
+        const l = lazy.exec(password);
+        if (!g) break;
+        let match;
+        let baseToken;
+        if (g[0].length > l[0].length) {
+            // Greedy found a longer run; its shortest repeating unit is the base
+            match = g;
+            baseToken = lazyAnchored.exec(g[0])[1];
+        } else {
+            match = l;
+            baseToken = l[1];
+        }
+        const i = match.index;
+        const j = i + match[0].length - 1;
+        const base = estimate(baseToken, context);
+        matches.push({
+            pattern: 'repeat', i, j, token: match[0], baseToken,
+            repeatCount: match[0].length / baseToken.length,
+            guesses: base.guesses * (match[0].length / baseToken.length)
+        });
+        last = j + 1;
+    }
+    return matches;
+}
+
+const DATE_SEPARATED = /^(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4})$/;
+
+function twoDigitYear(y) {
+    if (y > 99) return y;
+    return y > 50 ? 1900 + y : 2000 + y;
+}
+
+/** First valid (year, month, day) reading of three numbers, or null. */
+function readDate(parts, referenceYear) {
+    const orders = [[0, 1, 2], [2, 1, 0], [2, 0, 1]]; // y-m-d, d-m-y, m-d-y
+    for (const [yi, mi, di] of orders) {
+        const year = twoDigitYear(parts[yi]);
+        const month = parts[mi];
+        const day = parts[di];
+        if (month < 1 || month > 12 || day < 1 || day > 31) continue;
+        if (year < 1000 || year > referenceYear + 30) continue;
+        return { year, month, day };
+    }
+    return null;
+}
+
+function dateMatches(password, referenceYear) {
+    const matches = [];
+    const yearGuesses = (year) => Math.max(Math.abs(year - referenceYear), MIN_YEAR_SPACE);
+
+    for (let i = 0; i < password.length; i++) {
+        for (let j = i + 3; j < Math.min(password.length, i + 10); j++) {
+            const token = password.slice(i, j + 1);
+
+            if (token.length === 4 && /^(19|20)\d\d$/.test(token)) {
+                const year = Number(token);
+                matches.push({ pattern: 'year', i, j, token, year, guesses: yearGuesses(year) });
+                continue;
+            }
+
+            const sep = DATE_SEPARATED.exec(token);
+            let date = null;
+            let separator = '';
+            if (sep) {
+                date = readDate([Number(sep[1]), Number(sep[3]), Number(sep[4])], referenceYear);
+                separator = sep[2];
+            } else if (/^\d+$/.test(token) && (token.length === 6 || token.length === 8)) {
+                const splits = token.length === 6
+                    ? [[2, 4]]
+                    : [[4, 6], [2, 4]]; // yyyymmdd, ddmmyyyy / mmddyyyy
+                for (const [a, b] of splits) {
+                    date = readDate([Number(token.slice(0, a)), Number(token.slice(a, b)), Number(token.slice(b))], referenceYear);
+                    if (date) break;
+                }
+            }
+            if (date) {
+                matches.push({
+                    pattern: 'date', i, j, token, separator, ...date,
+                    guesses: yearGuesses(date.year) * 365 * (separator ? 4 : 1)
+                });
+            }
+        }
+    }
+    return matches;
+}
+
+// --------------------- Search ---------------------
+function omnimatch(password, context) {
+    return [
+        ...dictionaryMatches(password, context.userInputs),
+        ...sequenceMatches(password),
+        ...spatialMatches(password),
+        ...repeatMatches(password, context),
+        ...dateMatches(password, context.referenceYear)
+    ].map(m => ({ ...m, guesses: Math.max(m.guesses, MIN_MATCH_GUESSES) }));
+}
+
+/**
+ * Cheapest cover of the password by matches and brute-forced runs. States are
+ * (position, parts used, ends in brute force); costs are log2 guesses.
+ */
+function mostGuessableSequence(password, matches) {
+    const n = password.length;
+    const charBits = Math.log2(poolSize(password));
+    const byStart = Array.from({ length: n }, () => []);
+    for (const m of matches) byStart[m.i].push(m);
+
+    const inf = { cost: Infinity };
+    const M = Array.from({ length: n + 1 }, () => new Array(n + 1).fill(inf));
+    const B = Array.from({ length: n + 1 }, () => new Array(n + 1).fill(inf));
+    M[0][0] = { cost: 0, prev: null };
+
+    const relax = (table, pos, k, cost, prev, match) => {
+        if (cost < table[pos][k].cost) table[pos][k] = { cost, prev, match };
+    };
+
+    for (let i = 0; i < n; i++) {
+        for (let k = 0; k <= i; k++) {
+            const fromM = M[i][k];
+            const fromB = B[i][k];
+            if (fromM.cost !== Infinity) relax(B, i + 1, k + 1, fromM.cost + charBits, { table: 'M', pos: i, k });
+            if (fromB.cost !== Infinity) relax(B, i + 1, k, fromB.cost + charBits, { table: 'B', pos: i, k });
+            const best = fromM.cost <= fromB.cost ? { state: fromM, table: 'M' } : { state: fromB, table: 'B' };
+            if (best.state.cost === Infinity) continue;
+            for (const m of byStart[i]) {
+                relax(M, m.j + 1, k + 1, best.state.cost + Math.log2(m.guesses), { table: best.table, pos: i, k }, m);
+            }
+        }
+    }
+
+    let end = null;
+    let orderBits = 0; // log2(k!)
+    for (let k = 1; k <= n; k++) {
+        orderBits += Math.log2(k);
+        for (const [name, table] of [['M', M], ['B', B]]) {
+            const total = table[n][k].cost + orderBits;
+            if (!end || total < end.total) end = { total, table: name, k };
+        }
+    }
+
+    // Walk back, merging brute-force steps into runs
+    const sequence = [];
+    let cursor = { table: end.table, pos: n, k: end.k };
+    let bfEnd = null;
+    while (cursor.pos > 0) {
+        const state = (cursor.table === 'M' ? M : B)[cursor.pos][cursor.k];
+        if (cursor.table === 'B') {
+            if (bfEnd === null) bfEnd = cursor.pos - 1;
+            if (state.prev.table === 'M') {
+                const i = state.prev.pos;
+                sequence.unshift({
+                    pattern: 'bruteforce', i, j: bfEnd, token: password.slice(i, bfEnd + 1),
+                    guesses: 2 ** (charBits * (bfEnd - i + 1))
+                });
+                bfEnd = null;
+            }
+        } else {
+            sequence.unshift(state.match);
+        }
+        cursor = state.prev;
+    }
+    return { log2Guesses: end.total, sequence };
+}
+
+function estimate(password, context) {
+    if (!password) return { log2Guesses: 0, guesses: 1, sequence: [] };
+    const result = mostGuessableSequence(password, omnimatch(password, context));
+    return { ...result, guesses: 2 ** result.log2Guesses };
+}
+
+// --------------------- Report ---------------------
+function displayTime(seconds) {
+    const units = [['minute', 60], ['hour', 3600], ['day', 86400], ['month', 2629800], ['year', 31557600]];
+    if (seconds < 1) return 'less than a second';
+    if (seconds >= 100 * 31557600) return 'centuries';
+    let label = ['second', 1];
+    for (const u of units) if (seconds >= u[1]) label = u;
+    const n = Math.round(seconds / label[1]);
+    return `${n} ${label[0]}${n === 1 ? '' : 's'}`;
+}
+
+// A policy that demands uppercase, digits or symbols (or several classes) makes them mandatory
+function requiresComposition(policy) {
+    if (!policy) return false;
+    const classes = policy.classes || {};
+    return policy.minClasses > 1 || ['upper', 'digits', 'symbols'].some(c => classes[c] && classes[c].min > 0);
+}
+
+function feedbackFor(score, sequence, policy) {
+    if (score >= 3) return { warning: null, suggestions: [] };
+    const patterns = sequence.filter(m => m.pattern !== 'bruteforce');
+    if (!patterns.length) {
+        const suggestions = ['Use a few words, avoid common phrases'];
+        if (!requiresComposition(policy)) suggestions.push('No need for symbols, digits, or uppercase letters');
+        return { warning: null, suggestions };
+    }
+
+    const longest = patterns.reduce((a, b) => (b.token.length > a.token.length ? b : a));
+    const suggestions = ['Add another word or two. Uncommon words are better.'];
+    let warning = null;
+
+    switch (longest.pattern) {
+        case 'dictionary':
+            if (longest.dictionary === 'passwords') {
+                const exact = sequence.length === 1 && !longest.l33t && !longest.reversed;
+                if (!exact) warning = 'This is similar to a commonly used password';
+                else if (longest.rank <= 10) warning = 'This is a top-10 common password';
+                else if (longest.rank <= 100) warning = 'This is a top-100 common password';
+                else warning = 'This is similar to a commonly used password';
+            } else if (longest.dictionary === 'userInputs') {
+                warning = 'Avoid using personal details such as names or usernames';
+            } else if (patterns.length === 1 && longest.token.length === sequence.reduce((s, m) => s + m.token.length, 0)) {
+                warning = 'A word by itself is easy to guess';
+            }
+            if (/^[A-Z][^A-Z]+$/.test(longest.token)) suggestions.push("Capitalization doesn't help very much");
+            else if (longest.token === longest.token.toUpperCase() && /[A-Z]/.test(longest.token)) {
+                suggestions.push('All-uppercase is almost as easy to guess as all-lowercase');
+            }
+            if (longest.reversed) suggestions.push("Reversed words aren't much harder to guess");
+            if (longest.l33t) suggestions.push("Predictable substitutions like '@' instead of 'a' don't help very much");
+            break;
+        case 'spatial':
+            warning = longest.turns === 1 ? 'Straight rows of keys are easy to guess' : 'Short keyboard patterns are easy to guess';
+            suggestions.push('Use a longer keyboard pattern with more turns');
+            break;
+        case 'repeat':
+            warning = longest.baseToken.length === 1
+                ? 'Repeats like "aaa" are easy to guess'
+                : 'Repeats like "abcabcabc" are only slightly harder to guess than "abc"';
+            suggestions.push('Avoid repeated words and characters');
+            break;
+        case 'sequence':
+            warning = 'Sequences like abc or 6543 are easy to guess';
+            suggestions.push('Avoid sequences');
+            break;
+        case 'year':
+        case 'date':
+            warning = longest.pattern === 'year' ? 'Recent years are easy to guess' : 'Dates are often easy to guess';
+            suggestions.push('Avoid dates and years that are associated with you');
+            break;
+        default:
+            break;
+    }
+    return { warning, suggestions };
+}
+
+function publicMatch(m) {
+    const { guesses, subs, ...rest } = m;
+    return {
+        ...rest,
+        ...(subs ? { substitutions: subs } : {}),
+        guessesLog10: Number(Math.log10(guesses).toFixed(2))
+    };
+}
+
+/**
+ * Strength report for one password. `userInputs` (names, emails, the site name…) are
+ * treated as a small extra dictionary; `policy` (normalized) keeps the feedback from
+ * advising against character classes the policy requires.
+ */
+function analyzePassword(password, { userInputs = [], policy = null } = {}) {
+    if (typeof password !== 'string') throw new Error('password must be a string');
+    if (password.length > MAX_CHECK_LENGTH) throw new Error(`password exceeds ${MAX_CHECK_LENGTH} characters`);
+
+    const context = {
+        userInputs: rankedMap(userInputs.slice(0, MAX_USER_INPUTS).map(String).filter(Boolean)),
+        referenceYear: new Date().getUTCFullYear()
+    };
+    const result = estimate(password, context);
+
+    const charsetSize = password ? poolSize(password) : 0;
+    const charsetEntropyBits = password.length * Math.log2(Math.max(charsetSize, 1));
+    const guesses = result.guesses;
+    const score = SCORE_THRESHOLDS.filter(t => guesses >= t).length;
+
+    const crackTimes = {};
+    for (const [scenario, rate] of Object.entries(ATTACK_RATES)) {
+        const seconds = guesses / rate;
+        crackTimes[scenario] = { seconds: Number(seconds.toPrecision(3)), display: displayTime(seconds) };
+    }
+
+    return {
+        length: password.length,
+        charsetSize,
+        charsetEntropyBits: Number(charsetEntropyBits.toFixed(2)),
+        entropyBits: Number(Math.min(result.log2Guesses, charsetEntropyBits).toFixed(2)),
+        guessesLog10: Number(Math.log10(guesses).toFixed(2)),
+        score,
+        crackTimes,
+        patterns: result.sequence.map(publicMatch),
+        feedback: feedbackFor(score, result.sequence, policy)
+    };
+}
+
+module.exports = {
+    MAX_CHECK_LENGTH,
+    analyzePassword,
+    isCommonPassword
+};
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { loadConfig } = require('../config');
+const { createGenerator } = require('../generator');
+const { createApp } = require('../app');
+const schemas = require('../schemas');
+
+const ADMIN_API_KEY = 'test-admin-key';
+
+let dir;
+let generator;
+let app;
+let server;
+let baseUrl;
+
+test.before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'passgen-test-'));
+    const config = loadConfig({
+        ADMIN_API_KEY,
+        API_KEYS_FILE: path.join(dir, 'api-keys.json'),
+        POLICIES_FILE: path.join(dir, 'policies.json'),
+        ROLL_SESSIONS_FILE: path.join(dir, 'roll-sessions.json'),
+        SESSIONS_FILE: path.join(dir, 'sessions.json'),
+        SESSIONS_MAX: '2'
+    });
+    generator = createGenerator(config.generator);
+    app = createApp(generator, config);
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+    app.locals.flush();
+    await new Promise(resolve => server.close(resolve));
+    generator.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function post(route, body, { apiKey } = {}) {
+    const res = await fetch(baseUrl + route, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...(apiKey ? { 'x-api-key': apiKey } : {}) },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+}
+
+async function get(route, { apiKey } = {}) {
+    const res = await fetch(baseUrl + route, { headers: apiKey ? { 'x-api-key': apiKey } : {} });
+    return { status: res.status, body: await res.json() };
+}
+
+test('requests with an API key reach the handler and get its answer', async () => {
+    const res = await post('/v1/passwords', { length: 16, count: 2 }, { apiKey: ADMIN_API_KEY });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.passwords.length, 2);
+});
+
+test('malformed JSON gets a JSON 400, with or without an API key', async () => {
+    for (const apiKey of [undefined, ADMIN_API_KEY]) {
+        const res = await post('/v1/passwords', '{"length": ', { apiKey });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'Invalid JSON body');
+    }
+});
+
+test('a failing handler on a keyed request gets a JSON 500 instead of crashing the process', async t => {
+    t.mock.method(generator.csprng, 'getBytes', async () => { throw new Error('entropy unavailable'); });
+    t.mock.method(generator.logger, 'error', () => {});
+    const res = await post('/v1/passwords', { length: 16 }, { apiKey: ADMIN_API_KEY });
+    assert.equal(res.status, 500);
+    assert.deepEqual(res.body, { error: 'Internal server error' });
+    assert.equal(generator.logger.error.mock.callCount(), 1);
+});
+
+test('policies that can never be met get a 400 instead of a 500', async () => {
+    // Both ends must be digits, but only one digit is allowed
+    const edges = await post('/v1/passwords', {
+        policy: { minLength: 8, startClasses: ['digits'], endClasses: ['digits'], classes: { digits: { max: 1 } } }
+    });
+    assert.equal(edges.status, 400);
+    assert.match(edges.body.message, /startClasses\/endClasses cannot be met/);
+
+    const single = await post('/v1/passwords', { policy: { minLength: 8, allowedChars: 'a', maxConsecutive: 2 } });
+    assert.equal(single.status, 400);
+
+    // Five letters are required, but lower and upper allow one each
+    const letters = await post('/v1/passwords', {
+        policy: { classes: { letters: { min: 5 }, lower: { max: 1 }, upper: { max: 1 } } }, length: 10
+    });
+    assert.equal(letters.status, 400);
+    assert.match(letters.body.message, /letters min 5 exceeds the 2 letters/);
+});
+
+test('policies that leave a class a single character get a 400', async () => {
+    // With ambiguous characters excluded, only "3" is left of 0123
+    const res = await post('/v1/passwords', { policy: { classes: { digits: { min: 3 } }, allowedChars: '0123' }, length: 10 });
+    assert.equal(res.status, 400);
+    assert.match(res.body.message, /Only one digits character \("3"\)/);
+});
+
+test('start and end classes are honoured at every length', async () => {
+    const policy = { minLength: 1, maxLength: 64, startClasses: ['upper'], endClasses: ['digits'], classes: { digits: { max: 1 } } };
+    for (const length of [1, 2, 64]) {
+        const res = await post('/v1/passwords', { policy, length, count: 5 });
+        if (length === 1) {
+            assert.equal(res.status, 400, 'a single character cannot be both upper and a digit');
+            continue;
+        }
+        assert.equal(res.status, 200);
+        for (const pw of res.body.passwords) assert.match(pw, new RegExp(`^[A-Z][^0-9]{${length - 2}}[0-9]$`));
+    }
+});
+
+test('charsets emptied by filters get a 400 from the API and jobs', async () => {
+    const body = { includeLower: false, includeUpper: false, includeDigits: false, includeSymbols: true, symbols: '!' };
+    const res = await post('/v1/passwords', body, { apiKey: ADMIN_API_KEY });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Invalid charset');
+
+    const job = await post('/v1/jobs/passwords', { ...body, count: 3 }, { apiKey: ADMIN_API_KEY });
+    assert.equal(job.status, 400);
+    assert.equal(job.body.error, 'Invalid charset');
+});
+
+test('the CLI reports an emptied charset as invalid input', () => {
+    const cli = spawnSync(process.execPath, [
+        path.join(__dirname, '..', 'bin', 'passgen.js'),
+        'password', '--no-include-lower', '--no-include-upper', '--no-include-digits', '--symbols', '!'
+    ], { encoding: 'utf8', env: { ...process.env, POLICIES_FILE: '' }, timeout: 30000 });
+    assert.equal(cli.status, 2);
+    assert.match(cli.stderr, /Invalid charset/);
+});
+
+test('named sessions beyond SESSIONS_MAX get a 429', async () => {
+    const statuses = [];
+    for (const name of ['one', 'two', 'three']) statuses.push((await post('/v1/sessions', { name }, { apiKey: ADMIN_API_KEY })).status);
+    assert.deepEqual(statuses, [201, 201, 429]);
+});
+
+test('dice expressions that do not parse get a 422 with the error position', async () => {
+    const rolled = await post('/v1/roll', { expression: '2d6+' }, { apiKey: ADMIN_API_KEY });
+    assert.equal(rolled.status, 422);
+    assert.equal(rolled.body.error, 'Invalid dice expression');
+    assert.equal(rolled.body.position, 4);
+
+    const stats = await get(`/v1/roll/${encodeURIComponent('2d6 x')}/stats`, { apiKey: ADMIN_API_KEY });
+    assert.equal(stats.status, 422);
+    assert.equal(stats.body.error, 'Invalid dice expression');
+    assert.equal(stats.body.position, 4);
+});
+
+test('documented schema defaults match what the handlers do', async () => {
+    const { count } = schemas.entropyUint32.query.properties;
+    const uint32 = await get('/v1/entropy/uint32', { apiKey: ADMIN_API_KEY });
+    assert.equal(uint32.status, 200);
+    assert.equal(uint32.body.numbers.length, count.default);
+
+    const { size } = schemas.entropyBytes.query.properties;
+    const bytes = await get('/v1/entropy/bytes?encoding=hex', { apiKey: ADMIN_API_KEY });
+    assert.equal(bytes.body.meta.size, size.default);
+
+    const { wordCount, separator } = schemas.generatePasswords.body.properties;
+    const phrase = await post('/v1/passwords', { mode: 'passphrase' }, { apiKey: ADMIN_API_KEY });
+    assert.equal(phrase.body.passwords[0].split(separator.default).length, wordCount.default);
+});
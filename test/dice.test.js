@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DiceSyntaxError, parseDiceExpression, evaluateDice, countDice } = require('../dice');
+
+/** A die roller that returns `faces` in order (cycling), whatever the die size. */
+function fixedRolls(faces) {
+    let i = 0;
+    return async () => faces[i++ % faces.length];
+}
+
+function roll(expression, faces) {
+    return evaluateDice(parseDiceExpression(expression), fixedRolls(faces));
+}
+
+test('parse errors point at the offending token', () => {
+    const cases = [
+        ['2d6 x', 4, /Unexpected character "x"/],
+        ['2d6+', 4, /Unexpected end of expression/],
+        ['(1+2', 4, /Unexpected end of expression/],
+        ['2d6)', 3, /Unexpected "\)"/],
+        ['1d0', 2, /Invalid dice size: d0/]
+    ];
+    for (const [expression, position, message] of cases) {
+        assert.throws(() => parseDiceExpression(expression), err => (
+            err instanceof DiceSyntaxError && err.position === position && message.test(err.message)
+        ), expression);
+    }
+    assert.throws(() => parseDiceExpression('  '), /Dice expression required/);
+    assert.throws(() => parseDiceExpression('1+'.repeat(101)), /exceeds 200 characters/);
+});
+
+test('multiplication binds tighter than addition and subtraction', async () => {
+    assert.equal((await roll('2+3*4', [1])).total, 14);
+    assert.equal((await roll('(2+3)*4', [1])).total, 20);
+    assert.equal((await roll('10-2-3', [1])).total, 5);
+    assert.equal((await roll('-2*3', [1])).total, -6);
+});
+
+test('subtracted dice groups are subtracted', async () => {
+    const result = await roll('2d6-1d4', [3, 4, 2]);
+    assert.equal(result.total, 5);
+    assert.equal(result.detail, '2d6[3,4] - 1d4[2] = 5');
+    assert.equal(countDice(parseDiceExpression('2d6-1d4+3').ast), 3);
+});
+
+test('keep and drop mark the dice they discard', async () => {
+    for (const expression of ['4d6kh3', '4d6k3', '4d6dl1', '4d6d1']) {
+        const result = await roll(expression, [1, 5, 3, 6]);
+        assert.equal(result.total, 14, expression);
+        assert.deepEqual(result.breakdown[0].dice.map(d => !!d.dropped), [true, false, false, false]);
+    }
+    assert.equal((await roll('4d6kl1', [4, 5, 3, 6])).total, 3);
+    assert.equal((await roll('4d6dh1', [4, 5, 3, 6])).total, 12);
+});
+
+test('explosions, rerolls, successes and special dice', async () => {
+    assert.equal((await roll('1d6!', [6, 6, 2])).total, 14);
+    assert.equal((await roll('1d6!!', [6, 6, 2])).breakdown[0].dice.length, 1);
+    assert.equal((await roll('1d6r1', [1, 1, 4])).total, 4);
+    assert.equal((await roll('1d6ro1', [1, 1, 4])).total, 1);
+    assert.equal((await roll('5d10>=8', [8, 2, 10, 7, 9])).total, 3);
+    assert.deepEqual((await roll('4df', [1, 2, 3, 3])).rolls, [-1, 0, 1, 1]);
+    assert.equal((await roll('d%', [57])).total, 57);
+});
+
+test('expressions that would roll too many dice are refused', async () => {
+    await assert.rejects(roll('100d6*0+100d6+100d6+100d6+100d6+100d6+100d6+100d6+100d6+100d6+1d6', [1]), /more than 1000 dice/);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDiceExpression } = require('../dice');
+const { TooComplexError, exactDistribution, sampleDistribution, summarize } = require('../diceStats');
+const { CSPRNG, rollDie } = require('../csprng');
+
+function exact(expression, options) {
+    return exactDistribution(parseDiceExpression(expression), options);
+}
+
+function totalMass(pmf) {
+    let sum = 0;
+    for (const p of pmf.values()) sum += p;
+    return sum;
+}
+
+test('the exact PMF of 2d6+1 sums to 1 and has the textbook shape', () => {
+    const { pmf, prunedMass } = exact('2d6+1');
+    assert.ok(Math.abs(totalMass(pmf) - 1) < 1e-12);
+    assert.equal(prunedMass, 0);
+
+    const stats = summarize(pmf);
+    assert.equal(stats.min, 3);
+    assert.equal(stats.max, 13);
+    assert.equal(stats.mode, 8);
+    assert.ok(Math.abs(stats.mean - 8) < 1e-12);
+    assert.ok(Math.abs(stats.variance - 35 / 6) < 1e-12);
+    assert.ok(Math.abs(pmf.get(8) - 6 / 36) < 1e-12);
+    assert.equal(stats.percentiles.p50, 8);
+});
+
+test('keep/drop, rerolls and successes keep a normalised PMF with the right mean', () => {
+    const cases = [
+        ['4d6kh3', 12.244598765432098],
+        ['2d20kl1', 7.175],
+        ['1d6ro1', 23.5 / 6],
+        ['3d6>=5', 1],
+        ['(1d4)*(1d4)', 6.25]
+    ];
+    for (const [expression, mean] of cases) {
+        const { pmf } = exact(expression);
+        assert.ok(Math.abs(totalMass(pmf) - 1) < 1e-12, expression);
+        assert.ok(Math.abs(summarize(pmf).mean - mean) < 1e-9, expression);
+    }
+});
+
+test('exploding dice prune only a negligible tail', () => {
+    const { pmf, prunedMass } = exact('1d6!');
+    assert.ok(prunedMass < 1e-12);
+    assert.ok(Math.abs(summarize(pmf).mean - 4.2) < 1e-9);
+});
+
+test('work past the budget throws TooComplexError', () => {
+    assert.throws(() => exact('50d6', { maxWork: 100 }), TooComplexError);
+    assert.throws(() => exact('4d6!kh3'), TooComplexError);
+});
+
+test('sampling with a seeded roller is repeatable and close to the exact PMF', async () => {
+    const parsed = parseDiceExpression('2d6+1');
+    const sample = async () => {
+        const rng = CSPRNG.fromSeed('dice-stats', 'test');
+        return sampleDistribution(parsed, sides => rollDie(sides, rng), 2000);
+    };
+    const first = await sample();
+    assert.deepEqual(first, await sample());
+    assert.ok(Math.abs(totalMass(first) - 1) < 1e-12);
+    assert.ok(Math.abs(summarize(first).mean - 8) < 0.25);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { SEED_LEN, CtrDrbg } = require('../drbg');
+
+// Known answers for AES-256 CTR_DRBG without a derivation function, cross-checked against the
+// independent SP 800-90A implementation in bcrypto (lib/js/ctr-drbg.js, block-by-block CTR)
+const ENTROPY = Buffer.from(Array.from({ length: SEED_LEN }, (_, i) => i));
+const RESEED_ENTROPY = Buffer.from(Array.from({ length: SEED_LEN }, (_, i) => 0x80 + i));
+const ADDITIONAL = Buffer.from(Array.from({ length: SEED_LEN }, (_, i) => 0x40 + i));
+
+function noReseed() {
+    throw new Error('unexpected automatic reseed');
+}
+
+test('instantiate, generate with additional input, reseed and generate again', () => {
+    const drbg = new CtrDrbg({ getEntropy: noReseed });
+    drbg.instantiate(ENTROPY, 'hamtech-test');
+    assert.equal(drbg.generate(64).toString('hex'),
+        '6673e55d0573c98d8605689520c32919eab832b3fa3b921d667bdf3d51e4910c' +
+        '2c436eb60f3bc221eb22dfe45122e613fdbc862208db4f0e1c3a66304900aafa');
+    assert.equal(drbg.generate(20, ADDITIONAL).toString('hex'), 'c4a35ccd6fd841d1d6ddf6350dcc6ceb2485482f');
+
+    drbg.reseed(RESEED_ENTROPY, 'reseed');
+    assert.equal(drbg.generate(64).toString('hex'),
+        '1f51c4d57b509ab7808b41e45961cdff7e514ea04ccedf416e3163ac0a957f31' +
+        'd1c00ddf1b40a6ba6a6e7b41892dbf846912aaf767ed1b8dc6ce8a45fb847fec');
+});
+
+test('a multi-block request leaves the state where the spec does', () => {
+    const drbg = new CtrDrbg({ getEntropy: noReseed });
+    drbg.instantiate(ENTROPY);
+    const long = drbg.generate(1000);
+    assert.equal(crypto.createHash('sha256').update(long).digest('hex'),
+        '2cb3358d1f72eed0a61191e642a4cdcdcc21077447622213c041e56b810d205c');
+    assert.equal(drbg.generate(16).toString('hex'), '71ecbc9e2818bcdbce662236adf17e05');
+});
+
+test('prediction resistance reseeds with the additional input before every request', () => {
+    const drbg = new CtrDrbg({ predictionResistance: true, getEntropy: () => Buffer.from(RESEED_ENTROPY) });
+    drbg.instantiate(ENTROPY);
+    assert.equal(drbg.generate(32, 'additional').toString('hex'),
+        '827b86d0fe7570a3b27c1317c555e238349fce588ded5f921b2a4e1f372b4dea');
+    assert.equal(drbg.automaticReseeds, 1);
+});
+
+test('reseeds automatically once the interval is used up', () => {
+    let calls = 0;
+    const drbg = new CtrDrbg({ reseedInterval: 2, getEntropy: n => { calls++; return crypto.randomBytes(n); } });
+    drbg.instantiate(ENTROPY);
+    drbg.generate(16);
+    drbg.generate(16);
+    assert.equal(calls, 0);
+    drbg.generate(16);
+    assert.equal(calls, 1);
+    assert.equal(drbg.reseedCounter, 2);
+});
+
+test('rejects bad input lengths and use before instantiation', () => {
+    const drbg = new CtrDrbg();
+    assert.throws(() => drbg.generate(16), /not instantiated/);
+    assert.throws(() => drbg.instantiate(Buffer.alloc(SEED_LEN - 1)), /Entropy input must be 48 bytes/);
+    assert.throws(() => drbg.instantiate(ENTROPY, Buffer.alloc(SEED_LEN + 1)), /Personalization string exceeds/);
+    drbg.instantiate(ENTROPY);
+    assert.throws(() => drbg.generate(65537), /limited to 65536 bytes/);
+});
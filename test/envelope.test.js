@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { EnvelopeError, parseRecipientKey, encryptEnvelope, decryptEnvelope } = require('../envelope');
+
+// RFC 7748 section 6.1 X25519 keys, as JWKs
+const ALICE = {
+    kty: 'OKP', crv: 'X25519', x: 'hSDwCYkwp1R0i33ctD73Wg2_Og0mOBr066SpjqqbTmo', d: 'dwdtCnMYpX08FsFyUbJmRd9ML4frwJkqsXf7pR25LCo'
+};
+const BOB = {
+    kty: 'OKP', crv: 'X25519', x: '3p7bfXt9wbTTW2HC7OQ1Nz-DQ8hbeGdNrfx-FG-IK08', d: 'XasIfmJKikt54X-Lg4AO5m87sSkmGLb9HC-LJ_-I4Os'
+};
+const BOB_PUBLIC = { kty: BOB.kty, crv: BOB.crv, x: BOB.x };
+
+// Made by the `jose` library (ECDH-ES to Bob with Alice as the ephemeral key, IV of 0x07 bytes)
+const JOSE_JWE = 'eyJhbGciOiJFQ0RILUVTIiwiZW5jIjoiQTI1NkdDTSIsImVwayI6eyJ4IjoiaFNEd0NZa3dwMVIwaTMzY3RENzNXZzJfT2cwbU9CcjA2NlNwanFxYlRtbyIsImNydiI6IlgyNTUxOSIsImt0eSI6Ik9LUCJ9fQ' +
+    '..BwcHBwcHBwcHBwcH.0CqyGQ5i9_nAvX1bo_TvJ2xMtBcIqoXUC_hHaw._rHsJa0uxJQLBrADGXIEyA';
+
+function header(jwe) {
+    return JSON.parse(Buffer.from(jwe.split('.')[0], 'base64url').toString('utf8'));
+}
+
+test('RFC 7748 keys agree on the published shared secret', () => {
+    const shared = crypto.diffieHellman({
+        privateKey: crypto.createPrivateKey({ key: ALICE, format: 'jwk' }),
+        publicKey: crypto.createPublicKey({ key: BOB_PUBLIC, format: 'jwk' })
+    });
+    assert.equal(shared.toString('hex'), '4a5d9d5ba4ce2de1728e3bf480350f25e07e21c947d19e3376f09b3c1e161742');
+});
+
+test('decrypts an ECDH-ES envelope made by another JOSE implementation', () => {
+    assert.equal(decryptEnvelope(JOSE_JWE, BOB).toString('utf8'), 'correct horse battery staple');
+});
+
+test('X25519 envelopes round-trip with the RFC 7638 thumbprint as kid', () => {
+    const recipient = parseRecipientKey(BOB_PUBLIC);
+    assert.equal(recipient.ok, true);
+    assert.equal(recipient.alg, 'ECDH-ES');
+    assert.equal(recipient.kid, 'giQqigT_IKcuzHl0FVJ3k5ts3_TWNAxvsC08UZsfcM8');
+
+    const jwe = encryptEnvelope('hunter2', recipient);
+    assert.deepEqual(Object.keys(header(jwe)), ['alg', 'enc', 'kid', 'epk']);
+    assert.equal(jwe.split('.')[1], '', 'direct key agreement sends no encrypted key');
+    assert.equal(decryptEnvelope(jwe, BOB).toString('utf8'), 'hunter2');
+    assert.throws(() => decryptEnvelope(jwe, ALICE), EnvelopeError);
+});
+
+test('RSA envelopes round-trip with RSA-OAEP-256 and keep a JWK kid', () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const recipient = parseRecipientKey({ ...publicKey.export({ format: 'jwk' }), kid: 'laptop' });
+    assert.equal(recipient.alg, 'RSA-OAEP-256');
+    assert.equal(recipient.kid, 'laptop');
+
+    const jwe = encryptEnvelope(Buffer.from('s3cret'), recipient);
+    assert.equal(header(jwe).enc, 'A256GCM');
+    assert.equal(decryptEnvelope(jwe, privateKey.export({ type: 'pkcs8', format: 'pem' })).toString('utf8'), 's3cret');
+});
+
+test('tampered envelopes fail to open', () => {
+    const parts = JOSE_JWE.split('.');
+    const ciphertext = Buffer.from(parts[3], 'base64url');
+    ciphertext[0] ^= 1;
+    parts[3] = ciphertext.toString('base64url');
+    assert.throws(() => decryptEnvelope(parts.join('.'), BOB), /Decryption failed/);
+    assert.throws(() => decryptEnvelope('a.b.c', BOB), /Not a compact JWE/);
+});
+
+test('rejects private keys, short RSA keys and unsupported key types', () => {
+    assert.equal(parseRecipientKey(BOB).status, 400);
+    const short = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 }).publicKey;
+    assert.match(parseRecipientKey(short.export({ type: 'spki', format: 'pem' })).body.message, /at least 2048 bits/);
+    const ed = crypto.generateKeyPairSync('ed25519').publicKey;
+    assert.match(parseRecipientKey(ed.export({ type: 'spki', format: 'pem' })).body.message, /Unsupported key type ed25519/);
+});
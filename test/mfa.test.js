@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeSecret, hotp, verifyOtpCode, generateRecoveryCodes } = require('../mfa');
+const { CSPRNG } = require('../csprng');
+
+// RFC 4226 appendix D
+const HOTP_KEY = Buffer.from('12345678901234567890');
+const HOTP_VALUES = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+// RFC 6238 appendix B: seconds since the epoch -> 8-digit TOTP per algorithm (period 30)
+const TOTP_KEYS = {
+    SHA1: Buffer.from('12345678901234567890'),
+    SHA256: Buffer.from('12345678901234567890123456789012'),
+    SHA512: Buffer.from('1234567890123456789012345678901234567890123456789012345678901234')
+};
+const TOTP_VALUES = [
+    [59, { SHA1: '94287082', SHA256: '46119246', SHA512: '90693936' }],
+    [1111111109, { SHA1: '07081804', SHA256: '68084774', SHA512: '25091201' }],
+    [1111111111, { SHA1: '14050471', SHA256: '67062674', SHA512: '99943326' }],
+    [1234567890, { SHA1: '89005924', SHA256: '91819424', SHA512: '93441116' }],
+    [2000000000, { SHA1: '69279037', SHA256: '90698825', SHA512: '38618901' }],
+    [20000000000, { SHA1: '65353130', SHA256: '77737706', SHA512: '47863826' }]
+];
+
+// RFC 4648 base32 of the RFC test keys
+const BASE32 = {
+    SHA1: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ',
+    SHA256: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZA',
+    SHA512: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNA'
+};
+
+test('hotp matches the RFC 4226 test values', () => {
+    HOTP_VALUES.forEach((value, counter) => assert.equal(hotp(HOTP_KEY, counter), value));
+});
+
+test('hotp over the time step matches the RFC 6238 test values', () => {
+    for (const [seconds, values] of TOTP_VALUES) {
+        for (const [algorithm, value] of Object.entries(values)) {
+            assert.equal(hotp(TOTP_KEYS[algorithm], Math.floor(seconds / 30), { algorithm, digits: 8 }), value, `${algorithm} at ${seconds}`);
+        }
+    }
+});
+
+test('decodeSecret reads base32 with any case, spacing and padding', () => {
+    for (const [algorithm, text] of Object.entries(BASE32)) assert.deepEqual(decodeSecret(text), TOTP_KEYS[algorithm]);
+    assert.deepEqual(decodeSecret('gezd gnbv gy3t qojq gezd gnbv gy3t qojq===='), TOTP_KEYS.SHA1);
+    assert.equal(decodeSecret('not base32!'), null);
+    assert.equal(decodeSecret(''), null);
+});
+
+test('verifyOtpCode accepts RFC 6238 codes within the drift window', () => {
+    const body = { secret: BASE32.SHA256, algorithm: 'SHA256', digits: 8, code: '67062674' };
+    assert.deepEqual(verifyOtpCode(body, 1111111111 * 1000), { ok: true, valid: true, delta: 0, timeStep: 37037037 });
+    assert.deepEqual(verifyOtpCode(body, (1111111111 + 30) * 1000), { ok: true, valid: true, delta: -1, timeStep: 37037037 });
+    assert.deepEqual(verifyOtpCode({ ...body, window: 0 }, (1111111111 + 30) * 1000), { ok: true, valid: false });
+});
+
+test('verifyOtpCode looks ahead for HOTP and reports the next counter', () => {
+    const body = { type: 'hotp', secret: BASE32.SHA1, code: HOTP_VALUES[5], counter: 3, window: 2 };
+    assert.deepEqual(verifyOtpCode(body), { ok: true, valid: true, counter: 5, nextCounter: 6 });
+    assert.deepEqual(verifyOtpCode({ ...body, counter: 6 }), { ok: true, valid: false });
+    assert.equal(verifyOtpCode({ ...body, counter: undefined }).status, 400);
+});
+
+test('generateRecoveryCodes returns distinct codes in the requested format', async () => {
+    const result = await generateRecoveryCodes({ count: 20 }, CSPRNG.fromSeed('recovery-codes', 'test'));
+    assert.equal(result.ok, true);
+    assert.equal(new Set(result.codes).size, 20);
+    for (const code of result.codes) assert.match(code, /^[0-9A-HJKMNP-TV-Z]{5}-[0-9A-HJKMNP-TV-Z]{5}$/);
+    assert.equal((await generateRecoveryCodes({ groups: 1, groupLength: 4, alphabet: 'digits' }, CSPRNG.fromSeed('x', 'test'))).status, 400);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generatePasswords } = require('../passwords');
+const { createPolicyStore } = require('../policies');
+const { createWordlistStore } = require('../wordlists');
+const { CSPRNG } = require('../csprng');
+
+function stores() {
+    return { policies: createPolicyStore(), wordlists: createWordlistStore() };
+}
+
+test('bundled words contain no hyphens, so default phrases split back into their words', async () => {
+    const { wordlists } = stores();
+    const list = wordlists.getWordlist('eff-large');
+    assert.ok(list.words.includes('tshirt'));
+    assert.ok(!list.words.some(w => w.includes('-')));
+
+    const result = await generatePasswords({ mode: 'passphrase', wordCount: 6, count: 20 }, CSPRNG.fromSeed('phrases', 'test'), stores());
+    assert.equal(result.ok, true);
+    assert.equal(result.meta.entropyBits, Number((6 * Math.log2(list.words.length)).toFixed(2)));
+    for (const phrase of result.passwords) {
+        const words = phrase.split('-');
+        assert.equal(words.length, 6);
+        for (const word of words) assert.ok(list.words.includes(word), word);
+    }
+});
+
+test('custom lists are lowercased, dehyphenated and de-duplicated', () => {
+    const { wordlists } = stores();
+    const words = Array.from({ length: 16 }, (_, i) => `word${String.fromCharCode(97 + i)}`);
+    const list = wordlists.addCustomWordlist('team', [...words, 'Yo-Yo', 'yoyo', 'WORDA']);
+    assert.equal(list.words.length, 17);
+    assert.ok(list.words.includes('yoyo'));
+});
+
+test('diceware files load without their dice numbers and can be picked with wordlist', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'passgen-wordlists-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const lines = Array.from({ length: 16 }, (_, i) => `111${Math.floor(i / 6) + 1}${(i % 6) + 1}\tword${String.fromCharCode(97 + i)}`);
+    fs.writeFileSync(path.join(dir, 'dice.txt'), `${lines.join('\n')}\n`);
+
+    const wordlists = createWordlistStore({ dir });
+    const result = await generatePasswords(
+        { mode: 'passphrase', wordlist: 'dice', wordCount: 4 }, CSPRNG.fromSeed('dice', 'test'), { policies: createPolicyStore(), wordlists }
+    );
+    assert.equal(result.meta.wordlistSize, 16);
+    for (const word of result.passwords[0].split('-')) assert.match(word, /^word[a-p]$/);
+});
+
+// The EFF short lists ship as wordlists/eff-short-1.txt and eff-short-2.txt once they are added (see README)
+for (const name of ['eff-short-1', 'eff-short-2']) {
+    const missing = !fs.existsSync(path.join(__dirname, '..', 'wordlists', `${name}.txt`));
+    test(`passphrases can use the bundled ${name} list`, { skip: missing && `${name}.txt is not bundled` }, async () => {
+        const { wordlists } = stores();
+        assert.ok(wordlists.listWordlists().some(l => l.name === name && l.source === 'bundled' && l.size === 1296));
+        const result = await generatePasswords({ mode: 'passphrase', wordlist: name, wordCount: 5 }, CSPRNG.fromSeed(name, 'test'), stores());
+        assert.equal(result.meta.wordlist, name);
+        assert.equal(result.passwords[0].split('-').length, 5);
+    });
+}
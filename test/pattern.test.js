@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PatternSyntaxError, parsePattern } = require('../pattern');
+const { generatePasswords } = require('../passwords');
+const { createPolicyStore } = require('../policies');
+const { createWordlistStore } = require('../wordlists');
+const { CSPRNG } = require('../csprng');
+
+function stores() {
+    return { policies: createPolicyStore(), wordlists: createWordlistStore() };
+}
+
+test('class escapes expand to their sets and other escapes are literals', () => {
+    const { positions } = parsePattern('\\d\\l\\u\\a\\w\\h\\H\\.\\[\\\\');
+    assert.deepEqual(positions.map(set => set.length), [10, 26, 26, 52, 62, 16, 16, 1, 1, 1]);
+    assert.deepEqual(positions.slice(-3).map(set => set[0]), ['.', '[', '\\']);
+    assert.equal(parsePattern('[\\d_]').positions[0].join(''), '0123456789_');
+    assert.equal(parsePattern('[a\\-z]').positions[0].join(''), 'a-z');
+});
+
+test('sets, ranges, negation, groups and repeats', () => {
+    assert.equal(parsePattern('[a-f0-3]').positions[0].length, 10);
+    assert.equal(parsePattern('[^0-9]').positions[0].length, 94 - 10);
+    assert.equal(parsePattern('[]a]').positions[0].join(''), ']a');
+    assert.equal(parsePattern('[aab]').positions[0].join(''), 'ab');
+    const mac = parsePattern('(\\H{2}:){5}\\H{2}');
+    assert.equal(mac.length, 17);
+    assert.deepEqual(mac.positions[2], [':']);
+});
+
+test('bad tokens are reported with their position', () => {
+    const cases = [
+        ['ab]', 2, /Unexpected "\]"/],
+        ['x{2', 1, /Expected "\{NUMBER\}"/],
+        ['\\d{2,4}', 4, /Only fixed repeat counts/],
+        ['\\d{0}', 2, /Repeat count must be between 1 and 256/],
+        ['ab\\', 2, /Dangling "\\"/],
+        ['x[abc', 1, /Unclosed "\["/],
+        ['a(bc', 1, /Unclosed "\("/],
+        ['a()', 1, /Empty group/],
+        ['ab)', 2, /Unmatched "\)"/],
+        ['[z-a]', 1, /Invalid range "z-a"/],
+        ['[a-\\d]', 1, /A class escape cannot end a range/],
+        ['x\\d{200}\\d{100}', 8, /more than 256 characters/]
+    ];
+    for (const [pattern, position, message] of cases) {
+        assert.throws(() => parsePattern(pattern), err => (
+            err instanceof PatternSyntaxError && err.position === position && message.test(err.message)
+        ), pattern);
+    }
+    assert.throws(() => parsePattern(''), /non-empty string/);
+    assert.throws(() => parsePattern('a'.repeat(257)), /exceeds 256 characters/);
+});
+
+test('entropy is the sum of log2(set size) and literals add none', () => {
+    assert.equal(parsePattern('ABC-').entropyBits, 0);
+    assert.equal(parsePattern('\\d{4}').entropyBits, 4 * Math.log2(10));
+    const expected = 4 * Math.log2(26) + 4 * Math.log2(10) + 6 * Math.log2(36);
+    assert.ok(Math.abs(parsePattern('[A-Z]{4}-\\d{4}-[a-z0-9]{6}').entropyBits - expected) < 1e-9);
+});
+
+test('pattern mode reports the entropy and fills every position from its set', async () => {
+    const result = await generatePasswords(
+        { mode: 'pattern', pattern: '[A-Z]{4}-\\d{4}-[a-z0-9]{6}', count: 20 }, CSPRNG.fromSeed('pattern', 'test'), stores()
+    );
+    assert.equal(result.ok, true);
+    assert.equal(result.meta.length, 16);
+    assert.equal(result.meta.randomPositions, 14);
+    assert.equal(result.meta.entropyBits, 63.11);
+    for (const pw of result.passwords) assert.match(pw, /^[A-Z]{4}-[0-9]{4}-[a-z0-9]{6}$/);
+});
+
+test('pattern mode answers syntax errors and all-literal patterns with a 400', async () => {
+    const rng = CSPRNG.fromSeed('pattern', 'test');
+    const bad = await generatePasswords({ mode: 'pattern', pattern: '\\d{x}' }, rng, stores());
+    assert.equal(bad.status, 400);
+    assert.deepEqual(bad.body, { error: 'Invalid pattern', message: 'Expected "{NUMBER}" at position 2', position: 2 });
+
+    const literal = await generatePasswords({ mode: 'pattern', pattern: 'ABC' }, rng, stores());
+    assert.equal(literal.status, 400);
+    assert.equal(literal.body.message, 'Pattern has no random positions');
+});
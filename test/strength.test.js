@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzePassword } = require('../strength');
+
+const DEFAULT_SUGGESTIONS = ['Use a few words, avoid common phrases', 'No need for symbols, digits, or uppercase letters'];
+
+test('passwords without recognised patterns get the default suggestions', () => {
+    assert.deepEqual(analyzePassword('xkq').feedback, { warning: null, suggestions: DEFAULT_SUGGESTIONS });
+});
+
+test('pattern feedback does not repeat the default suggestions', () => {
+    const { feedback } = analyzePassword('P@ssw0rd2019');
+    assert.equal(feedback.warning, 'This is similar to a commonly used password');
+    assert.equal(feedback.suggestions[0], 'Add another word or two. Uncommon words are better.');
+    for (const suggestion of DEFAULT_SUGGESTIONS) assert.ok(!feedback.suggestions.includes(suggestion));
+});
+
+test('feedback does not advise against classes the policy requires', () => {
+    const requiresDigits = { classes: { digits: { min: 1 } }, minClasses: 0 };
+    const requiresThree = { classes: {}, minClasses: 3 };
+    const lettersOnly = { classes: { letters: { min: 1 } }, minClasses: 0 };
+    assert.deepEqual(analyzePassword('xkq', { policy: requiresDigits }).feedback.suggestions, [DEFAULT_SUGGESTIONS[0]]);
+    assert.deepEqual(analyzePassword('xkq', { policy: requiresThree }).feedback.suggestions, [DEFAULT_SUGGESTIONS[0]]);
+    assert.deepEqual(analyzePassword('xkq', { policy: lettersOnly }).feedback.suggestions, DEFAULT_SUGGESTIONS);
+});
+
+test('strong passwords get no feedback', () => {
+    assert.deepEqual(analyzePassword('correct horse battery staple tiger').feedback, { warning: null, suggestions: [] });
+});
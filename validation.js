@@ -0,0 +1,69 @@
+/**
+ * Central request validation against the `schema` of each route definition (see schemas.js).
+ * Path params and query strings arrive as strings, so their validators coerce ("5" -> 5,
+ * "true" -> true) and the coerced values replace the originals, with schema defaults filled in for
+ * missing fields. JSON bodies are never coerced or defaulted: a body with `"includeSymbols": "false"`
+ * is rejected instead of being read as truthy.
+ */
+const Ajv = require('ajv');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const bodyAjv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const stringAjv = new Ajv({ allErrors: true, allowUnionTypes: true, coerceTypes: true, useDefaults: true });
+
+/** Ajv errors as { location, path, message, keyword, params } with the path pointing at the field. */
+function formatErrors(location, errors) {
+    return errors.map(e => {
+        const path = e.keyword === 'required' ? `${e.instancePath}/${e.params.missingProperty}` : e.instancePath;
+        return { location, path: path || '/', message: e.message, keyword: e.keyword, params: e.params };
+    });
+}
+
+/**
+ * Compile every route's schema up front (a broken schema fails at startup) and return
+ * `validate(route, req)`, which returns null when the request is valid or a 422 body otherwise.
+ */
+function createRequestValidator(routeDefinitions) {
+    const compiled = new Map();
+    for (const route of routeDefinitions) {
+        if (!route.schema) continue;
+        const validators = {};
+        for (const location of LOCATIONS) {
+            if (!route.schema[location]) continue;
+            validators[location] = (location === 'body' ? bodyAjv : stringAjv).compile(route.schema[location]);
+        }
+        compiled.set(route, validators);
+    }
+
+    return function validate(route, req) {
+        const validators = compiled.get(route);
+        if (!validators) return null;
+
+        const details = [];
+        for (const location of LOCATIONS) {
+            const check = validators[location];
+            if (!check) continue;
+            // Copy so coercion never touches Express's own objects; a missing body validates as {}
+            const data = location === 'body'
+                ? (req.body === undefined ? {} : req.body)
+                : { ...(req[location] || {}) };
+            if (!check(data)) {
+                details.push(...formatErrors(location, check.errors));
+            } else if (location !== 'body') {
+                // Express 5 re-parses req.query on every access; pin the coerced copy
+                Object.defineProperty(req, location, { value: data, writable: true, configurable: true, enumerable: true });
+            }
+        }
+        if (!details.length) return null;
+        return {
+            error: 'Validation failed',
+            message: details.map(d => `${d.location}${d.path === '/' ? '' : d.path} ${d.message}`).join('; '),
+            details
+        };
+    };
+}
+
+module.exports = {
+    createRequestValidator
+};
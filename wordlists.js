@@ -0,0 +1,126 @@
+/**
+ * Passphrase wordlists: the lists bundled in wordlists/ and per-instance stores that add custom
+ * lists, persisted to a directory when one is configured (see createWordlistStore).
+ */
+const fs = require('fs');
+const path = require('path');
+
+const BUNDLED_DIR = path.join(__dirname, 'wordlists');
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const MIN_WORDS = 16;
+const MAX_WORDS = 65536;
+const MAX_WORD_LEN = 32;
+
+// name -> { name, source: 'bundled', words }; read-only and shipped with the package, so shared
+let bundled = null;
+
+/**
+ * Trim, lowercase, validate and dedupe a raw word array. Entropy math assumes unique entries, and
+ * capitalization is applied at generation time, so "Apple" and "apple" are one word. Hyphens are
+ * dropped ("t-shirt" becomes "tshirt") so phrases joined with the default "-" split back into words.
+ */
+function normalizeWords(rawWords) {
+    if (!Array.isArray(rawWords)) throw new Error('words must be an array of strings');
+    const seen = new Set();
+    for (const raw of rawWords) {
+        if (typeof raw !== 'string') throw new Error('words must be an array of strings');
+        const w = raw.trim().toLowerCase().replace(/-/g, '');
+        if (!w) continue;
+        if (/\s/.test(w)) throw new Error(`Word contains whitespace: "${w}"`);
+        if (w.length > MAX_WORD_LEN) throw new Error(`Word exceeds ${MAX_WORD_LEN} characters: "${w}"`);
+        seen.add(w);
+    }
+    const words = Array.from(seen);
+    if (words.length < MIN_WORDS) throw new Error(`Wordlist needs at least ${MIN_WORDS} unique words`);
+    if (words.length > MAX_WORDS) throw new Error(`Wordlist exceeds ${MAX_WORDS} words`);
+    return words;
+}
+
+/** Lines of a wordlist file or upload; the dice numbers of diceware files ("11111\tabacus") are dropped. */
+function splitWordlistText(text) {
+    return text.split(/\r?\n/).map(line => line.replace(/^\s*[1-6]{4,5}\s+/, ''));
+}
+
+function readListFile(file) {
+    return normalizeWords(splitWordlistText(fs.readFileSync(file, 'utf8')));
+}
+
+// name -> { name, source, words } for every valid <name>.txt in `dir`
+function loadDir(dir, source, logger) {
+    const lists = new Map();
+    if (!dir || !fs.existsSync(dir)) return lists;
+    for (const file of fs.readdirSync(dir)) {
+        if (!file.endsWith('.txt')) continue;
+        const name = file.slice(0, -4);
+        if (!NAME_PATTERN.test(name)) continue;
+        try {
+            lists.set(name, { name, source, words: readListFile(path.join(dir, file)) });
+        } catch (e) {
+            logger.error(`Skipping wordlist ${file}:`, e.message);
+        }
+    }
+    return lists;
+}
+
+// Lazy so that requiring this module stays cheap
+function bundledLists() {
+    if (!bundled) bundled = loadDir(BUNDLED_DIR, 'bundled', console);
+    return bundled;
+}
+
+/** A list bundled with the package (no custom lists), or null. */
+function getBundledWordlist(name) {
+    return bundledLists().get(name) || null;
+}
+
+/**
+ * Wordlists for one generator: the bundled lists plus custom ones, which are written to `dir` as
+ * <name>.txt and reloaded from it on first use (an empty dir keeps them in memory only).
+ * Bundled lists win over custom ones with the same name.
+ */
+function createWordlistStore({ dir = '', logger = console } = {}) {
+    let custom = null;
+
+    function customLists() {
+        if (!custom) custom = loadDir(dir, 'custom', logger);
+        return custom;
+    }
+
+    function getWordlist(name) {
+        return bundledLists().get(name) || customLists().get(name) || null;
+    }
+
+    function listWordlists() {
+        const all = [...bundledLists().values(), ...Array.from(customLists().values()).filter(l => !bundledLists().has(l.name))];
+        return all.map(l => ({
+            name: l.name,
+            source: l.source,
+            size: l.words.length,
+            bitsPerWord: Math.log2(l.words.length)
+        }));
+    }
+
+    function addCustomWordlist(name, rawWords) {
+        if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+            throw new Error('name must match ' + NAME_PATTERN);
+        }
+        if (bundledLists().has(name)) throw new Error(`Cannot replace bundled wordlist "${name}"`);
+
+        const words = normalizeWords(rawWords);
+        if (dir) {
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(path.join(dir, `${name}.txt`), words.join('\n') + '\n');
+        }
+        const list = { name, source: 'custom', words };
+        customLists().set(name, list);
+        return list;
+    }
+
+    return { getWordlist, listWordlists, addCustomWordlist };
+}
+
+module.exports = {
+    splitWordlistText,
+    getBundledWordlist,
+    createWordlistStore
+};